@@ -10,6 +10,7 @@ class DiveSimulator {
         this.enabledModels = {
             buhlmann: true,
             vpmb: true,
+            vpmbgfs: false,
             bvm: true,
             vval18: false,
             tbdm: false,
@@ -20,7 +21,13 @@ class DiveSimulator {
         this.timeSpeed = 1; // Speed multiplier
         this.diveHistory = [];
         this.intervalId = null;
+        this.tickIntervalMs = 500; // Wall-clock time between simulation updates
+        this.maxModelStep = 0.5; // Longest model update in minutes of dive time; faster ticks are sub-stepped
+        this.modelResultsIntervalMs = 2000; // Wall-clock time between model result refreshes while running
+        this.lastModelResultsUpdate = -Infinity; // Wall-clock time of the last model result refresh
         this.lastHistoryTime = 0; // Track when we last recorded history
+        this.diveNumber = 1; // Dive of the day; increases after each surface interval
+        this.oxygenExposure = new window.DecompressionSimulator.OxygenExposureTracker(); // CNS% and OTUs
         
         // Chart instances
         this.tissueChart = null;
@@ -31,9 +38,35 @@ class DiveSimulator {
         
         // Current dive parameters
         this.currentDepth = 0;
+        this.targetDepth = 0; // Depth the diver is moving toward
+        this.descentRate = 18; // Descent rate in m/min
+        this.ascentRate = 9; // Ascent rate in m/min
+        this.stopInterval = '3m'; // Stop grid: '3m', '10ft' or '5m'
+        this.lastStop = 3; // Last stop in meters before moving onto the stop grid
+        this.minimumStopTime = 1; // Shortest stop in minutes
+        this.stopTimeRounding = 'up'; // 'up', 'nearest' or 'none'
+        this.altitude = 0; // Dive site altitude in meters
+        this.altitudeAcclimatized = true; // Tissues equilibrated to the altitude
+        this.surfacePressure = 1.013; // Surface pressure in bar at the dive site
+        this.waterType = 'en13319'; // Water density used for depth/pressure conversion
         this.diveTime = 0;
         this.currentGasMix = { oxygen: 21, helium: 0 };
+        this.breathingMode = 'open-circuit'; // Or 'closed-circuit' with the gas mix as diluent, or 'semi-closed' with it as supply gas
+        this.setpoint = 1.3; // Rebreather ppO2 setpoint in bar
+        this.scrSettings = this.defaultScrSettings();
+        this.bailoutGases = this.parseBailoutGases('21/35, 50/0'); // Open-circuit bailout gases besides the diluent
+        this.gasConsumption = new window.DecompressionSimulator.GasConsumptionCalculator(); // Bottom and deco SAC rates
+        this.maxPpO2 = 1.6; // bar, MOD limit and highest ppO2 a gas switch may reach
+        this.oxygenNarcotic = true; // Count O2 as narcotic for END
+        this.cylinder = { name: 'Back gas', volume: 24, fillPressure: 232 }; // Open-circuit gas carried, refilled each dive
+        this.gasUsed = 0; // Surface liters breathed from the cylinder this dive
+        this.gasPhase = 'bottom'; // 'bottom' until the diver ascends, then 'deco' until they descend again
+        this.noFlyRule = 'cabin'; // 'cabin' checks each model's ceiling at cabin pressure, 'dan' uses the DAN fixed intervals
+        this.decompressionDives = {}; // Models that required decompression on any dive since the reset
         this.vpmConservatism = 2; // Default VPM conservatism level
+        this.vpmGfsConservatism = 2; // Default VPM-B/GFS conservatism level
+        this.vpmGfsGradientFactor = 90; // Default VPM-B/GFS surfacing gradient factor (%)
+        this.deepStops = { buhlmann: 'none', vpmb: 'none', vpmbgfs: 'none', bvm: 'none', vval18: 'none', tbdm: 'none', nmri98: 'none', hills: 'none' }; // Deep stop style per model: 'none', 'pyle' or 'ratio-deco'
         
         // BVM settings
         this.bvmConservatism = 3; // Default BVM conservatism level
@@ -42,6 +75,7 @@ class DiveSimulator {
         // Gradient factor settings
         this.buhlmannGradientFactors = { low: 30, high: 85 };
         this.vval18GradientFactors = { low: 30, high: 85 };
+        this.buhlmannCoefficients = 'ZHL-16C'; // 'ZHL-16A', 'ZHL-16B', 'ZHL-16C' or a custom coefficient table
         
         // TBDM settings
         this.tbdmConservatismFactor = 1.0; // Default TBDM conservatism
@@ -82,9 +116,14 @@ class DiveSimulator {
             this.models = {
                 buhlmann: window.DecompressionSimulator.createModel('buhlmann', { 
                     gradientFactorLow: this.buhlmannGradientFactors.low, 
-                    gradientFactorHigh: this.buhlmannGradientFactors.high 
+                    gradientFactorHigh: this.buhlmannGradientFactors.high,
+                    coefficients: this.buhlmannCoefficients
                 }),
                 vpmb: window.DecompressionSimulator.createModel('vpmb', { conservatism: this.vpmConservatism }),
+                vpmbgfs: window.DecompressionSimulator.createModel('vpmbgfs', {
+                    conservatism: this.vpmGfsConservatism,
+                    gradientFactorHigh: this.vpmGfsGradientFactor
+                }),
                 bvm: window.DecompressionSimulator.createModel('bvm', { 
                     conservatism: this.bvmConservatism, 
                     maxDcsRisk: this.bvmMaxDcsRisk 
@@ -109,6 +148,14 @@ class DiveSimulator {
                     perfusionMultiplier: this.hillsPerfusionMultiplier
                 })
             };
+            Object.entries(this.models).forEach(([name, model]) => {
+                model.setAscentRate(this.ascentRate);
+                model.setStopSettings(this.getStopSettings());
+                model.setDeepStops({ style: this.deepStops[name] });
+                model.setAltitude(this.altitude, this.altitudeAcclimatized);
+                model.setWaterDensity(this.getWaterDensity());
+                this.applyBreathingMode(model);
+            });
             console.log('✅ Decompression models initialized successfully');
         } catch (error) {
             console.error('❌ Failed to initialize models:', error);
@@ -123,15 +170,81 @@ class DiveSimulator {
         const ascendSlowBtn = document.getElementById('ascend-slow');
         
         depthSlider.addEventListener('input', (e) => {
-            this.setDepth(parseFloat(e.target.value));
+            this.setTargetDepth(parseFloat(e.target.value));
         });
         
         descendFastBtn.addEventListener('click', () => {
-            this.setDepth(Math.min(200, this.currentDepth + 5));
+            this.setTargetDepth(this.targetDepth + 5);
         });
         
         ascendSlowBtn.addEventListener('click', () => {
-            this.setDepth(Math.max(0, this.currentDepth - 3));
+            this.setTargetDepth(this.targetDepth - 3);
+        });
+        
+        // Descent and ascent rates
+        document.getElementById('descent-rate').addEventListener('change', (e) => {
+            const rate = parseFloat(e.target.value);
+            if (rate > 0) {
+                this.descentRate = rate;
+            } else {
+                e.target.value = this.descentRate;
+            }
+        });
+        
+        document.getElementById('ascent-rate').addEventListener('change', (e) => {
+            const rate = parseFloat(e.target.value);
+            if (rate > 0) {
+                this.ascentRate = rate;
+                // Keep the models' stop schedules and TTS in line with the diver's ascent
+                Object.values(this.models).forEach(model => model.setAscentRate(rate));
+                this.updateDisplay();
+            } else {
+                e.target.value = this.ascentRate;
+            }
+        });
+        
+        // Stop grid and stop times, as set on the diver's computer
+        document.getElementById('stop-interval').addEventListener('change', (e) => {
+            this.stopInterval = e.target.value;
+            this.applyStopSettings();
+        });
+        
+        document.getElementById('last-stop').addEventListener('change', (e) => {
+            this.lastStop = parseFloat(e.target.value);
+            this.applyStopSettings();
+        });
+        
+        document.getElementById('min-stop-time').addEventListener('change', (e) => {
+            const minimumStopTime = parseFloat(e.target.value);
+            if (minimumStopTime >= 0) {
+                this.minimumStopTime = minimumStopTime;
+                this.applyStopSettings();
+            } else {
+                e.target.value = this.minimumStopTime;
+            }
+        });
+        
+        document.getElementById('stop-rounding').addEventListener('change', (e) => {
+            this.stopTimeRounding = e.target.value;
+            this.applyStopSettings();
+        });
+        
+        // Dive site altitude
+        document.getElementById('altitude').addEventListener('change', (e) => {
+            const altitude = parseFloat(e.target.value);
+            if (!(altitude >= 0 && altitude <= 5000)) {
+                e.target.value = this.altitude;
+                return;
+            }
+            this.setAltitude(altitude, this.altitudeAcclimatized);
+        });
+        
+        document.getElementById('altitude-acclimatized').addEventListener('change', (e) => {
+            this.setAltitude(this.altitude, e.target.checked);
+        });
+        
+        document.getElementById('water-type').addEventListener('change', (e) => {
+            this.setWaterType(e.target.value);
         });
         
         // Time speed controls
@@ -176,6 +289,23 @@ class DiveSimulator {
         
         oxygenInput.addEventListener('input', updateNitrogen);
         heliumInput.addEventListener('input', updateNitrogen);
+        oxygenInput.addEventListener('input', () => this.updateGasInfo());
+        heliumInput.addEventListener('input', () => this.updateGasInfo());
+        
+        document.getElementById('max-ppo2').addEventListener('change', (e) => {
+            const maxPpO2 = parseFloat(e.target.value);
+            if (maxPpO2 > 0) {
+                this.maxPpO2 = maxPpO2;
+                this.updateGasInfo();
+            } else {
+                e.target.value = this.maxPpO2;
+            }
+        });
+        
+        document.getElementById('oxygen-narcotic').addEventListener('change', (e) => {
+            this.oxygenNarcotic = e.target.checked;
+            this.updateGasInfo();
+        });
         
         switchGasBtn.addEventListener('click', () => {
             const o2 = parseInt(oxygenInput.value) || 21;
@@ -183,6 +313,94 @@ class DiveSimulator {
             this.switchGas(o2, he);
         });
         
+        // Breathing mode (open circuit, CCR at a constant setpoint, or SCR)
+        const breathingModeSelect = document.getElementById('breathing-mode');
+        const setpointInput = document.getElementById('setpoint');
+        
+        breathingModeSelect.addEventListener('change', (e) => {
+            this.setBreathingMode(e.target.value, this.setpoint);
+        });
+        
+        setpointInput.addEventListener('change', (e) => {
+            const setpoint = parseFloat(e.target.value);
+            if (setpoint > 0) {
+                this.setBreathingMode(this.breathingMode, setpoint);
+            } else {
+                e.target.value = this.setpoint;
+            }
+        });
+        
+        // Bailout gases for the live open-circuit bailout TTS
+        document.getElementById('bailout-gases').addEventListener('change', (e) => {
+            const gases = this.parseBailoutGases(e.target.value);
+            if (gases) {
+                this.bailoutGases = gases;
+                this.updateDisplay();
+            } else {
+                alert('Enter bailout gases as O₂/He percentages, e.g. 21/35, 50/0');
+                e.target.value = this.bailoutGases.map(gas => `${Math.round(gas.oxygen * 100)}/${Math.round(gas.helium * 100)}`).join(', ');
+            }
+        });
+        
+        // Gas supply: SAC rates and the cylinder carried
+        ['bottom-sac', 'deco-sac'].forEach(id => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                const rates = {
+                    bottomSac: parseFloat(document.getElementById('bottom-sac').value),
+                    decoSac: parseFloat(document.getElementById('deco-sac').value)
+                };
+                if (rates.bottomSac > 0 && rates.decoSac > 0) {
+                    this.gasConsumption = new window.DecompressionSimulator.GasConsumptionCalculator(rates);
+                } else {
+                    const current = this.gasConsumption.getRates();
+                    e.target.value = id === 'bottom-sac' ? current.bottomSac : current.decoSac;
+                }
+            });
+        });
+        
+        document.getElementById('cylinder-volume').addEventListener('change', (e) => {
+            const volume = parseFloat(e.target.value);
+            if (volume > 0) {
+                this.cylinder.volume = volume;
+                this.updateDisplay();
+            } else {
+                e.target.value = this.cylinder.volume;
+            }
+        });
+        
+        document.getElementById('cylinder-pressure').addEventListener('change', (e) => {
+            const fillPressure = parseFloat(e.target.value);
+            if (fillPressure > 0) {
+                this.cylinder.fillPressure = fillPressure;
+                this.updateDisplay();
+            } else {
+                e.target.value = this.cylinder.fillPressure;
+            }
+        });
+        
+        // Semi-closed rebreather settings; the dump ratio input is the N of a 1:N ratio
+        document.getElementById('scr-type').addEventListener('change', (e) => {
+            this.setScrSettings({ ...this.scrSettings, type: e.target.value });
+        });
+        
+        document.getElementById('scr-consumption').addEventListener('change', (e) => {
+            if (!this.setScrSettings({ ...this.scrSettings, oxygenConsumption: parseFloat(e.target.value) })) {
+                e.target.value = this.scrSettings.oxygenConsumption;
+            }
+        });
+        
+        document.getElementById('scr-dump-ratio').addEventListener('change', (e) => {
+            if (!this.setScrSettings({ ...this.scrSettings, dumpRatio: 1 / parseFloat(e.target.value) })) {
+                e.target.value = Math.round(1 / this.scrSettings.dumpRatio);
+            }
+        });
+        
+        document.getElementById('scr-injection-rate').addEventListener('change', (e) => {
+            if (!this.setScrSettings({ ...this.scrSettings, injectionRate: parseFloat(e.target.value) })) {
+                e.target.value = this.scrSettings.injectionRate;
+            }
+        });
+        
         // Gas preset buttons
         document.querySelectorAll('.gas-preset').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -200,6 +418,16 @@ class DiveSimulator {
             this.resetDive();
         });
         
+        // Surface interval between repetitive dives
+        document.getElementById('start-surface-interval').addEventListener('click', () => {
+            this.startSurfaceInterval(parseFloat(document.getElementById('surface-interval').value));
+        });
+        
+        document.getElementById('no-fly-rule').addEventListener('change', (e) => {
+            this.noFlyRule = e.target.value;
+            this.updateDisplay();
+        });
+        
         // Unified model settings controls
         this.setupUnifiedModelSettings();
         
@@ -265,6 +493,11 @@ class DiveSimulator {
             this.updateModelVisibility();
         });
         
+        document.getElementById('model-vpmbgfs').addEventListener('change', (e) => {
+            this.enabledModels.vpmbgfs = e.target.checked;
+            this.updateModelVisibility();
+        });
+        
         document.getElementById('model-bvm').addEventListener('change', (e) => {
             this.enabledModels.bvm = e.target.checked;
             this.updateModelVisibility();
@@ -401,8 +634,9 @@ class DiveSimulator {
         
         // Add options only for enabled models
         const modelNames = {
-            buhlmann: 'Bühlmann ZH-L16C',
+            buhlmann: `Bühlmann ${this.buhlmannCoefficientLabel()}`,
             vpmb: 'VPM-B',
+            vpmbgfs: 'VPM-B/GFS',
             bvm: 'BVM(3)',
             vval18: 'VVal-18 Thalmann',
             tbdm: 'TBDM',
@@ -700,6 +934,41 @@ class DiveSimulator {
                         borderDash: [8, 4],
                         tension: 0.2,
                         yAxisID: 'depth'
+                    },
+                    {
+                        label: 'Gas Density (g/L)',
+                        data: [],
+                        borderColor: '#e2e8f0',
+                        backgroundColor: 'rgba(226, 232, 240, 0.1)',
+                        tension: 0.2,
+                        yAxisID: 'density'
+                    },
+                    {
+                        label: 'Density 5.2 g/L',
+                        data: [],
+                        borderColor: '#fbbf24',
+                        borderDash: [2, 2],
+                        borderWidth: 1,
+                        pointRadius: 0,
+                        yAxisID: 'density'
+                    },
+                    {
+                        label: 'Density 6.2 g/L',
+                        data: [],
+                        borderColor: '#f87171',
+                        borderDash: [2, 2],
+                        borderWidth: 1,
+                        pointRadius: 0,
+                        yAxisID: 'density'
+                    },
+                    {
+                        label: 'Ceiling (VPM-B/GFS)',
+                        data: [],
+                        borderColor: '#fb923c',
+                        backgroundColor: 'rgba(251, 146, 60, 0.1)',
+                        borderDash: [6, 2, 2, 2],
+                        tension: 0.2,
+                        yAxisID: 'depth'
                     }
                 ]
             },
@@ -746,6 +1015,19 @@ class DiveSimulator {
                         },
                         ticks: { color: '#e2e8f0' },
                         grid: { color: 'rgba(226, 232, 240, 0.1)' }
+                    },
+                    density: {
+                        type: 'linear',
+                        position: 'right',
+                        beginAtZero: true,
+                        suggestedMax: 7,
+                        title: {
+                            display: true,
+                            text: 'Gas Density (g/L)',
+                            color: '#e2e8f0'
+                        },
+                        ticks: { color: '#e2e8f0' },
+                        grid: { display: false } // Hide grid for density to avoid overlap
                     }
                 }
             }
@@ -1191,15 +1473,48 @@ class DiveSimulator {
         this.selectedDetailedModel = 'buhlmann';
     }
     
-    setDepth(newDepth) {
-        this.currentDepth = Math.max(0, Math.min(200, newDepth));
-        document.getElementById('depth-slider').value = this.currentDepth;
+    canChangeDiveSite() {
+        // Altitude and water set the starting conditions, so they can only change before the dive
+        if (this.diveTime > 0 || this.currentDepth > 0) {
+            alert('The dive site can only be changed before the dive starts. Reset the dive first.');
+            document.getElementById('altitude').value = this.altitude;
+            document.getElementById('altitude-acclimatized').checked = this.altitudeAcclimatized;
+            document.getElementById('water-type').value = this.waterType;
+            return false;
+        }
+        return true;
+    }
+    
+    getWaterDensity() {
+        return window.DecompressionSimulator.WATER_DENSITIES[this.waterType];
+    }
+    
+    depthToPressure(depth) {
+        return window.DecompressionSimulator.depthToPressure(depth, this.surfacePressure, this.getWaterDensity());
+    }
+    
+    setWaterType(waterType) {
+        if (!this.canChangeDiveSite()) return;
+        
+        this.waterType = waterType;
+        Object.values(this.models).forEach(model => model.setWaterDensity(this.getWaterDensity()));
+        
+        this.diveHistory = [];
+        this.recordDiveHistory();
+        this.updateDisplay();
+        this.updateCharts();
+    }
+    
+    setAltitude(altitude, acclimatized) {
+        if (!this.canChangeDiveSite()) return;
+        
+        this.altitude = altitude;
+        this.altitudeAcclimatized = acclimatized;
+        this.surfacePressure = window.DecompressionSimulator.altitudeToPressure(altitude);
         
-        // Update all models
         Object.values(this.models).forEach(model => {
+            model.setAltitude(altitude, acclimatized);
             model.updateDiveState({
-                depth: this.currentDepth,
-                time: this.diveTime,
                 gasMix: window.DecompressionSimulator.createGasMix(
                     this.currentGasMix.oxygen,
                     this.currentGasMix.helium
@@ -1207,18 +1522,55 @@ class DiveSimulator {
             });
         });
         
-        // Record history immediately when depth changes significantly
-        const timeSinceLastHistory = this.diveTime - this.lastHistoryTime;
-        if (timeSinceLastHistory >= 0.1) { // Record more frequently on depth changes
-            this.recordDiveHistory();
-            this.lastHistoryTime = this.diveTime;
-        }
-        
+        document.getElementById('surface-pressure').value = this.surfacePressure.toFixed(3);
+        this.diveHistory = [];
+        this.recordDiveHistory();
         this.updateDisplay();
         this.updateCharts();
     }
     
+    setTargetDepth(newDepth) {
+        // The diver moves toward the target at the descent/ascent rate on each simulation update
+        this.targetDepth = Math.max(0, Math.min(200, newDepth));
+        document.getElementById('depth-slider').value = this.targetDepth;
+        document.getElementById('depth-display').textContent = this.targetDepth;
+    }
+    
+    /**
+     * Move the diver toward the target depth for one time step
+     * @param {number} timeStep - Time step in minutes
+     * @returns {{depth: number, travelTime: number}} Depth reached and the minutes spent travelling;
+     *     the rest of the step is spent at that depth once the target is reached
+     */
+    moveTowardTargetDepth(timeStep) {
+        const distance = this.targetDepth - this.currentDepth;
+        const rate = distance > 0 ? this.descentRate : this.ascentRate;
+        const maxTravel = rate * timeStep;
+        
+        if (Math.abs(distance) <= maxTravel) {
+            return { depth: this.targetDepth, travelTime: Math.abs(distance) / rate };
+        }
+        return { depth: this.currentDepth + Math.sign(distance) * maxTravel, travelTime: timeStep };
+    }
+    
     switchGas(oxygen, helium) {
+        // Open-circuit gas and SCR supply gas are breathed as is; a CCR diluent only feeds the loop
+        if (this.breathingMode !== 'closed-circuit') {
+            const ppO2 = (oxygen / 100) * this.depthToPressure(this.currentDepth);
+            if (ppO2 < window.DecompressionSimulator.MIN_BREATHABLE_PPO2) {
+                alert(`${oxygen}/${helium} is hypoxic at ${this.currentDepth.toFixed(1)} m (ppO₂ ${ppO2.toFixed(2)} bar).`);
+                return;
+            }
+            if (ppO2 > this.maxPpO2) {
+                alert(`${oxygen}/${helium} exceeds the max ppO₂ of ${this.maxPpO2} bar at ${this.currentDepth.toFixed(1)} m (ppO₂ ${ppO2.toFixed(2)} bar).`);
+                return;
+            }
+        }
+        
+        if (!this.confirmCounterdiffusion(oxygen, helium)) {
+            return;
+        }
+        
         this.currentGasMix = { oxygen, helium };
         
         // Update all models
@@ -1231,6 +1583,151 @@ class DiveSimulator {
         this.updateDisplay();
     }
     
+    confirmCounterdiffusion(oxygen, helium) {
+        // Isobaric counterdiffusion: rule of fifths plus each enabled model's compartment gradients
+        const newGasMix = window.DecompressionSimulator.createGasMix(oxygen, helium);
+        const checks = Object.entries(this.models)
+            .filter(([name]) => this.enabledModels[name])
+            .map(([name, model]) => ({ name: model.getModelName(), check: model.checkGasSwitch(newGasMix) }));
+        
+        if (!checks.some(({ check }) => check.warning)) {
+            return true;
+        }
+        
+        const { check } = checks[0];
+        const lines = [
+            `⚠️ Isobaric counterdiffusion risk switching ${this.currentGasMix.oxygen}/${this.currentGasMix.helium} → ${oxygen}/${helium} at ${this.currentDepth.toFixed(1)} m`,
+            `N₂ jump: +${(check.nitrogenFractionIncrease * 100).toFixed(0)}% N₂ (ppN₂ ${check.nitrogenPressureIncrease >= 0 ? '+' : ''}${check.nitrogenPressureIncrease.toFixed(2)} bar) for ${(check.heliumFractionDecrease * 100).toFixed(0)}% less He`
+        ];
+        if (!check.ruleOfFifthsOk) {
+            lines.push(`Rule of fifths: N₂ may rise by at most ${(check.heliumFractionDecrease * 20).toFixed(0)}%`);
+        }
+        checks
+            .filter(({ check }) => check.counterdiffusingCompartments.length > 0)
+            .forEach(({ name, check }) => {
+                lines.push(`${name}: N₂ uptake outpaces He washout in compartments ${check.counterdiffusingCompartments.join(', ')}`);
+            });
+        lines.push('', 'Switch anyway?');
+        
+        return confirm(lines.join('\n'));
+    }
+    
+    updateGasInfo() {
+        // MOD and END for the mix being entered, END at the target depth
+        const oxygen = parseInt(document.getElementById('oxygen').value) || 0;
+        const helium = parseInt(document.getElementById('helium').value) || 0;
+        const infoElement = document.getElementById('gas-info');
+        
+        if (oxygen <= 0 || oxygen + helium > 100) {
+            infoElement.textContent = 'Invalid mix';
+            return;
+        }
+        
+        const simulator = window.DecompressionSimulator;
+        const gasMix = simulator.createGasMix(oxygen, helium);
+        const conditions = { surfacePressure: this.surfacePressure, waterDensity: this.getWaterDensity() };
+        const mod = simulator.calculateMod(gasMix, this.maxPpO2, conditions);
+        const end = simulator.calculateEnd(gasMix, this.targetDepth, { ...conditions, oxygenNarcotic: this.oxygenNarcotic });
+        const minDepth = simulator.calculateMinimumOperatingDepth(gasMix, simulator.MIN_BREATHABLE_PPO2, conditions);
+        
+        infoElement.textContent = `MOD ${Math.floor(mod)} m · END ${Math.round(end)} m @ ${this.targetDepth} m`
+            + (minDepth > 0 ? ` · Min ${Math.ceil(minDepth)} m` : '');
+    }
+    
+    setBreathingMode(mode, setpoint) {
+        this.breathingMode = mode;
+        this.setpoint = setpoint;
+        document.getElementById('setpoint').disabled = mode !== 'closed-circuit';
+        document.getElementById('scr-controls').hidden = mode !== 'semi-closed';
+        
+        Object.values(this.models).forEach(model => this.applyBreathingMode(model));
+        
+        this.updateDisplay();
+    }
+    
+    defaultScrSettings() {
+        return { type: 'passive', oxygenConsumption: 1.0, dumpRatio: 0.1, minuteVolume: 20, injectionRate: 10 };
+    }
+    
+    setScrSettings(settings) {
+        if (!(settings.oxygenConsumption > 0)) {
+            alert('O₂ consumption must be greater than 0 L/min');
+            return false;
+        }
+        if (!(settings.dumpRatio > 0 && settings.dumpRatio <= 1)) {
+            alert('Dump ratio must be at least 1:1');
+            return false;
+        }
+        if (!(settings.injectionRate > settings.oxygenConsumption)) {
+            alert('Injection flow must be greater than the O₂ consumption');
+            return false;
+        }
+        
+        this.scrSettings = settings;
+        document.getElementById('scr-dump-ratio').disabled = settings.type !== 'passive';
+        document.getElementById('scr-injection-rate').disabled = settings.type !== 'active';
+        
+        if (this.breathingMode === 'semi-closed') {
+            Object.values(this.models).forEach(model => this.applyBreathingMode(model));
+            this.updateDisplay();
+        }
+        return true;
+    }
+    
+    applyBreathingMode(model) {
+        if (this.breathingMode === 'closed-circuit') {
+            model.setClosedCircuit(this.setpoint);
+        } else if (this.breathingMode === 'semi-closed') {
+            model.setSemiClosed(this.scrSettings);
+        } else {
+            model.setOpenCircuit();
+        }
+    }
+    
+    parseBailoutGases(text) {
+        const gases = [];
+        for (const entry of text.split(',').map(part => part.trim()).filter(part => part)) {
+            const match = entry.match(/^(\d+)\s*\/\s*(\d+)$/);
+            const oxygen = match ? parseInt(match[1]) : NaN;
+            const helium = match ? parseInt(match[2]) : NaN;
+            if (!(oxygen >= 1 && oxygen <= 100 && helium >= 0 && oxygen + helium <= 100)) {
+                return null;
+            }
+            gases.push(window.DecompressionSimulator.createGasMix(oxygen, helium));
+        }
+        return gases;
+    }
+    
+    calculateBailoutPlan(model) {
+        // Bail out from the loop at its current ppO2 onto the diluent plus the bailout gases
+        const loop = {
+            setpoint: this.breathingMode === 'closed-circuit' ? this.setpoint : this.inspiredPpO2(this.currentDepth),
+            diluent: model.getDiveState().gasMix
+        };
+        return model.calculateBailoutPlan(loop, this.bailoutGases);
+    }
+    
+    gasDensity(depth) {
+        // Density of the gas actually breathed, i.e. the loop gas on a rebreather
+        const partialPressures = Object.values(this.models)[0].getInspiredPartialPressures(depth);
+        return window.DecompressionSimulator.calculateGasDensityFromPartialPressures(partialPressures);
+    }
+    
+    updateGasDensity() {
+        const limits = window.DecompressionSimulator.GAS_DENSITY_LIMITS;
+        const density = this.gasDensity(this.currentDepth);
+        const element = document.getElementById('gas-density');
+        
+        element.textContent = `${density > limits.recommended ? '⚠️ ' : ''}${density.toFixed(2)} g/L`;
+        element.classList.toggle('gas-caution', density > limits.recommended && density <= limits.maximum);
+        element.classList.toggle('gas-warning', density > limits.maximum);
+    }
+    
+    inspiredPpO2(depth) {
+        // Every model shares the breathing mode, so any of them gives the loop or open-circuit ppO2
+        return Object.values(this.models)[0].getInspiredPartialPressures(depth).oxygen;
+    }
+    
     updateVpmConservatism(newConservatism) {
         this.vpmConservatism = newConservatism;
         
@@ -1248,10 +1745,31 @@ class DiveSimulator {
         console.log(`VPM-B conservatism updated to ${newConservatism}`);
     }
     
+    updateVpmGfsSettings(newConservatism, newGradientFactor) {
+        this.vpmGfsConservatism = newConservatism;
+        this.vpmGfsGradientFactor = newGradientFactor;
+        const title = `VPM-B+${newConservatism}/GFS ${newGradientFactor}`;
+        
+        this.updateModelWithNewParameters(
+            'vpmbgfs', 
+            'vpmbgfs', 
+            { conservatism: newConservatism, gradientFactorHigh: newGradientFactor },
+            '#vpmbgfs-title',
+            title
+        );
+        
+        document.getElementById('vpmbgfs-schedule-title').textContent = title;
+        
+        console.log(`VPM-B/GFS updated to ${title}`);
+    }
+    
     // Helper function to update model with new parameters while preserving state
     updateModelWithNewParameters(modelKey, modelType, options, titleSelector, titleText) {
         const oldModel = this.models[modelKey];
         this.models[modelKey] = window.DecompressionSimulator.createModel(modelType, options);
+        this.models[modelKey].setAscentRate(this.ascentRate);
+        this.models[modelKey].setStopSettings(this.getStopSettings());
+        this.models[modelKey].setDeepStops({ style: this.deepStops[modelKey] });
         
         // Copy current state from old model to new model
         if (oldModel) {
@@ -1267,6 +1785,7 @@ class DiveSimulator {
                     // Copy any additional properties for specific models (like VPM-B crushing pressure)
                     if (oldCompartments[i].maxCrushingPressure !== undefined) {
                         newCompartments[i].maxCrushingPressure = oldCompartments[i].maxCrushingPressure;
+                        newCompartments[i].maxCrushingGradient = oldCompartments[i].maxCrushingGradient;
                     }
                 }
             }
@@ -1292,14 +1811,59 @@ class DiveSimulator {
         this.updateModelWithNewParameters(
             'buhlmann', 
             'buhlmann', 
-            { gradientFactorLow: newGfLow, gradientFactorHigh: newGfHigh },
+            { gradientFactorLow: newGfLow, gradientFactorHigh: newGfHigh, coefficients: this.buhlmannCoefficients },
             '#buhlmann-result h4',
-            `Bühlmann (${newGfLow}/${newGfHigh})`
+            `Bühlmann ${this.buhlmannCoefficientLabel()} (${newGfLow}/${newGfHigh})`
         );
         
         console.log(`Bühlmann gradient factors updated to ${newGfLow}/${newGfHigh}`);
     }
     
+    updateBuhlmannCoefficients(coefficients) {
+        const { low, high } = this.buhlmannGradientFactors;
+        
+        // Throws for an invalid custom table, leaving the current model in place
+        this.updateModelWithNewParameters(
+            'buhlmann', 
+            'buhlmann', 
+            { gradientFactorLow: low, gradientFactorHigh: high, coefficients },
+            '#buhlmann-result h4',
+            `Bühlmann ${this.buhlmannCoefficientLabel(coefficients)} (${low}/${high})`
+        );
+        this.buhlmannCoefficients = coefficients;
+        
+        console.log(`Bühlmann coefficients updated to ${this.buhlmannCoefficientLabel(coefficients)}`);
+    }
+    
+    buhlmannCoefficientLabel(coefficients = this.buhlmannCoefficients) {
+        return typeof coefficients === 'string' ? coefficients.replace('ZHL-', 'ZH-L') : 'custom';
+    }
+    
+    formatBuhlmannCoefficients(coefficients) {
+        return coefficients.nitrogenHalfTimes.map((_, i) => [
+            coefficients.nitrogenHalfTimes[i], coefficients.nitrogenMValuesA[i], coefficients.nitrogenMValuesB[i],
+            coefficients.heliumHalfTimes[i], coefficients.heliumMValuesA[i], coefficients.heliumMValuesB[i]
+        ].join(', ')).join('\n');
+    }
+    
+    parseBuhlmannCoefficients(text) {
+        // 16 lines of six numbers; the model validates the values themselves
+        const rows = text.split('\n').map(line => line.trim()).filter(line => line)
+            .map(line => line.split(/[\s,;]+/).map(Number));
+        if (rows.length !== 16 || rows.some(row => row.length !== 6 || row.some(value => !Number.isFinite(value)))) {
+            return null;
+        }
+        const column = (index) => rows.map(row => row[index]);
+        return {
+            nitrogenHalfTimes: column(0),
+            nitrogenMValuesA: column(1),
+            nitrogenMValuesB: column(2),
+            heliumHalfTimes: column(3),
+            heliumMValuesA: column(4),
+            heliumMValuesB: column(5)
+        };
+    }
+    
     updateVval18GradientFactors(newGfLow, newGfHigh) {
         this.vval18GradientFactors = { low: newGfLow, high: newGfHigh };
         
@@ -1535,6 +2099,7 @@ class DiveSimulator {
         
         // Model settings panels
         const vpmBPanel = document.getElementById('vpmb-settings');
+        const vpmBGfsPanel = document.getElementById('vpmbgfs-settings');
         const buhlmannPanel = document.getElementById('buhlmann-settings');
         const vval18Panel = document.getElementById('vval18-settings');
         const bvmPanel = document.getElementById('bvm-settings');
@@ -1546,6 +2111,7 @@ class DiveSimulator {
         const showModelSettings = (selectedModel) => {
             // Hide all panels first
             vpmBPanel.style.display = 'none';
+            vpmBGfsPanel.style.display = 'none';
             buhlmannPanel.style.display = 'none';
             vval18Panel.style.display = 'none';
             bvmPanel.style.display = 'none';
@@ -1558,6 +2124,9 @@ class DiveSimulator {
                 case 'vpmb':
                     vpmBPanel.style.display = 'block';
                     break;
+                case 'vpmbgfs':
+                    vpmBGfsPanel.style.display = 'block';
+                    break;
                 case 'buhlmann':
                     buhlmannPanel.style.display = 'block';
                     break;
@@ -1579,9 +2148,20 @@ class DiveSimulator {
             }
         };
         
+        // Deep stops apply to whichever model is selected
+        const deepStopSelector = document.getElementById('deep-stop-style');
+        
         // Model selector change event
         modelSelector.addEventListener('change', (e) => {
             showModelSettings(e.target.value);
+            deepStopSelector.value = this.deepStops[e.target.value];
+        });
+        
+        deepStopSelector.addEventListener('change', (e) => {
+            const modelKey = modelSelector.value;
+            this.deepStops[modelKey] = e.target.value;
+            this.models[modelKey].setDeepStops({ style: e.target.value });
+            this.updateDisplay();
         });
         
         // Initialize with first option (VPM-B)
@@ -1597,6 +2177,24 @@ class DiveSimulator {
             this.updateVpmConservatism(newConservatism);
         });
         
+        // VPM-B/GFS controls
+        const vpmGfsConservatismSlider = document.getElementById('unified-vpmgfs-conservatism');
+        const vpmGfsConservatismDisplay = document.getElementById('unified-vpmgfs-conservatism-display');
+        const vpmGfsGradientFactorSlider = document.getElementById('unified-vpmgfs-gf');
+        const vpmGfsGradientFactorDisplay = document.getElementById('unified-vpmgfs-gf-display');
+        
+        vpmGfsConservatismSlider.addEventListener('input', (e) => {
+            const newConservatism = parseInt(e.target.value);
+            vpmGfsConservatismDisplay.textContent = newConservatism;
+            this.updateVpmGfsSettings(newConservatism, this.vpmGfsGradientFactor);
+        });
+        
+        vpmGfsGradientFactorSlider.addEventListener('input', (e) => {
+            const newGradientFactor = parseInt(e.target.value);
+            vpmGfsGradientFactorDisplay.textContent = newGradientFactor;
+            this.updateVpmGfsSettings(this.vpmGfsConservatism, newGradientFactor);
+        });
+        
         // Bühlmann gradient factor controls
         const buhlmannGfLowSlider = document.getElementById('unified-buhlmann-gf-low');
         const buhlmannGfLowDisplay = document.getElementById('unified-buhlmann-gf-low-display');
@@ -1615,6 +2213,34 @@ class DiveSimulator {
             this.updateBuhlmannGradientFactors(this.buhlmannGradientFactors.low, newGfHigh);
         });
         
+        // Bühlmann coefficient set, or a custom table starting from the current coefficients
+        const buhlmannCoefficientSelector = document.getElementById('unified-buhlmann-coefficients');
+        const buhlmannCustomPanel = document.getElementById('buhlmann-custom-coefficients');
+        const buhlmannCustomTable = document.getElementById('unified-buhlmann-custom-table');
+        
+        buhlmannCoefficientSelector.addEventListener('change', (e) => {
+            buhlmannCustomPanel.hidden = e.target.value !== 'custom';
+            if (e.target.value === 'custom') {
+                buhlmannCustomTable.value = this.formatBuhlmannCoefficients(this.models.buhlmann.getCoefficients());
+                this.updateBuhlmannCoefficients(this.models.buhlmann.getCoefficients());
+            } else {
+                this.updateBuhlmannCoefficients(e.target.value);
+            }
+        });
+        
+        buhlmannCustomTable.addEventListener('change', (e) => {
+            const coefficients = this.parseBuhlmannCoefficients(e.target.value);
+            try {
+                if (!coefficients) {
+                    throw new Error('Enter 16 lines of six numbers');
+                }
+                this.updateBuhlmannCoefficients(coefficients);
+            } catch (error) {
+                alert(`Invalid coefficient table: ${error.message}`);
+                e.target.value = this.formatBuhlmannCoefficients(this.models.buhlmann.getCoefficients());
+            }
+        });
+        
         // VVal-18 gradient factor controls
         const vval18GfLowSlider = document.getElementById('unified-vval18-gf-low');
         const vval18GfLowDisplay = document.getElementById('unified-vval18-gf-low-display');
@@ -1719,15 +2345,13 @@ class DiveSimulator {
     
     startSimulation() {
         this.isRunning = true;
-        // Calculate interval to update every 10 seconds of dive time
-        // At 1x: 10000ms (10s wallclock = 10s dive time)
-        // At 10x: 1000ms (1s wallclock = 10s dive time)  
-        // At 60x: 167ms (0.167s wallclock = 10s dive time)
-        // At 600x: 17ms (0.017s wallclock = 10s dive time)
-        const intervalMs = Math.max(10000 / this.timeSpeed, 16); // Minimum 16ms for performance
+        // Update at a fixed wall-clock rate; the dive time covered per update scales with speed
+        // At 1x: 0.5s of dive time per update
+        // At 60x: 30s of dive time per update
+        // At 600x: 5 min of dive time per update, simulated in 30s model steps
         this.intervalId = setInterval(() => {
             this.updateSimulation();
-        }, intervalMs);
+        }, this.tickIntervalMs);
     }
     
     pauseSimulation() {
@@ -1744,7 +2368,19 @@ class DiveSimulator {
         
         this.pauseSimulation();
         this.currentDepth = 0;
+        this.targetDepth = 0;
+        this.descentRate = 18;
+        this.ascentRate = 9;
         this.diveTime = 0;
+        this.diveNumber = 1;
+        this.oxygenExposure.reset();
+        this.gasUsed = 0;
+        this.gasPhase = 'bottom';
+        this.decompressionDives = {};
+        this.breathingMode = 'open-circuit';
+        this.setpoint = 1.3;
+        this.scrSettings = this.defaultScrSettings();
+        this.bailoutGases = this.parseBailoutGases('21/35, 50/0');
         this.diveHistory = [];
         this.lastHistoryTime = 0;
         
@@ -1753,11 +2389,27 @@ class DiveSimulator {
         
         // Reset controls
         document.getElementById('depth-slider').value = 0;
+        document.getElementById('depth-display').textContent = 0;
+        document.getElementById('descent-rate').value = 18;
+        document.getElementById('ascent-rate').value = 9;
         document.getElementById('oxygen').value = 21;
         document.getElementById('helium').value = 0;
         document.getElementById('nitrogen').value = 79;
         this.currentGasMix = { oxygen: 21, helium: 0 };
+        document.getElementById('breathing-mode').value = 'open-circuit';
+        document.getElementById('setpoint').value = 1.3;
+        document.getElementById('setpoint').disabled = true;
+        document.getElementById('scr-controls').hidden = true;
+        document.getElementById('scr-type').value = 'passive';
+        document.getElementById('scr-consumption').value = 1.0;
+        document.getElementById('scr-dump-ratio').value = 10;
+        document.getElementById('scr-dump-ratio').disabled = false;
+        document.getElementById('scr-injection-rate').value = 10;
+        document.getElementById('scr-injection-rate').disabled = true;
+        document.getElementById('bailout-gases').value = '21/35, 50/0';
         this.vpmConservatism = 2;
+        this.vpmGfsConservatism = 2;
+        this.vpmGfsGradientFactor = 90;
         this.bvmConservatism = 3;
         this.bvmMaxDcsRisk = 5.0;
         this.nmri98Conservatism = 3;
@@ -1772,6 +2424,10 @@ class DiveSimulator {
         // Reset unified model settings controls
         document.getElementById('unified-vpm-conservatism').value = 2;
         document.getElementById('unified-vpm-conservatism-display').textContent = '2';
+        document.getElementById('unified-vpmgfs-conservatism').value = 2;
+        document.getElementById('unified-vpmgfs-conservatism-display').textContent = '2';
+        document.getElementById('unified-vpmgfs-gf').value = 90;
+        document.getElementById('unified-vpmgfs-gf-display').textContent = '90';
         document.getElementById('unified-buhlmann-gf-low').value = 30;
         document.getElementById('unified-buhlmann-gf-low-display').textContent = '30';
         document.getElementById('unified-buhlmann-gf-high').value = 85;
@@ -1812,10 +2468,12 @@ class DiveSimulator {
         document.getElementById('unified-hills-perfusion-display').textContent = '1.0';
         
         // Reset model titles to default
-        document.getElementById('buhlmann-result').querySelector('h4').textContent = 'Bühlmann ZH-L16C';
+        document.getElementById('buhlmann-result').querySelector('h4').textContent = `Bühlmann ${this.buhlmannCoefficientLabel()}`;
         document.getElementById('vval18-result').querySelector('h4').textContent = 'VVal-18 Thalmann';
         document.getElementById('vpmb-title').textContent = 'VPM-B+2';
         document.getElementById('vpmb-schedule-title').textContent = 'VPM-B+2';
+        document.getElementById('vpmbgfs-title').textContent = 'VPM-B+2/GFS 90';
+        document.getElementById('vpmbgfs-schedule-title').textContent = 'VPM-B+2/GFS 90';
         document.getElementById('bvm-result').querySelector('h4').textContent = 'BVM(3)';
         document.getElementById('tbdm-title').textContent = 'TBDM CF:1.0';
         document.getElementById('tbdm-schedule-title').textContent = 'TBDM CF:1.0';
@@ -1871,35 +2529,135 @@ class DiveSimulator {
     updateSimulation() {
         if (!this.isRunning) return;
         
-        // Advance time by exactly 10 seconds (1/6 minute) of dive time per update
-        const timeStep = 1/6; // 10 seconds in minutes
-        this.diveTime += timeStep;
+        // Advance dive time by the wall-clock tick scaled by the speed multiplier, split into
+        // sub-steps so models with bubble dynamics see bounded time steps at high speeds
+        const tickTime = (this.tickIntervalMs / 60000) * this.timeSpeed;
+        const subStepCount = Math.ceil(tickTime / this.maxModelStep);
+        const timeStep = tickTime / subStepCount;
+        
+        for (let i = 0; i < subStepCount; i++) {
+            // Move toward the target depth, then spend whatever is left of the step at that depth
+            const startDepth = this.currentDepth;
+            const { depth: endDepth, travelTime } = this.moveTowardTargetDepth(timeStep);
+            this.simulateSegment(travelTime, startDepth, endDepth);
+            this.simulateSegment(timeStep - travelTime, endDepth, endDepth);
+            
+            // Record history for charts at regular intervals
+            // Sample every 30 seconds of dive time (0.5 minutes)
+            const timeSinceLastHistory = this.diveTime - this.lastHistoryTime;
+            if (timeSinceLastHistory >= 0.5) {
+                this.recordDiveHistory();
+                this.lastHistoryTime = this.diveTime;
+            }
+        }
         
-        // Update all models
+        this.updateDisplay(true);
+        this.updateCharts();
+    }
+    
+    /**
+     * Update all models, oxygen exposure and gas use for one segment of the dive, treating
+     * a depth change as a constant-rate descent or ascent (Schreiner equation)
+     * @param {number} duration - Segment duration in minutes
+     * @param {number} startDepth - Depth at the start of the segment in meters
+     * @param {number} endDepth - Depth at the end of the segment in meters
+     */
+    simulateSegment(duration, startDepth, endDepth) {
+        if (!(duration > 0)) return;
+        
+        this.diveTime += duration;
         Object.values(this.models).forEach(model => {
-            model.updateTissueLoadings(timeStep);
-            model.updateDiveState({ time: this.diveTime });
+            model.updateTissueLoadings(duration, startDepth, endDepth);
+            model.updateDiveState({ depth: endDepth, time: this.diveTime });
         });
+        this.oxygenExposure.addPpO2Exposure(duration, this.inspiredPpO2(startDepth), this.inspiredPpO2(endDepth));
+        this.addGasUsed(duration, startDepth, endDepth);
+        this.currentDepth = endDepth;
+    }
+    
+    updateGasRemaining() {
+        const element = document.getElementById('gas-remaining');
+        if (this.breathingMode !== 'open-circuit') {
+            element.textContent = 'Loop';
+            element.classList.remove('gas-warning');
+            return;
+        }
         
-        // Record history for charts at regular intervals
-        // Sample every 30 seconds of dive time (0.5 minutes)
-        const timeSinceLastHistory = this.diveTime - this.lastHistoryTime;
-        if (timeSinceLastHistory >= 0.5) {
-            this.recordDiveHistory();
-            this.lastHistoryTime = this.diveTime;
+        // Rule of thirds: warn once more than two thirds of the cylinder are gone
+        const available = window.DecompressionSimulator.cylinderGasVolume(this.cylinder);
+        const remainingPressure = Math.max(0, (available - this.gasUsed) / this.cylinder.volume);
+        element.textContent = `${Math.round(remainingPressure)} bar (${Math.round(this.gasUsed)} L)`;
+        element.classList.toggle('gas-warning', this.gasUsed > (2 / 3) * available);
+    }
+    
+    addGasUsed(timeStep, startDepth, endDepth) {
+        if (endDepth > startDepth) {
+            this.gasPhase = 'bottom';
+        } else if (endDepth < startDepth) {
+            this.gasPhase = 'deco';
         }
         
+        // Rebreather divers breathe the loop, not the open-circuit cylinder
+        if (this.breathingMode !== 'open-circuit') return;
+        
+        this.gasUsed += this.gasConsumption.calculateSegmentGas(
+            timeStep,
+            this.gasPhase,
+            this.depthToPressure(startDepth),
+            this.depthToPressure(endDepth)
+        );
+    }
+    
+    startSurfaceInterval(duration) {
+        if (!(duration > 0)) return;
+        
+        if (this.currentDepth > 0 || this.targetDepth > 0) {
+            alert('Surface before starting a surface interval.');
+            return;
+        }
+        
+        // Off-gas in slices so the surface interval shows on the dive timeline
+        const sliceCount = Math.min(60, Math.ceil(duration));
+        const sliceDuration = duration / sliceCount;
+        for (let i = 0; i < sliceCount; i++) {
+            Object.values(this.models).forEach(model => model.simulateSurfaceInterval(sliceDuration));
+            this.oxygenExposure.addPpO2Exposure(sliceDuration, 0.21 * this.surfacePressure);
+            this.diveTime += sliceDuration;
+            this.recordDiveHistory(true);
+        }
+        this.lastHistoryTime = this.diveTime;
+        
+        // Models breathe open-circuit air during the interval; the next dive starts on the
+        // selected gas and breathing mode
+        Object.values(this.models).forEach(model => {
+            model.updateDiveState({
+                gasMix: window.DecompressionSimulator.createGasMix(
+                    this.currentGasMix.oxygen,
+                    this.currentGasMix.helium
+                )
+            });
+            this.applyBreathingMode(model);
+        });
+        
+        this.diveNumber++;
+        this.gasUsed = 0; // Cylinders are refilled between dives
+        this.gasPhase = 'bottom';
         this.updateDisplay();
         this.updateCharts();
     }
     
-    recordDiveHistory() {
-        const ambientPressure = window.DecompressionSimulator.depthToPressure(this.currentDepth);
+    recordDiveHistory(surfaceInterval = false) {
+        const ambientPressure = this.depthToPressure(this.currentDepth);
         const historyPoint = {
             time: this.diveTime,
             depth: this.currentDepth,
             ambientPressure: ambientPressure,
             gasMix: { ...this.currentGasMix },
+            gasDensity: this.gasDensity(this.currentDepth),
+            cns: this.oxygenExposure.getCnsPercent(),
+            otu: this.oxygenExposure.getOtu(),
+            diveNumber: this.diveNumber,
+            surfaceInterval: surfaceInterval,
             models: {}
         };
         
@@ -1914,6 +2672,9 @@ class DiveSimulator {
                     canAscend: model.canAscendDirectly(),
                     risk: model.calculateDCSRisk ? model.calculateDCSRisk() : 0
                 };
+                if (!historyPoint.models[name].canAscend) {
+                    this.decompressionDives[name] = true;
+                }
 
                 // Add bubble model specific parameters
                 if (name === 'vpmb' && typeof model.calculateBubbleCount === 'function') {
@@ -2026,15 +2787,40 @@ class DiveSimulator {
         console.log(`Recorded dive history point at ${this.diveTime.toFixed(1)} min, depth ${this.currentDepth}m, total points: ${this.diveHistory.length}`);
     }
     
-    updateDisplay() {
+    /**
+     * Refresh the status panel and the model results
+     * @param {boolean} throttled - Skip the model results (stops, TTS, bailout and surface time
+     *     searches) if they were refreshed less than modelResultsIntervalMs ago
+     */
+    updateDisplay(throttled = false) {
         // Update status panel
-        document.getElementById('current-depth').textContent = `${this.currentDepth} m`;
+        document.getElementById('current-depth').textContent = `${this.currentDepth.toFixed(1)} m`;
         document.getElementById('current-time').textContent = window.DecompressionSimulator.formatTimeHHMM(this.diveTime);
-        document.getElementById('current-gas').textContent = `${this.currentGasMix.oxygen}/${this.currentGasMix.helium}`;
-        document.getElementById('ambient-pressure').textContent = `${window.DecompressionSimulator.depthToPressure(this.currentDepth).toFixed(1)} bar`;
-        document.getElementById('depth-display').textContent = this.currentDepth;
+        document.getElementById('current-dive').textContent = `#${this.diveNumber}`;
+        document.getElementById('current-cns').textContent = `${this.oxygenExposure.getCnsPercent().toFixed(0)}%`;
+        document.getElementById('current-otu').textContent = this.oxygenExposure.getOtu().toFixed(0);
+        document.getElementById('current-cns').classList.toggle('oxygen-warning', this.oxygenExposure.getCnsPercent() >= 80);
+        const gasLabel = `${this.currentGasMix.oxygen}/${this.currentGasMix.helium}`;
+        const gasLabels = {
+            'open-circuit': gasLabel,
+            'closed-circuit': `CCR ${this.setpoint.toFixed(1)} (${gasLabel})`,
+            'semi-closed': `SCR (${gasLabel})`
+        };
+        document.getElementById('current-gas').textContent = gasLabels[this.breathingMode];
+        document.getElementById('ambient-pressure').textContent = `${this.depthToPressure(this.currentDepth).toFixed(2)} bar`;
+        this.updateGasRemaining();
+        this.updateGasDensity();
+        this.updateGasInfo();
+        document.getElementById('current-ppo2').textContent = `${this.inspiredPpO2(this.currentDepth).toFixed(2)} bar`;
+        document.getElementById('depth-display').textContent = this.targetDepth;
         document.getElementById('time-display').textContent = window.DecompressionSimulator.formatTimeHHMM(this.diveTime);
         
+        const now = performance.now();
+        if (throttled && now - this.lastModelResultsUpdate < this.modelResultsIntervalMs) {
+            return;
+        }
+        this.lastModelResultsUpdate = now;
+        
         // Update model results (only for enabled models)
         Object.entries(this.models).forEach(([name, model]) => {
             if (!this.enabledModels[name]) return; // Skip disabled models
@@ -2045,14 +2831,37 @@ class DiveSimulator {
             // Calculate total time to surface (TTS) including ascent time
             const totalTime = model.calculateTTS();
             
-            // Update ceiling and TTS
+            // Update ceiling and TTS; a stop that never clears leaves no time to surface
             document.getElementById(`${name}-ceiling`).textContent = `${Math.round(ceiling)}m`;
-            document.getElementById(`${name}-tts`).textContent = totalTime > 0 ? `${Math.round(totalTime)} min` : '0 min';
+            document.getElementById(`${name}-tts`).textContent = this.formatTts(totalTime);
+            
+            // Bailout TTS only applies on a rebreather
+            const bailoutElement = document.getElementById(`${name}-bailout-tts`);
+            if (this.breathingMode === 'open-circuit') {
+                bailoutElement.textContent = '–';
+                bailoutElement.title = '';
+            } else {
+                const bailout = this.calculateBailoutPlan(model);
+                bailoutElement.textContent = this.formatTts(bailout.tts);
+                bailoutElement.title = `${Math.round(bailout.totalGasVolume)} L of open-circuit gas`;
+            }
+            
+            // Desaturation and no-fly times once back at the surface after diving
+            if (!canAscend) {
+                this.decompressionDives[name] = true;
+            }
+            this.updateSurfaceTimes(name, model);
+            
+            // Live gradient factors, as shown by Bühlmann GF dive computers
+            if (name === 'buhlmann') {
+                this.updateGradientFactorReading(model);
+            }
             
             // Update status
             const statusElement = document.getElementById(`${name}-status`);
             if (canAscend) {
-                statusElement.textContent = '✅ No Deco';
+                const ndl = model.calculateNoDecompressionLimit();
+                statusElement.textContent = `✅ NDL ${ndl >= 99 ? '99+' : ndl} min`;
                 statusElement.style.color = '#34d399';
             } else {
                 statusElement.textContent = '⚠️ Deco Required';
@@ -2065,15 +2874,84 @@ class DiveSimulator {
                 scheduleElement.innerHTML = '<div class="no-deco">No decompression required</div>';
             } else {
                 scheduleElement.innerHTML = stops.map(stop => 
-                    `<div class="deco-stop">
-                        <span class="depth">${stop.depth}m</span>
-                        <span class="time">${Math.round(stop.time)} min</span>
+                    `<div class="deco-stop${stop.deepStop ? ' deep-stop' : ''}${stop.cleared === false ? ' uncleared-stop' : ''}">
+                        <span class="depth">${this.formatStopDepth(stop.depth)}${stop.deepStop ? ' (deep)' : ''}</span>
+                        <span class="gas">${Math.round(stop.gasMix.oxygen * 100)}/${Math.round(stop.gasMix.helium * 100)}</span>
+                        <span class="time">${stop.cleared === false ? '⚠️ Never clears' : `${Math.round(stop.time)} min`}</span>
                     </div>`
                 ).join('');
             }
         });
     }
     
+    getStopSettings() {
+        // The last stop moves to the nearest grid depth, at least one interval deep
+        const stopInterval = window.DecompressionSimulator.STOP_INTERVALS[this.stopInterval];
+        return {
+            stopInterval,
+            lastStopDepth: Math.max(1, Math.round(this.lastStop / stopInterval)) * stopInterval,
+            minimumStopTime: this.minimumStopTime,
+            stopTimeRounding: this.stopTimeRounding
+        };
+    }
+    
+    applyStopSettings() {
+        const stopSettings = this.getStopSettings();
+        Object.values(this.models).forEach(model => model.setStopSettings(stopSettings));
+        this.updateDisplay();
+    }
+    
+    formatStopDepth(depth) {
+        return this.stopInterval === '10ft' ? `${Math.round(depth / 0.3048)} ft` : `${Math.round(depth)}m`;
+    }
+    
+    formatTts(tts) {
+        // Infinite when a stop never clears
+        if (!Number.isFinite(tts)) {
+            return '⚠️ No ascent';
+        }
+        return tts > 0 ? `${Math.round(tts)} min` : '0 min';
+    }
+    
+    updateGradientFactorReading(model) {
+        const reading = model.getGradientFactorReading();
+        const format = (gf) => `${Math.round(gf)}%`;
+        document.getElementById('buhlmann-gf99').textContent = format(reading.gf99);
+        document.getElementById('buhlmann-surf-gf').textContent = format(reading.surfGf);
+        document.getElementById('buhlmann-leading').textContent = `C${reading.leadingCompartment}`;
+        
+        // Warn once surfacing now would exceed GF High
+        const surfGfElement = document.getElementById('buhlmann-surf-gf');
+        surfGfElement.classList.toggle('gf-warning', reading.surfGf > this.buhlmannGradientFactors.high);
+    }
+    
+    updateSurfaceTimes(name, model) {
+        const desatElement = document.getElementById(`${name}-desat`);
+        const noFlyElement = document.getElementById(`${name}-no-fly`);
+        if (this.currentDepth > 0 || this.diveTime === 0) {
+            desatElement.textContent = '–';
+            noFlyElement.textContent = '–';
+            return;
+        }
+        
+        // 5 minute resolution keeps the 48 hour search cheap enough for every refresh
+        const options = { timeStep: 5 };
+        const maxTime = 48 * 60;
+        const format = (minutes) => minutes >= maxTime ? '> 48:00' : window.DecompressionSimulator.formatTime(minutes);
+        desatElement.textContent = format(model.calculateDesaturationTime(options));
+        
+        if (this.noFlyRule === 'dan') {
+            noFlyElement.textContent = format(window.DecompressionSimulator.calculateDanNoFlyTime(
+                Boolean(this.decompressionDives[name]),
+                this.diveNumber > 1
+            ));
+            noFlyElement.title = 'DAN: 12 h after a single no-deco dive, 18 h after repetitive dives, 24 h after deco';
+        } else {
+            noFlyElement.textContent = format(model.calculateNoFlyTime(options));
+            noFlyElement.title = `Until the ceiling clears a ${window.DecompressionSimulator.CABIN_PRESSURE} bar cabin`;
+        }
+    }
+    
     updateCharts() {
         if (this.diveHistory.length === 0) {
             console.log('No dive history available for charts');
@@ -2276,6 +3154,18 @@ class DiveSimulator {
         this.profileChart.data.datasets[7].data = zoomedHistory.map(h => 
             h.models.hills ? h.models.hills.ceiling : 0
         );
+        
+        // Gas density with its 5.2 and 6.2 g/L thresholds - Datasets 8 to 10
+        const densityLimits = window.DecompressionSimulator.GAS_DENSITY_LIMITS;
+        this.profileChart.data.datasets[8].data = zoomedHistory.map(h => h.gasDensity);
+        this.profileChart.data.datasets[9].data = zoomedHistory.map(() => densityLimits.recommended);
+        this.profileChart.data.datasets[10].data = zoomedHistory.map(() => densityLimits.maximum);
+        
+        // VPM-B/GFS ceiling - Dataset 11
+        this.profileChart.data.datasets[11].hidden = !this.enabledModels.vpmbgfs;
+        this.profileChart.data.datasets[11].data = zoomedHistory.map(h => 
+            h.models.vpmbgfs ? h.models.vpmbgfs.ceiling : 0
+        );
         this.profileChart.update('default');
         
         // Update DCS risk chart using model-specific calculations
@@ -2449,6 +3339,7 @@ class DiveSimulator {
             const modelDefaults = {
                 buhlmann: 16,
                 vpmb: 16,
+                vpmbgfs: 16,
                 bvm: 3,
                 vval18: 3,
                 tbdm: 16,
@@ -2496,8 +3387,9 @@ class DiveSimulator {
         
         // Update chart title to show selected model
         const modelNames = {
-            buhlmann: 'Bühlmann ZH-L16C',
+            buhlmann: `Bühlmann ${this.buhlmannCoefficientLabel()}`,
             vpmb: 'VPM-B',
+            vpmbgfs: 'VPM-B/GFS',
             bvm: 'BVM(3)',
             vval18: 'VVal-18 Thalmann',
             tbdm: 'TBDM',
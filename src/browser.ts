@@ -4,14 +4,38 @@
  * This replaces the manual bundle.js file with a properly compiled TypeScript build
  */
 
-import { DecompressionModel } from './models/DecompressionModel';
-import { BuhlmannModel } from './models/BuhlmannModel';
+import {
+  DecompressionModel,
+  SEA_LEVEL_PRESSURE,
+  WATER_DENSITIES,
+  STOP_INTERVALS,
+  CABIN_PRESSURE,
+  altitudeToPressure,
+  calculateDanNoFlyTime,
+  waterPressurePerMeter
+} from './models/DecompressionModel';
+import { BuhlmannModel, BUHLMANN_COEFFICIENTS } from './models/BuhlmannModel';
 import { VpmBModel } from './models/VpmBModel';
+import { VpmBGfsModel } from './models/VpmBGfsModel';
 import { BvmModel } from './models/BvmModel';
 import { VVal18ThalmannModel } from './models/VVal18ThalmannModel';
 import { TbdmModel } from './models/TbdmModel';
 import { Nmri98Model } from './models/Nmri98Model';
 import { HillsModel } from './models/HillsModel';
+import { DivePlanner } from './planning/DivePlanner';
+import { OxygenExposureTracker, getNoaaCnsLimit } from './oxygen/OxygenExposureTracker';
+import { GasConsumptionCalculator, cylinderGasVolume } from './gas/GasConsumption';
+import {
+  calculateMod,
+  calculateMinimumOperatingDepth,
+  calculateEnd,
+  calculateEad,
+  calculateBestMix,
+  calculateGasDensity,
+  calculateGasDensityFromPartialPressures,
+  MIN_BREATHABLE_PPO2,
+  GAS_DENSITY_LIMITS
+} from './gas/GasUtilities';
 
 // Create global namespace
 declare global {
@@ -27,22 +51,58 @@ window.DecompressionSimulator = {};
 window.DecompressionSimulator.DecompressionModel = DecompressionModel;
 window.DecompressionSimulator.BuhlmannModel = BuhlmannModel;
 window.DecompressionSimulator.VpmBModel = VpmBModel;
+window.DecompressionSimulator.VpmBGfsModel = VpmBGfsModel;
 window.DecompressionSimulator.BvmModel = BvmModel;
 window.DecompressionSimulator.VVal18ThalmannModel = VVal18ThalmannModel;
 window.DecompressionSimulator.TbdmModel = TbdmModel;
 window.DecompressionSimulator.Nmri98Model = Nmri98Model;
 window.DecompressionSimulator.HillsModel = HillsModel;
+window.DecompressionSimulator.DivePlanner = DivePlanner;
+window.DecompressionSimulator.OxygenExposureTracker = OxygenExposureTracker;
+window.DecompressionSimulator.getNoaaCnsLimit = getNoaaCnsLimit;
+window.DecompressionSimulator.GasConsumptionCalculator = GasConsumptionCalculator;
+window.DecompressionSimulator.cylinderGasVolume = cylinderGasVolume;
+window.DecompressionSimulator.calculateMod = calculateMod;
+window.DecompressionSimulator.calculateMinimumOperatingDepth = calculateMinimumOperatingDepth;
+window.DecompressionSimulator.calculateEnd = calculateEnd;
+window.DecompressionSimulator.calculateEad = calculateEad;
+window.DecompressionSimulator.calculateBestMix = calculateBestMix;
+window.DecompressionSimulator.calculateGasDensity = calculateGasDensity;
+window.DecompressionSimulator.calculateGasDensityFromPartialPressures = calculateGasDensityFromPartialPressures;
+window.DecompressionSimulator.MIN_BREATHABLE_PPO2 = MIN_BREATHABLE_PPO2;
+window.DecompressionSimulator.GAS_DENSITY_LIMITS = GAS_DENSITY_LIMITS;
 
 // Helper function to create models (maintains compatibility with existing simulation.js)
+// Accepts altitude (m) or surfacePressure (bar), plus acclimatized, for altitude dives with any model,
+// and waterDensity (kg/m³) for fresh or salt water
+// Bühlmann also accepts coefficients: 'ZHL-16A', 'ZHL-16B', 'ZHL-16C' or a custom table
+// VPM-B/GFS ('vpmbgfs') accepts conservatism and the surfacing gradient factor as gradientFactorHigh
 window.DecompressionSimulator.createModel = function(type: string, options: any = {}) {
+  const model = createModelOfType(type, options);
+
+  if (options.waterDensity !== undefined) {
+    model.setWaterDensity(options.waterDensity);
+  }
+
+  if (options.surfacePressure !== undefined || options.altitude !== undefined) {
+    const surfacePressure = options.surfacePressure ?? altitudeToPressure(options.altitude);
+    model.setSurfacePressure(surfacePressure, options.acclimatized !== false);
+  }
+
+  return model;
+};
+
+function createModelOfType(type: string, options: any): DecompressionModel {
   switch(type.toLowerCase()) {
     case 'buhlmann':
       return new BuhlmannModel({
         low: options.gradientFactorLow ?? 30,
         high: options.gradientFactorHigh ?? 85
-      });
+      }, options.coefficients ?? 'ZHL-16C');
     case 'vpmb':
       return new VpmBModel(options.conservatism ?? 2);
+    case 'vpmbgfs':
+      return new VpmBGfsModel(options.conservatism ?? 2, options.gradientFactorHigh ?? 90);
     case 'bvm':
       return new BvmModel({
         conservatism: options.conservatism ?? 2,
@@ -76,7 +136,7 @@ window.DecompressionSimulator.createModel = function(type: string, options: any
     default:
       throw new Error('Unknown model type: ' + type);
   }
-};
+}
 
 // Utility functions for the UI (maintains compatibility)
 window.DecompressionSimulator.createGasMix = function(oxygen: number, helium: number) {
@@ -89,10 +149,21 @@ window.DecompressionSimulator.createGasMix = function(oxygen: number, helium: nu
   };
 };
 
-window.DecompressionSimulator.depthToPressure = function(depth: number) {
-  return 1.013 + (depth / 10.0); // 1 bar surface + 1 bar per 10m
+window.DecompressionSimulator.depthToPressure = function(
+  depth: number,
+  surfacePressure: number = SEA_LEVEL_PRESSURE,
+  waterDensity: number = WATER_DENSITIES.en13319
+) {
+  return surfacePressure + depth * waterPressurePerMeter(waterDensity);
 };
 
+window.DecompressionSimulator.altitudeToPressure = altitudeToPressure;
+window.DecompressionSimulator.WATER_DENSITIES = WATER_DENSITIES;
+window.DecompressionSimulator.STOP_INTERVALS = STOP_INTERVALS;
+window.DecompressionSimulator.BUHLMANN_COEFFICIENTS = BUHLMANN_COEFFICIENTS;
+window.DecompressionSimulator.CABIN_PRESSURE = CABIN_PRESSURE;
+window.DecompressionSimulator.calculateDanNoFlyTime = calculateDanNoFlyTime;
+
 window.DecompressionSimulator.formatTime = function(minutes: number) {
   const hrs = Math.floor(minutes / 60);
   const mins = Math.round(minutes % 60);
@@ -0,0 +1,219 @@
+/**
+ * Gas Consumption
+ *
+ * Estimates open-circuit gas use from a diver's surface air consumption (SAC) rate,
+ * with separate rates for bottom work and decompression, and checks the gas carried
+ * in cylinders against reserve policies such as the rule of thirds and minimum gas
+ * (rock bottom). Volumes are surface liters at 1 atm.
+ */
+
+import { GasMix, SEA_LEVEL_PRESSURE } from '../models/DecompressionModel';
+
+export interface ConsumptionRates {
+  /** Surface air consumption during descent and bottom work in L/min */
+  bottomSac: number;
+  /** Surface air consumption during the ascent and decompression in L/min */
+  decoSac: number;
+}
+
+/** Phase of the dive a segment belongs to, selecting the consumption rate */
+export type GasPhase = 'bottom' | 'deco';
+
+export interface Cylinder {
+  /** Label shown in reports, e.g. "D12" or "AL80 EAN50" */
+  name: string;
+  /** Water volume in liters */
+  volume: number;
+  /** Fill pressure in bar */
+  fillPressure: number;
+  /** Gas mix the cylinder is filled with */
+  gasMix: GasMix;
+}
+
+/**
+ * Reserve policy applied to the gas carried
+ * - all-usable: every liter carried may be breathed on the plan
+ * - rule-of-thirds: a third of each gas stays in reserve, so the plan may use two thirds
+ * - rock-bottom: the minimum gas for a two-diver ascent from the deepest point stays in the bottom gas
+ */
+export type ReservePolicy = 'all-usable' | 'rule-of-thirds' | 'rock-bottom';
+
+export interface GasUsage {
+  /** Gas mix breathed */
+  gasMix: GasMix;
+  /** Gas volume in surface liters */
+  volume: number;
+}
+
+export interface ReserveCheck {
+  /** Gas mix checked */
+  gasMix: GasMix;
+  /** Gas carried in cylinders of this mix in surface liters */
+  available: number;
+  /** Gas used by the plan in surface liters */
+  used: number;
+  /** Gas that must stay in reserve under the policy in surface liters */
+  reserve: number;
+  /** True when the plan's use plus the reserve fits in the gas carried */
+  ok: boolean;
+}
+
+export interface MinimumGasOptions {
+  /** Stressed surface air consumption per diver in L/min (default: 30 L/min) */
+  sacRate?: number;
+  /** Divers breathing from the gas during an out-of-gas ascent (default: 2) */
+  divers?: number;
+  /** Minutes spent at depth sorting out the problem before ascending (default: 1 minute) */
+  problemSolvingTime?: number;
+}
+
+/** Default SAC rates in L/min */
+export const DEFAULT_CONSUMPTION_RATES: Readonly<ConsumptionRates> = {
+  bottomSac: 20,
+  decoSac: 15
+};
+
+/**
+ * Calculate the gas carried in a cylinder, treating the gas as ideal
+ * @param cylinder Cylinder to evaluate
+ * @returns Gas volume in surface liters
+ */
+export function cylinderGasVolume(cylinder: Cylinder): number {
+  return cylinder.volume * cylinder.fillPressure;
+}
+
+/**
+ * Check whether two gas mixes have the same oxygen and helium fractions
+ */
+function isSameGas(a: GasMix, b: GasMix): boolean {
+  return Math.abs(a.oxygen - b.oxygen) < 1e-6 && Math.abs(a.helium - b.helium) < 1e-6;
+}
+
+/**
+ * Combine gas usage entries of the same mix
+ * @param usage Gas used per segment or per mix
+ * @returns One entry per distinct mix, in the order each mix first appears
+ */
+export function combineGasUsage(usage: GasUsage[]): GasUsage[] {
+  const combined: GasUsage[] = [];
+
+  for (const { gasMix, volume } of usage) {
+    const existing = combined.find(entry => isSameGas(entry.gasMix, gasMix));
+    if (existing) {
+      existing.volume += volume;
+    } else {
+      combined.push({ gasMix, volume });
+    }
+  }
+
+  return combined;
+}
+
+/**
+ * Computes gas used per segment and checks plans against reserve policies
+ */
+export class GasConsumptionCalculator {
+  private rates: ConsumptionRates;
+
+  /**
+   * @param rates SAC rates in L/min (defaults to 20 L/min bottom and 15 L/min deco)
+   */
+  constructor(rates: Partial<ConsumptionRates> = {}) {
+    this.rates = { ...DEFAULT_CONSUMPTION_RATES, ...rates };
+
+    if (this.rates.bottomSac <= 0 || this.rates.decoSac <= 0) {
+      throw new Error('Consumption rates must be greater than 0');
+    }
+  }
+
+  /**
+   * Get the SAC rates in L/min
+   */
+  public getRates(): ConsumptionRates {
+    return { ...this.rates };
+  }
+
+  /**
+   * Calculate the gas used over a segment, with ambient pressure changing linearly for descents and ascents
+   * @param timeStep Segment duration in minutes
+   * @param phase Dive phase selecting the bottom or deco SAC rate
+   * @param startPressure Ambient pressure at the start of the segment in bar
+   * @param endPressure Ambient pressure at the end of the segment in bar (defaults to the start pressure)
+   * @returns Gas used in surface liters
+   */
+  public calculateSegmentGas(
+    timeStep: number,
+    phase: GasPhase,
+    startPressure: number,
+    endPressure: number = startPressure
+  ): number {
+    if (timeStep <= 0) {
+      return 0;
+    }
+
+    const sacRate = phase === 'bottom' ? this.rates.bottomSac : this.rates.decoSac;
+    const averagePressure = (startPressure + endPressure) / 2;
+    return sacRate * timeStep * (averagePressure / SEA_LEVEL_PRESSURE);
+  }
+
+  /**
+   * Calculate the minimum gas (rock bottom) needed to get a team from depth to the surface
+   * after a problem: a stressed SAC rate for every diver sharing the gas, problem-solving
+   * time at depth, then a direct ascent at the average of depth and surface pressure
+   * @param depthPressure Ambient pressure at the deepest point in bar
+   * @param surfacePressure Surface pressure in bar
+   * @param ascentTime Ascent time from the deepest point to the surface in minutes
+   * @param options Minimum gas options
+   * @returns Minimum gas in surface liters
+   */
+  public calculateMinimumGas(
+    depthPressure: number,
+    surfacePressure: number,
+    ascentTime: number,
+    options: MinimumGasOptions = {}
+  ): number {
+    const sacRate = options.sacRate ?? 30;
+    const divers = options.divers ?? 2;
+    const problemSolvingTime = options.problemSolvingTime ?? 1;
+
+    if (sacRate <= 0 || divers < 1 || problemSolvingTime < 0) {
+      throw new Error('Invalid minimum gas options');
+    }
+
+    const teamSac = sacRate * divers;
+    const atDepth = teamSac * problemSolvingTime * depthPressure;
+    const ascent = teamSac * ascentTime * ((depthPressure + surfacePressure) / 2);
+    return (atDepth + ascent) / SEA_LEVEL_PRESSURE;
+  }
+
+  /**
+   * Check the gas carried against the gas a plan uses under a reserve policy
+   * Cylinders and usage are matched by gas mix, summing cylinders that hold the same mix
+   * @param cylinders Cylinders carried
+   * @param usage Gas used per mix
+   * @param policy Reserve policy (default: rule of thirds)
+   * @param minimumGas Minimum gas to keep in the bottom gas under the rock-bottom policy
+   * @returns One check per gas used, in the order of the usage list
+   */
+  public checkReserves(
+    cylinders: Cylinder[],
+    usage: GasUsage[],
+    policy: ReservePolicy = 'rule-of-thirds',
+    minimumGas?: GasUsage
+  ): ReserveCheck[] {
+    return usage.map(({ gasMix, volume: used }) => {
+      const available = cylinders
+        .filter(cylinder => isSameGas(cylinder.gasMix, gasMix))
+        .reduce((total, cylinder) => total + cylinderGasVolume(cylinder), 0);
+
+      let reserve = 0;
+      if (policy === 'rule-of-thirds') {
+        reserve = available / 3;
+      } else if (policy === 'rock-bottom' && minimumGas && isSameGas(minimumGas.gasMix, gasMix)) {
+        reserve = minimumGas.volume;
+      }
+
+      return { gasMix, available, used, reserve, ok: used + reserve <= available };
+    });
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * Gas Utilities
+ *
+ * Depth limits and narcosis equivalents for breathing gas mixes: maximum and minimum
+ * operating depth, equivalent narcotic depth (END), equivalent air depth (EAD), the
+ * best mix for a target depth, and breathing gas density. Depths are converted with the
+ * dive site's surface pressure and water density, defaulting to sea level and EN13319 water.
+ */
+
+import {
+  GasMix,
+  InspiredGas,
+  SEA_LEVEL_PRESSURE,
+  WATER_DENSITIES,
+  waterPressurePerMeter
+} from '../models/DecompressionModel';
+
+export interface GasConditions {
+  /** Surface pressure in bar (default: sea level) */
+  surfacePressure?: number;
+  /** Water density in kg/m³ (default: EN13319) */
+  waterDensity?: number;
+}
+
+export interface NarcosisOptions extends GasConditions {
+  /** Count oxygen as narcotic like nitrogen (default: true) */
+  oxygenNarcotic?: boolean;
+}
+
+export interface BestMixOptions extends NarcosisOptions {
+  /** Maximum ppO2 in bar at the target depth (default: 1.4) */
+  maxPpO2?: number;
+}
+
+/** Nitrogen fraction of air */
+const AIR_NITROGEN = 0.79;
+
+/** Lowest ppO2 in bar that is safe to breathe */
+export const MIN_BREATHABLE_PPO2 = 0.16;
+
+/** Gas densities in g/L at 0 °C and 1 atm */
+const GAS_DENSITIES_STP: Readonly<Record<InspiredGas, number>> = {
+  oxygen: 1.429,
+  nitrogen: 1.2506,
+  helium: 0.1786
+};
+
+/**
+ * Breathing gas density thresholds in g/L: work of breathing rises sharply above the
+ * recommended limit, and the maximum should not be exceeded (Anthony & Mitchell)
+ */
+export const GAS_DENSITY_LIMITS = {
+  recommended: 5.2,
+  maximum: 6.2
+} as const;
+
+/**
+ * Convert a depth to ambient pressure
+ */
+function depthToPressure(depth: number, conditions: GasConditions): number {
+  const surfacePressure = conditions.surfacePressure ?? SEA_LEVEL_PRESSURE;
+  return surfacePressure + depth * waterPressurePerMeter(conditions.waterDensity ?? WATER_DENSITIES.en13319);
+}
+
+/**
+ * Convert an ambient pressure to depth, never shallower than the surface
+ */
+function pressureToDepth(pressure: number, conditions: GasConditions): number {
+  const surfacePressure = conditions.surfacePressure ?? SEA_LEVEL_PRESSURE;
+  const depth = (pressure - surfacePressure) / waterPressurePerMeter(conditions.waterDensity ?? WATER_DENSITIES.en13319);
+  return Math.max(0, depth);
+}
+
+/**
+ * Get the narcotic fraction of a gas mix
+ */
+function narcoticFraction(gasMix: GasMix, oxygenNarcotic: boolean): number {
+  return oxygenNarcotic ? gasMix.nitrogen + gasMix.oxygen : gasMix.nitrogen;
+}
+
+/**
+ * Calculate the maximum operating depth (MOD) of a gas mix
+ * @param gasMix Gas mix to evaluate
+ * @param maxPpO2 Maximum ppO2 in bar (default: 1.4)
+ * @param conditions Surface pressure and water density
+ * @returns Depth in meters at which the gas reaches the maximum ppO2
+ */
+export function calculateMod(gasMix: GasMix, maxPpO2: number = 1.4, conditions: GasConditions = {}): number {
+  if (gasMix.oxygen <= 0) {
+    throw new Error('Oxygen fraction must be greater than 0');
+  }
+
+  return pressureToDepth(maxPpO2 / gasMix.oxygen, conditions);
+}
+
+/**
+ * Calculate the minimum operating depth of a hypoxic gas mix
+ * @param gasMix Gas mix to evaluate
+ * @param minPpO2 Minimum ppO2 in bar (default: 0.16)
+ * @param conditions Surface pressure and water density
+ * @returns Shallowest depth in meters at which the gas may be breathed (0 if breathable at the surface)
+ */
+export function calculateMinimumOperatingDepth(
+  gasMix: GasMix,
+  minPpO2: number = MIN_BREATHABLE_PPO2,
+  conditions: GasConditions = {}
+): number {
+  if (gasMix.oxygen <= 0) {
+    throw new Error('Oxygen fraction must be greater than 0');
+  }
+
+  return pressureToDepth(minPpO2 / gasMix.oxygen, conditions);
+}
+
+/**
+ * Calculate the equivalent narcotic depth (END): the air depth with the same narcotic load
+ * With oxygen narcotic, nitrogen and oxygen are compared against air's; otherwise only nitrogen
+ * @param gasMix Gas mix breathed
+ * @param depth Depth in meters
+ * @param options Oxygen-narcotic toggle, surface pressure and water density
+ * @returns END in meters
+ */
+export function calculateEnd(gasMix: GasMix, depth: number, options: NarcosisOptions = {}): number {
+  const oxygenNarcotic = options.oxygenNarcotic ?? true;
+  const airNarcoticFraction = oxygenNarcotic ? 1 : AIR_NITROGEN;
+  const narcoticPressure = depthToPressure(depth, options) * narcoticFraction(gasMix, oxygenNarcotic);
+
+  return pressureToDepth(narcoticPressure / airNarcoticFraction, options);
+}
+
+/**
+ * Calculate the equivalent air depth (EAD): the air depth with the same nitrogen partial pressure
+ * @param gasMix Gas mix breathed
+ * @param depth Depth in meters
+ * @param conditions Surface pressure and water density
+ * @returns EAD in meters
+ */
+export function calculateEad(gasMix: GasMix, depth: number, conditions: GasConditions = {}): number {
+  return pressureToDepth((depthToPressure(depth, conditions) * gasMix.nitrogen) / AIR_NITROGEN, conditions);
+}
+
+/**
+ * Calculate the best mix for a target depth: the most oxygen allowed by the maximum ppO2,
+ * then as much nitrogen as the target END allows, with helium making up the rest
+ * @param depth Target depth in meters
+ * @param maxEnd Maximum END in meters
+ * @param options Maximum ppO2, oxygen-narcotic toggle, surface pressure and water density
+ * @returns Best gas mix
+ */
+export function calculateBestMix(depth: number, maxEnd: number, options: BestMixOptions = {}): GasMix {
+  const maxPpO2 = options.maxPpO2 ?? 1.4;
+  const oxygenNarcotic = options.oxygenNarcotic ?? true;
+
+  if (depth < 0 || maxEnd < 0) {
+    throw new Error('Depth and END must not be negative');
+  }
+
+  const ambientPressure = depthToPressure(depth, options);
+  const oxygen = Math.min(1, maxPpO2 / ambientPressure);
+
+  // Narcotic fraction allowed so the mix at depth matches air at the END
+  const airNarcoticFraction = oxygenNarcotic ? 1 : AIR_NITROGEN;
+  const allowedNarcotic = (airNarcoticFraction * depthToPressure(maxEnd, options)) / ambientPressure;
+  const nitrogen = Math.max(0, Math.min(1 - oxygen, oxygenNarcotic ? allowedNarcotic - oxygen : allowedNarcotic));
+
+  return {
+    oxygen,
+    helium: Math.max(0, 1 - oxygen - nitrogen),
+    get nitrogen() { return 1 - this.oxygen - this.helium; }
+  };
+}
+
+/**
+ * Calculate breathing gas density from inspired partial pressures, as on a rebreather loop
+ * @param partialPressures Oxygen, nitrogen and helium partial pressures in bar
+ * @returns Gas density in g/L
+ */
+export function calculateGasDensityFromPartialPressures(partialPressures: Record<InspiredGas, number>): number {
+  return (Object.keys(GAS_DENSITIES_STP) as InspiredGas[]).reduce(
+    (density, gas) => density + (partialPressures[gas] / SEA_LEVEL_PRESSURE) * GAS_DENSITIES_STP[gas],
+    0
+  );
+}
+
+/**
+ * Calculate the density of an open-circuit gas mix at an ambient pressure
+ * @param gasMix Gas mix breathed
+ * @param ambientPressure Ambient pressure in bar
+ * @returns Gas density in g/L
+ */
+export function calculateGasDensity(gasMix: GasMix, ambientPressure: number): number {
+  return calculateGasDensityFromPartialPressures({
+    oxygen: gasMix.oxygen * ambientPressure,
+    nitrogen: gasMix.nitrogen * ambientPressure,
+    helium: gasMix.helium * ambientPressure
+  });
+}
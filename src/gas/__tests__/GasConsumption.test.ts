@@ -0,0 +1,94 @@
+/**
+ * Unit tests for Gas Consumption
+ */
+
+import {
+  GasConsumptionCalculator,
+  Cylinder,
+  combineGasUsage,
+  cylinderGasVolume
+} from '../GasConsumption';
+import { GasMix } from '../../models/DecompressionModel';
+
+describe('GasConsumptionCalculator', () => {
+  const air: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+  const ean50: GasMix = { oxygen: 0.50, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+  const twin12: Cylinder = { name: 'D12', volume: 24, fillPressure: 200, gasMix: air };
+  const stage: Cylinder = { name: 'S80 EAN50', volume: 11.1, fillPressure: 200, gasMix: ean50 };
+
+  let calculator: GasConsumptionCalculator;
+
+  beforeEach(() => {
+    calculator = new GasConsumptionCalculator({ bottomSac: 20, decoSac: 15 });
+  });
+
+  describe('Segment Gas', () => {
+    test('should scale the SAC rate by the average ambient pressure', () => {
+      expect(calculator.calculateSegmentGas(10, 'bottom', 4.052)).toBeCloseTo(20 * 10 * 4, 5);
+      expect(calculator.calculateSegmentGas(2, 'bottom', 1.013, 3.039)).toBeCloseTo(20 * 2 * 2, 5);
+    });
+
+    test('should use the deco rate for deco segments', () => {
+      expect(calculator.calculateSegmentGas(10, 'deco', 1.013)).toBeCloseTo(150, 5);
+      expect(calculator.calculateSegmentGas(0, 'deco', 1.013)).toBe(0);
+    });
+
+    test('should default and validate the rates', () => {
+      expect(new GasConsumptionCalculator().getRates()).toEqual({ bottomSac: 20, decoSac: 15 });
+      expect(() => new GasConsumptionCalculator({ decoSac: 0 })).toThrow();
+    });
+  });
+
+  describe('Minimum Gas', () => {
+    test('should cover two stressed divers for problem solving and the ascent', () => {
+      // 30 m in EN13319 water, 3.33 minute ascent at 9 m/min
+      const minimumGas = calculator.calculateMinimumGas(4.013, 1.013, 30 / 9);
+      const expected = (60 * 1 * 4.013 + 60 * (30 / 9) * ((4.013 + 1.013) / 2)) / 1.013;
+
+      expect(minimumGas).toBeCloseTo(expected, 5);
+    });
+
+    test('should reject invalid options', () => {
+      expect(() => calculator.calculateMinimumGas(4.013, 1.013, 3, { divers: 0 })).toThrow();
+    });
+  });
+
+  describe('Reserve Policies', () => {
+    test('should compute cylinder gas and combine usage of the same mix', () => {
+      expect(cylinderGasVolume(twin12)).toBe(4800);
+
+      const sameAir: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+      const combined = combineGasUsage([
+        { gasMix: air, volume: 1000 },
+        { gasMix: ean50, volume: 300 },
+        { gasMix: sameAir, volume: 500 }
+      ]);
+
+      expect(combined).toEqual([{ gasMix: air, volume: 1500 }, { gasMix: ean50, volume: 300 }]);
+    });
+
+    test('should keep a third of each gas in reserve under the rule of thirds', () => {
+      const checks = calculator.checkReserves([twin12, stage], [
+        { gasMix: air, volume: 3000 },
+        { gasMix: ean50, volume: 1600 }
+      ]);
+
+      expect(checks[0]).toMatchObject({ available: 4800, used: 3000, reserve: 1600, ok: true });
+      expect(checks[1]?.reserve).toBeCloseTo(740, 5);
+      expect(checks[1]?.ok).toBe(false);
+    });
+
+    test('should keep the minimum gas in the bottom gas under rock bottom', () => {
+      const usage = [{ gasMix: air, volume: 3000 }, { gasMix: ean50, volume: 1600 }];
+      const checks = calculator.checkReserves([twin12, stage], usage, 'rock-bottom', { gasMix: air, volume: 2000 });
+
+      expect(checks[0]).toMatchObject({ reserve: 2000, ok: false });
+      expect(checks[1]).toMatchObject({ reserve: 0, ok: true });
+    });
+
+    test('should flag gases with no cylinder', () => {
+      const checks = calculator.checkReserves([twin12], [{ gasMix: ean50, volume: 100 }], 'all-usable');
+      expect(checks[0]).toMatchObject({ available: 0, ok: false });
+    });
+  });
+});
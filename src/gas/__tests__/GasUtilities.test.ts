@@ -0,0 +1,109 @@
+/**
+ * Unit tests for Gas Utilities
+ */
+
+import {
+  calculateMod,
+  calculateMinimumOperatingDepth,
+  calculateEnd,
+  calculateEad,
+  calculateBestMix,
+  calculateGasDensity,
+  calculateGasDensityFromPartialPressures,
+  GAS_DENSITY_LIMITS
+} from '../GasUtilities';
+import { GasMix, WATER_DENSITIES } from '../../models/DecompressionModel';
+
+describe('Gas Utilities', () => {
+  const gas = (oxygen: number, helium: number): GasMix =>
+    ({ oxygen, helium, get nitrogen() { return 1 - this.oxygen - this.helium; } });
+
+  const air = gas(0.21, 0.0);
+  const ean32 = gas(0.32, 0.0);
+  const trimix1845 = gas(0.18, 0.45);
+  const trimix1070 = gas(0.10, 0.70);
+
+  describe('Operating Depths', () => {
+    test('should calculate MOD at a ppO2 limit', () => {
+      // EAN32 at 1.4 bar: 4.375 bar
+      expect(calculateMod(ean32)).toBeCloseTo((1.4 / 0.32 - 1.013) * 10, 5);
+      expect(calculateMod(ean32, 1.6)).toBeCloseTo((1.6 / 0.32 - 1.013) * 10, 5);
+    });
+
+    test('should convert MOD with the dive site conditions', () => {
+      const fresh = calculateMod(ean32, 1.4, { waterDensity: WATER_DENSITIES.fresh });
+      const altitude = calculateMod(ean32, 1.4, { surfacePressure: 0.8 });
+
+      expect(fresh).toBeGreaterThan(calculateMod(ean32));
+      expect(altitude).toBeCloseTo((1.4 / 0.32 - 0.8) * 10, 5);
+    });
+
+    test('should calculate the minimum operating depth of hypoxic mixes', () => {
+      expect(calculateMinimumOperatingDepth(trimix1070)).toBeCloseTo((0.16 / 0.10 - 1.013) * 10, 5);
+      expect(calculateMinimumOperatingDepth(air)).toBe(0);
+    });
+
+    test('should reject a mix without oxygen', () => {
+      expect(() => calculateMod(gas(0, 0.5))).toThrow();
+    });
+  });
+
+  describe('Narcosis Equivalents', () => {
+    test('should give air its own depth as END and EAD', () => {
+      expect(calculateEnd(air, 30)).toBeCloseTo(30, 5);
+      expect(calculateEnd(air, 30, { oxygenNarcotic: false })).toBeCloseTo(30, 5);
+      expect(calculateEad(air, 30)).toBeCloseTo(30, 5);
+    });
+
+    test('should reduce END with helium and honour the oxygen-narcotic toggle', () => {
+      // Trimix 18/45 at 60 m (7.013 bar)
+      expect(calculateEnd(trimix1845, 60)).toBeCloseTo((7.013 * 0.55 - 1.013) * 10, 5);
+      expect(calculateEnd(trimix1845, 60, { oxygenNarcotic: false })).toBeCloseTo((7.013 * 0.37 / 0.79 - 1.013) * 10, 5);
+    });
+
+    test('should calculate EAD for nitrox', () => {
+      expect(calculateEad(ean32, 30)).toBeCloseTo((4.013 * 0.68 / 0.79 - 1.013) * 10, 5);
+    });
+  });
+
+  describe('Best Mix', () => {
+    test('should maximise oxygen and fill the END budget with nitrogen', () => {
+      const mix = calculateBestMix(60, 30);
+
+      expect(mix.oxygen).toBeCloseTo(1.4 / 7.013, 10);
+      expect(calculateEnd(mix, 60)).toBeCloseTo(30, 5);
+      expect(calculateMod(mix)).toBeCloseTo(60, 5);
+    });
+
+    test('should return nitrox when no helium is needed', () => {
+      const mix = calculateBestMix(30, 30, { oxygenNarcotic: false });
+
+      expect(mix.oxygen).toBeCloseTo(1.4 / 4.013, 10);
+      expect(mix.helium).toBe(0);
+    });
+
+    test('should reject negative depths', () => {
+      expect(() => calculateBestMix(-1, 30)).toThrow();
+    });
+  });
+
+  describe('Gas Density', () => {
+    test('should calculate density from the mix and ambient pressure', () => {
+      const airDensity = 0.21 * 1.429 + 0.79 * 1.2506;
+
+      expect(calculateGasDensity(air, 1.013)).toBeCloseTo(airDensity, 10);
+      expect(calculateGasDensity(air, 4.013)).toBeCloseTo((4.013 / 1.013) * airDensity, 10);
+    });
+
+    test('should keep helium-rich trimix below the limits where air exceeds them', () => {
+      expect(calculateGasDensity(air, 7.013)).toBeGreaterThan(GAS_DENSITY_LIMITS.maximum);
+      expect(calculateGasDensity(trimix1845, 7.013)).toBeGreaterThan(GAS_DENSITY_LIMITS.recommended);
+      expect(calculateGasDensity(trimix1070, 7.013)).toBeLessThan(GAS_DENSITY_LIMITS.recommended);
+    });
+
+    test('should match open-circuit density when given the same partial pressures', () => {
+      const partialPressures = { oxygen: 0.18 * 7.013, nitrogen: 0.37 * 7.013, helium: 0.45 * 7.013 };
+      expect(calculateGasDensityFromPartialPressures(partialPressures)).toBeCloseTo(calculateGasDensity(trimix1845, 7.013), 10);
+    });
+  });
+});
@@ -9,14 +9,49 @@ export {
   type GasMix, 
   type TissueCompartment, 
   type DiveState, 
-  type DecompressionStop 
+  type DecompressionStop,
+  type DecompressionGas,
+  type WaterType,
+  type InspiredGas,
+  type BreathingMode,
+  type SemiClosedSettings,
+  type RebreatherLoop,
+  type BailoutOptions,
+  type BailoutGasVolume,
+  type BailoutPlan,
+  type IsobaricCounterdiffusionCheck,
+  type SurfaceTimeOptions,
+  type DesaturationOptions,
+  type NoFlyOptions,
+  type StopIntervalType,
+  type StopTimeRounding,
+  type StopSettings,
+  type DeepStopStyle,
+  type DeepStopSettings,
+  SEA_LEVEL_PRESSURE,
+  WATER_DENSITIES,
+  STOP_INTERVALS,
+  DEFAULT_STOP_SETTINGS,
+  CABIN_PRESSURE,
+  altitudeToPressure,
+  calculateDanNoFlyTime,
+  waterPressurePerMeter
 } from './models/DecompressionModel';
 
 // Export VPM-B implementation
 export { VpmBModel } from './models/VpmBModel';
 
+// Export VPM-B/GFS hybrid implementation
+export { VpmBGfsModel } from './models/VpmBGfsModel';
+
 // Export Buhlmann implementation
-export { BuhlmannModel } from './models/BuhlmannModel';
+export {
+  BuhlmannModel,
+  BUHLMANN_COEFFICIENTS,
+  type BuhlmannCoefficientSet,
+  type BuhlmannCoefficients,
+  type GradientFactorReading
+} from './models/BuhlmannModel';
 
 // Export VVal-18 Thalmann implementation
 export { VVal18ThalmannModel } from './models/VVal18ThalmannModel';
@@ -34,6 +69,54 @@ export { Nmri98Model } from './models/Nmri98Model';
 // Export Hills Thermodynamic Model implementation
 export { HillsModel } from './models/HillsModel';
 
+// Export dive planner
+export {
+  DivePlanner,
+  type DiveWaypoint,
+  type DivePlanOptions,
+  type DivePlanRow,
+  type DivePlan,
+  type DivePlanSegmentType
+} from './planning/DivePlanner';
+
+// Export oxygen exposure tracking
+export {
+  OxygenExposureTracker,
+  getNoaaCnsLimit,
+  type OxygenExposure
+} from './oxygen/OxygenExposureTracker';
+
+// Export gas consumption
+export {
+  GasConsumptionCalculator,
+  DEFAULT_CONSUMPTION_RATES,
+  cylinderGasVolume,
+  combineGasUsage,
+  type ConsumptionRates,
+  type GasPhase,
+  type Cylinder,
+  type ReservePolicy,
+  type GasUsage,
+  type ReserveCheck,
+  type MinimumGasOptions
+} from './gas/GasConsumption';
+
+// Export gas utilities
+export {
+  calculateMod,
+  calculateMinimumOperatingDepth,
+  calculateEnd,
+  calculateEad,
+  calculateBestMix,
+  calculateGasDensity,
+  calculateGasDensityFromPartialPressures,
+  MIN_BREATHABLE_PPO2,
+  GAS_DENSITY_LIMITS,
+  type GasConditions,
+  type NarcosisOptions,
+  type BestMixOptions
+} from './gas/GasUtilities';
+
 // Export example/demo functions
 export { runVpmBDemo } from './examples/vpmb-demo';
 export { runBuhlmannDemo } from './examples/buhlmann-demo';
@@ -11,6 +11,7 @@
  * 
  * Implementation of the Buhlmann ZHL-16C decompression model enhanced with
  * gradient factors for more conservative decompression profiles.
+ * The ZHL-16A and ZHL-16B coefficient sets, or a custom table, can be used instead.
  * 
  * Based on the work of:
  * - Bühlmann, A.A. (1984) - Original ZHL algorithm
@@ -47,48 +48,166 @@ interface GradientFactors {
   high: number;
 }
 
+/** Published Bühlmann coefficient sets: A (original), B (printed tables) and C (dive computers) */
+export type BuhlmannCoefficientSet = 'ZHL-16A' | 'ZHL-16B' | 'ZHL-16C';
+
 /**
- * Buhlmann ZHL-16C Decompression Model with Gradient Factors
+ * Half-times in minutes and M-value coefficients for the 16 compartments, fastest first
  */
-export class BuhlmannModel extends DecompressionModel {
-  private buhlmannCompartments: BuhlmannCompartment[] = [];
-  private gradientFactors: GradientFactors;
-  private firstStopDepth: number = 0; // Calculated during decompression planning
+export interface BuhlmannCoefficients {
+  nitrogenHalfTimes: number[];
+  nitrogenMValuesA: number[];
+  nitrogenMValuesB: number[];
+  heliumHalfTimes: number[];
+  heliumMValuesA: number[];
+  heliumMValuesB: number[];
+}
 
-  // Buhlmann ZHL-16C compartment half-times (minutes)
-  private readonly NITROGEN_HALF_TIMES = [
-    5.0, 8.0, 12.5, 18.5, 27.0, 38.3, 54.3, 77.0,
-    109.0, 146.0, 187.0, 239.0, 305.0, 390.0, 498.0, 635.0
-  ];
+// Nitrogen b and helium coefficients shared by the sets, which differ in compartment 1 and the nitrogen 'a' values
+const NITROGEN_M_VALUES_B = [
+  0.5578, 0.6514, 0.7222, 0.7825, 0.8126, 0.8434, 0.8693, 0.8910,
+  0.9092, 0.9222, 0.9319, 0.9403, 0.9477, 0.9544, 0.9602, 0.9653
+];
+
+const HELIUM_HALF_TIMES = [
+  1.88, 3.02, 4.72, 6.99, 10.21, 14.48, 20.53, 29.11,
+  41.20, 55.19, 70.69, 90.34, 115.29, 147.42, 188.24, 240.03
+];
+
+const HELIUM_M_VALUES_A = [
+  1.6189, 1.3830, 1.1919, 1.0458, 0.9220, 0.8205, 0.7305, 0.6502,
+  0.5950, 0.5545, 0.5333, 0.5189, 0.5181, 0.5176, 0.5172, 0.5119
+];
+
+const HELIUM_M_VALUES_B = [
+  0.4770, 0.5747, 0.6527, 0.7223, 0.7582, 0.7957, 0.8279, 0.8553,
+  0.8757, 0.8903, 0.8997, 0.9073, 0.9122, 0.9171, 0.9217, 0.9267
+];
+
+// ZHL-16B and ZHL-16C use compartment 1b (5 minutes); ZHL-16A uses the original 4 minute compartment 1
+const NITROGEN_HALF_TIMES = [
+  5.0, 8.0, 12.5, 18.5, 27.0, 38.3, 54.3, 77.0,
+  109.0, 146.0, 187.0, 239.0, 305.0, 390.0, 498.0, 635.0
+];
 
-  private readonly HELIUM_HALF_TIMES = [
-    1.88, 3.02, 4.72, 6.99, 10.21, 14.48, 20.53, 29.11,
-    41.20, 55.19, 70.69, 90.34, 115.29, 147.42, 188.24, 240.03
-  ];
+/**
+ * Bühlmann coefficient sets (ZHL-16C from the Subsurface deco.cpp reference)
+ */
+export const BUHLMANN_COEFFICIENTS: Readonly<Record<BuhlmannCoefficientSet, Readonly<BuhlmannCoefficients>>> = {
+  'ZHL-16A': {
+    nitrogenHalfTimes: [4.0, ...NITROGEN_HALF_TIMES.slice(1)],
+    nitrogenMValuesA: [
+      1.2599, 1.0000, 0.8618, 0.7562, 0.6667, 0.5933, 0.5282, 0.4701,
+      0.4187, 0.3798, 0.3497, 0.3223, 0.2971, 0.2737, 0.2523, 0.2327
+    ],
+    nitrogenMValuesB: [0.5050, ...NITROGEN_M_VALUES_B.slice(1)],
+    heliumHalfTimes: [1.51, ...HELIUM_HALF_TIMES.slice(1)],
+    heliumMValuesA: [1.7424, ...HELIUM_M_VALUES_A.slice(1)],
+    heliumMValuesB: [0.4245, ...HELIUM_M_VALUES_B.slice(1)]
+  },
+  'ZHL-16B': {
+    nitrogenHalfTimes: NITROGEN_HALF_TIMES,
+    nitrogenMValuesA: [
+      1.1696, 1.0000, 0.8618, 0.7562, 0.6667, 0.5600, 0.4947, 0.4500,
+      0.4187, 0.3798, 0.3497, 0.3223, 0.2850, 0.2737, 0.2523, 0.2327
+    ],
+    nitrogenMValuesB: NITROGEN_M_VALUES_B,
+    heliumHalfTimes: HELIUM_HALF_TIMES,
+    heliumMValuesA: HELIUM_M_VALUES_A,
+    heliumMValuesB: HELIUM_M_VALUES_B
+  },
+  'ZHL-16C': {
+    nitrogenHalfTimes: NITROGEN_HALF_TIMES,
+    nitrogenMValuesA: [
+      1.1696, 1.0000, 0.8618, 0.7562, 0.6200, 0.5043, 0.4410, 0.4000,
+      0.3750, 0.3500, 0.3295, 0.3065, 0.2835, 0.2610, 0.2480, 0.2327
+    ],
+    nitrogenMValuesB: NITROGEN_M_VALUES_B,
+    heliumHalfTimes: HELIUM_HALF_TIMES,
+    heliumMValuesA: HELIUM_M_VALUES_A,
+    heliumMValuesB: HELIUM_M_VALUES_B
+  }
+};
 
-  // Buhlmann ZHL-16C M-value coefficients for nitrogen (from Subsurface deco.cpp reference)
-  private readonly NITROGEN_M_VALUES_A = [
-    1.1696, 1.0000, 0.8618, 0.7562, 0.6200, 0.5043, 0.4410, 0.4000,
-    0.3750, 0.3500, 0.3295, 0.3065, 0.2835, 0.2610, 0.2480, 0.2327
-  ];
+/**
+ * Resolve a coefficient set name or validate a custom table
+ */
+function resolveCoefficients(coefficients: BuhlmannCoefficientSet | BuhlmannCoefficients): BuhlmannCoefficients {
+  if (typeof coefficients === 'string') {
+    const table = BUHLMANN_COEFFICIENTS[coefficients];
+    if (!table) {
+      throw new Error(`Unknown Bühlmann coefficient set: ${coefficients}`);
+    }
+    return table;
+  }
 
-  private readonly NITROGEN_M_VALUES_B = [
-    0.5578, 0.6514, 0.7222, 0.7825, 0.8126, 0.8434, 0.8693, 0.8910,
-    0.9092, 0.9222, 0.9319, 0.9403, 0.9477, 0.9544, 0.9602, 0.9653
+  const columns = [
+    coefficients.nitrogenHalfTimes,
+    coefficients.nitrogenMValuesA,
+    coefficients.nitrogenMValuesB,
+    coefficients.heliumHalfTimes,
+    coefficients.heliumMValuesA,
+    coefficients.heliumMValuesB
   ];
+  if (columns.some(column => !Array.isArray(column) || column.length !== 16)) {
+    throw new Error('Custom coefficient tables must have 16 compartments');
+  }
+  if (columns.some(column => column.some(value => !Number.isFinite(value)))) {
+    throw new Error('Custom coefficients must be numbers');
+  }
 
-  // Buhlmann ZHL-16C M-value coefficients for helium (from Subsurface deco.cpp reference)
-  private readonly HELIUM_M_VALUES_A = [
-    1.6189, 1.3830, 1.1919, 1.0458, 0.9220, 0.8205, 0.7305, 0.6502,
-    0.5950, 0.5545, 0.5333, 0.5189, 0.5181, 0.5176, 0.5172, 0.5119
+  const positive = [
+    coefficients.nitrogenHalfTimes,
+    coefficients.heliumHalfTimes,
+    coefficients.nitrogenMValuesB,
+    coefficients.heliumMValuesB
   ];
+  if (positive.some(column => column.some(value => value <= 0))) {
+    throw new Error('Half-times and b coefficients must be greater than 0');
+  }
+  if ([coefficients.nitrogenMValuesA, coefficients.heliumMValuesA].some(column => column.some(value => value <= 0)) ||
+      [coefficients.nitrogenMValuesB, coefficients.heliumMValuesB].some(column => column.some(value => value > 1))) {
+    throw new Error('a coefficients must be greater than 0 and b coefficients at most 1');
+  }
 
-  private readonly HELIUM_M_VALUES_B = [
-    0.4770, 0.5747, 0.6527, 0.7223, 0.7582, 0.7957, 0.8279, 0.8553,
-    0.8757, 0.8903, 0.8997, 0.9073, 0.9122, 0.9171, 0.9217, 0.9267
-  ];
+  return {
+    nitrogenHalfTimes: [...coefficients.nitrogenHalfTimes],
+    nitrogenMValuesA: [...coefficients.nitrogenMValuesA],
+    nitrogenMValuesB: [...coefficients.nitrogenMValuesB],
+    heliumHalfTimes: [...coefficients.heliumHalfTimes],
+    heliumMValuesA: [...coefficients.heliumMValuesA],
+    heliumMValuesB: [...coefficients.heliumMValuesB]
+  };
+}
+
+export interface GradientFactorReading {
+  /** Gradient factor at the current depth in percent: supersaturation as a percentage of the raw M-value gradient */
+  gf99: number;
+  /** Gradient factor in percent if the diver surfaced instantly */
+  surfGf: number;
+  /** Compartment number (1-16) with the highest gradient factor at the current depth */
+  leadingCompartment: number;
+}
+
+/**
+ * Buhlmann ZHL-16C Decompression Model with Gradient Factors
+ */
+export class BuhlmannModel extends DecompressionModel {
+  private buhlmannCompartments: BuhlmannCompartment[] = [];
+  private gradientFactors: GradientFactors;
+  private firstStopDepth: number = 0; // GF-low ceiling rounded up to the stop grid, where GF-low applies
+
+  private coefficients: BuhlmannCoefficients;
+  private coefficientSet: BuhlmannCoefficientSet | 'custom';
 
-  constructor(gradientFactors: GradientFactors = { low: 30, high: 85 }) {
+  /**
+   * @param gradientFactors Gradient factors in percent (default: 30/85)
+   * @param coefficients Coefficient set name or a custom 16-compartment table (default: ZHL-16C)
+   */
+  constructor(
+    gradientFactors: GradientFactors = { low: 30, high: 85 },
+    coefficients: BuhlmannCoefficientSet | BuhlmannCoefficients = 'ZHL-16C'
+  ) {
     // Validate gradient factors before calling super()
     if (gradientFactors.low < 0 || gradientFactors.low > 100) {
       throw new Error('Gradient factor low must be between 0 and 100');
@@ -100,8 +219,15 @@ export class BuhlmannModel extends DecompressionModel {
       throw new Error('Gradient factor low cannot be greater than gradient factor high');
     }
 
+    const coefficientTable = resolveCoefficients(coefficients);
+
     super();
     this.gradientFactors = gradientFactors;
+    this.coefficients = coefficientTable;
+    this.coefficientSet = typeof coefficients === 'string' ? coefficients : 'custom';
+
+    // The base constructor built the compartments before the coefficients were set
+    this.initializeTissueCompartments();
   }
 
   protected initializeTissueCompartments(): void {
@@ -113,50 +239,22 @@ export class BuhlmannModel extends DecompressionModel {
       this.buhlmannCompartments = [];
     }
 
-    // Use hardcoded arrays to avoid initialization issues
-    const nitrogenTimes = [
-      5.0, 8.0, 12.5, 18.5, 27.0, 38.3, 54.3, 77.0,
-      109.0, 146.0, 187.0, 239.0, 305.0, 390.0, 498.0, 635.0
-    ];
-    
-    const heliumTimes = [
-      1.88, 3.02, 4.72, 6.99, 10.21, 14.48, 20.53, 29.11,
-      41.20, 55.19, 70.69, 90.34, 115.29, 147.42, 188.24, 240.03
-    ];
-
-    const nitrogenAValues = [
-      1.1696, 1.0000, 0.8618, 0.7562, 0.6200, 0.5043, 0.4410, 0.4000,
-      0.3750, 0.3500, 0.3295, 0.3065, 0.2835, 0.2610, 0.2480, 0.2327
-    ];
-
-    const nitrogenBValues = [
-      0.5578, 0.6514, 0.7222, 0.7825, 0.8126, 0.8434, 0.8693, 0.8910,
-      0.9092, 0.9222, 0.9319, 0.9403, 0.9477, 0.9544, 0.9602, 0.9653
-    ];
-
-    const heliumAValues = [
-      1.6189, 1.3830, 1.1919, 1.0458, 0.9220, 0.8205, 0.7305, 0.6502,
-      0.5950, 0.5545, 0.5333, 0.5189, 0.5181, 0.5176, 0.5172, 0.5119
-    ];
-
-    const heliumBValues = [
-      0.4770, 0.5747, 0.6527, 0.7223, 0.7582, 0.7957, 0.8279, 0.8553,
-      0.8757, 0.8903, 0.8997, 0.9073, 0.9122, 0.9171, 0.9217, 0.9267
-    ];
+    // Called from the base constructor before the coefficients are set
+    const coefficients = this.coefficients ?? BUHLMANN_COEFFICIENTS['ZHL-16C'];
 
     for (let i = 0; i < 16; i++) {
       const buhlmannCompartment: BuhlmannCompartment = {
         number: i + 1,
-        nitrogenHalfTime: nitrogenTimes[i]!,
-        heliumHalfTime: heliumTimes[i]!,
+        nitrogenHalfTime: coefficients.nitrogenHalfTimes[i]!,
+        heliumHalfTime: coefficients.heliumHalfTimes[i]!,
         nitrogenLoading: 0.79 * this.surfacePressure, // Surface equilibrium
         heliumLoading: 0.0,
-        nitrogenMValueA: nitrogenAValues[i]!,
-        nitrogenMValueB: nitrogenBValues[i]!,
-        heliumMValueA: heliumAValues[i]!,
-        heliumMValueB: heliumBValues[i]!,
-        combinedMValueA: nitrogenAValues[i]!, // Will be updated when gas mix changes
-        combinedMValueB: nitrogenBValues[i]!, // Will be updated when gas mix changes
+        nitrogenMValueA: coefficients.nitrogenMValuesA[i]!,
+        nitrogenMValueB: coefficients.nitrogenMValuesB[i]!,
+        heliumMValueA: coefficients.heliumMValuesA[i]!,
+        heliumMValueB: coefficients.heliumMValuesB[i]!,
+        combinedMValueA: coefficients.nitrogenMValuesA[i]!, // Will be updated when gas mix changes
+        combinedMValueB: coefficients.nitrogenMValuesB[i]!, // Will be updated when gas mix changes
         get totalLoading() {
           return this.nitrogenLoading + this.heliumLoading;
         }
@@ -171,15 +269,15 @@ export class BuhlmannModel extends DecompressionModel {
     }
   }
 
-  public updateTissueLoadings(timeStep: number): void {
+  public updateTissueLoadings(timeStep: number, startDepth?: number, endDepth?: number): void {
     // Ensure compartments are initialized
     if (!this.tissueCompartments || this.tissueCompartments.length === 0 ||
         !this.buhlmannCompartments || this.buhlmannCompartments.length === 0) {
       this.initializeTissueCompartments();
     }
 
-    const nitrogenPP = this.calculatePartialPressure(this.currentDiveState.gasMix.nitrogen);
-    const heliumPP = this.calculatePartialPressure(this.currentDiveState.gasMix.helium);
+    const nitrogenPP = this.calculateSegmentPartialPressure('nitrogen', timeStep, startDepth, endDepth);
+    const heliumPP = this.calculateSegmentPartialPressure('helium', timeStep, startDepth, endDepth);
 
     for (let i = 0; i < this.tissueCompartments.length; i++) {
       const compartment = this.tissueCompartments[i];
@@ -189,18 +287,20 @@ export class BuhlmannModel extends DecompressionModel {
         continue; // Skip if compartment is not properly initialized
       }
 
-      // Update nitrogen loading using Haldane equation
-      compartment.nitrogenLoading = this.calculateHaldaneLoading(
+      // Update nitrogen loading using Schreiner equation (Haldane at constant depth)
+      compartment.nitrogenLoading = this.calculateSchreinerLoading(
         compartment.nitrogenLoading,
-        nitrogenPP,
+        nitrogenPP.initial,
+        nitrogenPP.rate,
         compartment.nitrogenHalfTime,
         timeStep
       );
 
-      // Update helium loading using Haldane equation
-      compartment.heliumLoading = this.calculateHaldaneLoading(
+      // Update helium loading using Schreiner equation (Haldane at constant depth)
+      compartment.heliumLoading = this.calculateSchreinerLoading(
         compartment.heliumLoading,
-        heliumPP,
+        heliumPP.initial,
+        heliumPP.rate,
         compartment.heliumHalfTime,
         timeStep
       );
@@ -210,45 +310,32 @@ export class BuhlmannModel extends DecompressionModel {
     }
   }
 
+  /**
+   * Calculate the ceiling: 0 while the surface is tolerated at GF-high, otherwise the GF-low
+   * ceiling, where the gradient factor slope is anchored and the stops begin
+   * Also anchors the slope for the current tissue state
+   * @returns Ceiling depth in meters
+   */
   public calculateCeiling(): number {
-    // Ensure first stop depth is calculated for gradient factor consistency
-    if (this.firstStopDepth <= 0) {
-      this.firstStopDepth = this.calculateFirstStopDepth();
-    }
-    
-    // Use iterative ceiling calculation following Subsurface reference implementation
-    return this.calculateCeilingIterative(0.3);
+    const gradientFactorLowCeiling = this.calculateGradientFactorCeiling(this.gradientFactors.low);
+    this.firstStopDepth = this.roundUpToStopGrid(gradientFactorLowCeiling);
+
+    return this.calculateTissueTolerance(0, true) === null ? gradientFactorLowCeiling : 0;
   }
 
   public calculateDecompressionStops(): DecompressionStop[] {
-    const stops: DecompressionStop[] = [];
+    // Also anchors the gradient factor slope used while the stops are planned
     const ceiling = this.calculateCeiling();
 
     if (ceiling <= 0) {
-      return stops; // No decompression required
+      return []; // No decompression required
     }
 
-    // Calculate first stop depth for gradient factor calculations
-    this.firstStopDepth = this.calculateFirstStopDepth();
-
-    // Generate stops at 3m intervals starting from ceiling
-    let currentDepth = Math.ceil(ceiling / 3) * 3;
-    
-    while (currentDepth > 0) {
-      const stopTime = this.calculateStopTime(currentDepth);
-      
-      if (stopTime > 0) {
-        stops.push({
-          depth: currentDepth,
-          time: stopTime,
-          gasMix: this.currentDiveState.gasMix
-        });
-      }
-
-      currentDepth -= 3;
-    }
-
-    return stops;
+    // Generate stops on the stop grid starting from the ceiling
+    return this.generateDecompressionStops(
+      this.roundUpToStopGrid(ceiling),
+      depth => this.calculateStopTime(depth)
+    );
   }
 
   public canAscendDirectly(): boolean {
@@ -256,7 +343,21 @@ export class BuhlmannModel extends DecompressionModel {
   }
 
   public getModelName(): string {
-    return `Buhlmann ZHL-16C (GF ${this.gradientFactors.low}/${this.gradientFactors.high})`;
+    return `Buhlmann ${this.coefficientSet} (GF ${this.gradientFactors.low}/${this.gradientFactors.high})`;
+  }
+
+  /**
+   * Get the coefficient set in use, or 'custom' for a custom table
+   */
+  public getCoefficientSet(): BuhlmannCoefficientSet | 'custom' {
+    return this.coefficientSet;
+  }
+
+  /**
+   * Get the compartment half-times and M-value coefficients in use
+   */
+  public getCoefficients(): BuhlmannCoefficients {
+    return resolveCoefficients(this.coefficients);
   }
 
   /**
@@ -302,9 +403,7 @@ export class BuhlmannModel extends DecompressionModel {
       throw new Error(`Compartment ${compartmentNumber} not found. Available compartments: ${this.buhlmannCompartments.length}`);
     }
     
-    const ambientPressure = this.calculateAmbientPressure(depth);
-    
-    return (compartment.combinedMValueA * ambientPressure) + compartment.combinedMValueB;
+    return this.calculateCompartmentMValue(compartment, this.calculateAmbientPressure(depth));
   }
 
   /**
@@ -372,6 +471,87 @@ export class BuhlmannModel extends DecompressionModel {
     return Math.max(0, (totalLoading / mValue) * 100);
   }
 
+  /**
+   * Calculate GF99: the leading compartment's supersaturation at the current depth as a
+   * percentage of its raw M-value gradient, as shown live by dive computers
+   * 0 while no compartment is supersaturated, 100 at the raw M-value
+   */
+  public calculateGF99(): number {
+    return this.getGradientFactorReading().gf99;
+  }
+
+  /**
+   * Calculate SurfGF: the gradient factor the leading compartment would reach if the diver surfaced instantly
+   */
+  public calculateSurfGF(): number {
+    return this.getGradientFactorReading().surfGf;
+  }
+
+  /**
+   * Get the leading (controlling) compartment at the current depth
+   * @returns Compartment number (1-16)
+   */
+  public getLeadingCompartment(): number {
+    return this.getGradientFactorReading().leadingCompartment;
+  }
+
+  /**
+   * Get GF99, SurfGF and the leading compartment in one pass over the compartments
+   * While every compartment is on-gassing, the leading compartment is the one whose
+   * loading is the largest fraction of its M-value
+   */
+  public getGradientFactorReading(): GradientFactorReading {
+    if (!this.buhlmannCompartments || this.buhlmannCompartments.length === 0) {
+      this.initializeTissueCompartments();
+    }
+
+    const ambientPressure = this.currentDiveState.ambientPressure;
+    const surfacePressure = this.calculateAmbientPressure(0);
+    let gf99 = 0;
+    let surfGf = 0;
+    let leadingCompartment = 1;
+    let leadingLoadingRatio = -Infinity;
+
+    this.buhlmannCompartments.forEach((compartment, index) => {
+      this.updateCombinedMValues(compartment);
+      const gradientFactor = this.calculateCompartmentGradientFactor(compartment, ambientPressure);
+      const totalLoading = compartment.nitrogenLoading + compartment.heliumLoading;
+      const loadingRatio = totalLoading / this.calculateCompartmentMValue(compartment, ambientPressure);
+
+      if (gradientFactor > gf99 || (gf99 === 0 && loadingRatio > leadingLoadingRatio)) {
+        leadingCompartment = index + 1;
+      }
+      gf99 = Math.max(gf99, gradientFactor);
+      leadingLoadingRatio = Math.max(leadingLoadingRatio, loadingRatio);
+      surfGf = Math.max(surfGf, this.calculateCompartmentGradientFactor(compartment, surfacePressure));
+    });
+
+    return { gf99, surfGf, leadingCompartment };
+  }
+
+  /**
+   * Calculate a compartment's gradient factor at an ambient pressure
+   * GF = (P_tissue - P_ambient) / (M-value - P_ambient) * 100, with 0 while the compartment is
+   * not supersaturated; the M-value gradient is at least 'a', so the result is always finite
+   */
+  private calculateCompartmentGradientFactor(compartment: BuhlmannCompartment, ambientPressure: number): number {
+    const supersaturation = compartment.nitrogenLoading + compartment.heliumLoading - ambientPressure;
+    if (supersaturation <= 0) {
+      return 0;
+    }
+
+    const mValueGradient = this.calculateCompartmentMValue(compartment, ambientPressure) - ambientPressure;
+    return (supersaturation / mValueGradient) * 100;
+  }
+
+  /**
+   * Calculate a compartment's M-value (tolerated tissue pressure) at an ambient pressure
+   * Bühlmann M-value: M = a + P / b, using the inert gas weighted coefficients
+   */
+  private calculateCompartmentMValue(compartment: BuhlmannCompartment, ambientPressure: number): number {
+    return compartment.combinedMValueA + ambientPressure / compartment.combinedMValueB;
+  }
+
   private updateCombinedMValues(compartment: BuhlmannCompartment): void {
     if (!compartment) {
       return; // Skip if compartment is undefined
@@ -399,23 +579,23 @@ export class BuhlmannModel extends DecompressionModel {
       (heliumFraction * compartment.heliumMValueB);
   }
 
-  private calculateCompartmentCeiling(compartment: BuhlmannCompartment): number {
+  /**
+   * Calculate a compartment's ceiling at a fixed gradient factor
+   * @param compartment Compartment to evaluate
+   * @param gradientFactor Gradient factor in percent
+   * @returns Ceiling depth in meters (0 if the compartment may surface)
+   */
+  private calculateCompartmentCeiling(compartment: BuhlmannCompartment, gradientFactor: number): number {
     const totalLoading = compartment.nitrogenLoading + compartment.heliumLoading;
     
-    // Calculate ceiling using the gradient factor adjusted M-value
-    // Rearrange M-value equation to solve for pressure:
-    // M = (a * P) + b, so P = (M - b) / a
-    const gradientFactorAtCeiling = this.getGradientFactorAtDepth(0); // Use GF-high for ceiling
-    
-    // For ceiling calculation, we use the formula:
-    // P_ceiling = (P_tissue - b) / (a + (GF/100) * (1 - a))
-    // Simplified for direct calculation
+    // Solve P_tissue = P + GF * (a + P / b - P) for the ambient pressure P:
+    // P = (P_tissue - GF * a) / (1 - GF + GF / b)
     const a = compartment.combinedMValueA;
     const b = compartment.combinedMValueB;
+    const gf = gradientFactor / 100;
     
-    // Apply gradient factor to calculate allowed pressure
-    const allowedPressure = (totalLoading - b) / a;
-    const ceilingDepth = (allowedPressure - this.surfacePressure) / 0.1;
+    const allowedPressure = (totalLoading - gf * a) / (1 - gf + gf / b);
+    const ceilingDepth = this.calculateDepthFromPressure(allowedPressure);
 
     return Math.max(0, ceilingDepth);
   }
@@ -437,31 +617,25 @@ export class BuhlmannModel extends DecompressionModel {
            (this.gradientFactors.low - this.gradientFactors.high) * depthRatio;
   }
 
-  private calculateFirstStopDepth(): number {
-    // Calculate first stop depth by finding the deepest depth where tissue tolerance fails
-    // This is done iteratively during decompression planning
-    let testDepth = 0;
-    const maxDepth = 200;
-    
-    while (testDepth <= maxDepth) {
-      // Test if this depth is safe without gradient factors (full M-value)
-      const tolerance = this.calculateTissueTolerance(testDepth, false);
-      
-      if (tolerance !== null) {
-        // Found the first safe depth using full M-values
-        return Math.max(0, Math.ceil(testDepth / 3) * 3); // Round up to 3m intervals
-      }
-      
-      testDepth += 0.3; // Small increment for accuracy
+  /**
+   * Calculate the ceiling at a fixed gradient factor, the deepest of the compartment ceilings
+   * @param gradientFactor Gradient factor in percent
+   * @returns Ceiling depth in meters (0 if every compartment may surface)
+   */
+  private calculateGradientFactorCeiling(gradientFactor: number): number {
+    let ceiling = 0;
+    for (const compartment of this.buhlmannCompartments) {
+      // Loadings may have been set directly for a simulation, so refresh the combined coefficients
+      this.updateCombinedMValues(compartment);
+      ceiling = Math.max(ceiling, this.calculateCompartmentCeiling(compartment, gradientFactor));
     }
-    
-    return maxDepth; // Conservative fallback
+
+    return ceiling;
   }
 
   private calculateStopTime(depth: number): number {
     // Use binary search method following Subsurface reference implementation
-    const nextDepth = depth - 3; // Next stop is 3m shallower
-    return this.calculateMinimumStopTime(depth, Math.max(0, nextDepth));
+    return this.calculateMinimumStopTime(depth, this.getNextStopDepth(depth));
   }
 
   /**
@@ -483,8 +657,11 @@ export class BuhlmannModel extends DecompressionModel {
     for (const compartment of this.buhlmannCompartments) {
       const totalLoading = compartment.nitrogenLoading + compartment.heliumLoading;
       
+      // Loadings may have been set directly for a simulation, so refresh the combined coefficients
+      this.updateCombinedMValues(compartment);
+      
       // Calculate M-value at test depth
-      const mValue = compartment.combinedMValueA * ambientPressure + compartment.combinedMValueB;
+      const mValue = this.calculateCompartmentMValue(compartment, ambientPressure);
       
       let allowableTolerance = mValue;
       
@@ -523,7 +700,7 @@ export class BuhlmannModel extends DecompressionModel {
       const ambientPressure = this.currentDiveState.ambientPressure;
       
       // Calculate M-value at current depth
-      const mValue = compartment.combinedMValueA * ambientPressure + compartment.combinedMValueB;
+      const mValue = this.calculateCompartmentMValue(compartment, ambientPressure);
       
       // Apply gradient factors correctly
       const effectiveGradientFactor = this.getGradientFactorAtDepth(this.currentDiveState.depth);
@@ -163,9 +163,9 @@ export class BvmModel extends DecompressionModel {
     }
   }
 
-  public updateTissueLoadings(timeStep: number): void {
-    const nitrogenPP = this.calculatePartialPressure(this.currentDiveState.gasMix.nitrogen);
-    const heliumPP = this.calculatePartialPressure(this.currentDiveState.gasMix.helium);
+  public updateTissueLoadings(timeStep: number, startDepth?: number, endDepth?: number): void {
+    const nitrogenPP = this.calculateSegmentPartialPressure('nitrogen', timeStep, startDepth, endDepth);
+    const heliumPP = this.calculateSegmentPartialPressure('helium', timeStep, startDepth, endDepth);
 
     for (let i = 0; i < this.bvmCompartments.length; i++) {
       const bvmCompartment = this.bvmCompartments[i];
@@ -174,20 +174,22 @@ export class BvmModel extends DecompressionModel {
         throw new Error(`Missing compartment data for index ${i}`);
       }
 
-      // Update nitrogen loading using modified Haldane equation
+      // Update nitrogen loading using modified Schreiner equation
       const modifiedNitrogenHalfTime = bvmCompartment.nitrogenHalfTime / bvmCompartment.diffusionModifier;
-      bvmCompartment.nitrogenLoading = this.calculateHaldaneLoading(
+      bvmCompartment.nitrogenLoading = this.calculateSchreinerLoading(
         bvmCompartment.nitrogenLoading,
-        nitrogenPP,
+        nitrogenPP.initial,
+        nitrogenPP.rate,
         modifiedNitrogenHalfTime,
         timeStep
       );
 
-      // Update helium loading using modified Haldane equation
+      // Update helium loading using modified Schreiner equation
       const modifiedHeliumHalfTime = bvmCompartment.heliumHalfTime / bvmCompartment.diffusionModifier;
-      bvmCompartment.heliumLoading = this.calculateHaldaneLoading(
+      bvmCompartment.heliumLoading = this.calculateSchreinerLoading(
         bvmCompartment.heliumLoading,
-        heliumPP,
+        heliumPP.initial,
+        heliumPP.rate,
         modifiedHeliumHalfTime,
         timeStep
       );
@@ -216,36 +218,22 @@ export class BvmModel extends DecompressionModel {
   }
 
   public calculateDecompressionStops(): DecompressionStop[] {
-    const stops: DecompressionStop[] = [];
     const ceiling = this.calculateCeiling();
 
     if (ceiling <= 0) {
-      return stops; // No decompression required
+      return []; // No decompression required
     }
 
     // BVM(3) tends to favor deeper stops initially (bubble model characteristic)
-    let currentDepth = Math.ceil(ceiling / 3) * 3;
-    
-    while (currentDepth > 0) {
-      const stopTime = this.calculateStopTime(currentDepth);
-      
-      if (stopTime > 0) {
-        stops.push({
-          depth: currentDepth,
-          time: stopTime,
-          gasMix: this.currentDiveState.gasMix
-        });
-      }
-
-      currentDepth -= 3;
-    }
-
-    return stops;
+    return this.generateDecompressionStops(
+      this.roundUpToStopGrid(ceiling),
+      depth => this.calculateStopTime(depth)
+    );
   }
 
   public canAscendDirectly(): boolean {
-    const currentRiskPercentage = this.calculateDCSRisk();
-    return currentRiskPercentage <= this.maxDcsRisk;
+    // The ceiling already applies the configured maximum DCS risk through the allowable pressure drop
+    return this.calculateCeiling() <= 0;
   }
 
   public getModelName(): string {
@@ -329,10 +317,11 @@ export class BvmModel extends DecompressionModel {
     const currentPressure = this.currentDiveState.ambientPressure;
     const supersaturation = Math.max(0, totalLoading - currentPressure);
 
-    // Calculate bubble formation rate (when supersaturated)
+    // Calculate bubble formation rate (when supersaturated), raised by the conservatism level
+    const conservatismFactor = 1.0 + (this.conservatismLevel * 0.1);
     if (supersaturation > 0) {
       compartment.bubbleFormationRate = this.bubbleVolumeParameters.formationRateConstant * 
-        supersaturation * compartment.diffusionModifier;
+        supersaturation * compartment.diffusionModifier * conservatismFactor;
     } else {
       compartment.bubbleFormationRate = 0;
     }
@@ -344,10 +333,6 @@ export class BvmModel extends DecompressionModel {
     // Update bubble volume based on formation and resolution rates
     const volumeChange = (compartment.bubbleFormationRate - compartment.bubbleResolutionRate) * timeStep;
     compartment.bubbleVolume = Math.max(0, compartment.bubbleVolume + volumeChange);
-
-    // Apply conservatism factor
-    const conservatismFactor = 1.0 + (this.conservatismLevel * 0.1);
-    compartment.bubbleVolume *= conservatismFactor;
   }
 
   private calculateCompartmentRisk(compartment: BvmCompartment): number {
@@ -372,7 +357,7 @@ export class BvmModel extends DecompressionModel {
     // BVM(3) ceiling based on bubble volume rather than supersaturation
     const allowablePressureDrop = this.calculateAllowablePressureDrop(compartment);
     const ceilingPressure = totalLoading - allowablePressureDrop;
-    const ceilingDepth = (ceilingPressure - this.surfacePressure) / 0.1;
+    const ceilingDepth = this.calculateDepthFromPressure(ceilingPressure);
 
     return Math.max(0, ceilingDepth);
   }
@@ -384,7 +369,7 @@ export class BvmModel extends DecompressionModel {
     
     // If bubble volume is already high, allow less pressure drop
     const volumeRatio = currentBubbleVolume / criticalVolume;
-    const basePressureDrop = 1.0; // bar
+    const basePressureDrop = 0.6; // bar
     
     // Adjust based on configured maximum DCS risk
     const riskFactor = 1.0 - (this.maxDcsRisk / 100.0); // Convert percentage to factor
@@ -394,28 +379,8 @@ export class BvmModel extends DecompressionModel {
   }
 
   private calculateStopTime(depth: number): number {
-    // BVM(3) stop time calculation based on bubble resolution and risk threshold
-    const ceiling = this.calculateCeiling();
-    if (depth > ceiling) {
-      return 0; // No stop needed at this depth - it's above the ceiling
-    }
-
-    // Calculate time needed for bubble volumes to reduce sufficiently to meet risk threshold
-    let maxTimeNeeded = 0;
-    
-    for (const compartment of this.bvmCompartments) {
-      // Calculate target bubble volume based on risk threshold
-      const riskFactor = this.maxDcsRisk / 100.0;
-      const targetBubbleVolume = this.bubbleVolumeParameters.criticalBubbleVolume * (1.0 + riskFactor);
-      
-      if (compartment.bubbleVolume > targetBubbleVolume) {
-        const excessVolume = compartment.bubbleVolume - targetBubbleVolume;
-        const timeNeeded = excessVolume / (compartment.bubbleResolutionRate + 0.001); // Prevent division by zero
-        maxTimeNeeded = Math.max(maxTimeNeeded, timeNeeded);
-      }
-    }
-
-    return Math.max(1, Math.min(30, maxTimeNeeded)); // 1-30 minutes, extended for risk-based calculation
+    // Hold the stop until the ascent to the next stop stays within the bubble volume limits
+    return this.calculateMinimumStopTime(depth, this.getNextStopDepth(depth));
   }
 
   private getAcceptableRiskThreshold(): number {
@@ -461,7 +426,34 @@ export class BvmModel extends DecompressionModel {
     });
   }
 
+  /**
+   * Calculate tissue tolerance for a given depth (used by stop time calculations)
+   * With model-specific logic, each compartment may exceed ambient pressure by the pressure drop
+   * its bubble volume allows, as in the ceiling calculation
+   * @param depth Depth in meters to test
+   * @param includeModelSpecificLogic Whether to allow the bubble volume pressure drop
+   * @returns Maximum tolerable pressure in bar, or null if depth is unsafe
+   */
   public calculateTissueTolerance(depth: number, includeModelSpecificLogic: boolean): number | null {
-    return this.calculateAmbientPressure(depth);
+    const ambientPressure = this.calculateAmbientPressure(depth);
+
+    for (const compartment of this.bvmCompartments) {
+      const allowablePressureDrop = includeModelSpecificLogic
+        ? this.calculateAllowablePressureDrop(compartment)
+        : 0; // No supersaturation allowed without bubble mechanics
+
+      if (compartment.totalLoading - allowablePressureDrop > ambientPressure) {
+        return null; // Unsafe depth
+      }
+    }
+
+    return ambientPressure;
+  }
+
+  /**
+   * Expose BVM(3) compartments so simulations ahead preserve their bubble state
+   */
+  protected override getModelSpecificCompartments(): TissueCompartment[][] {
+    return [this.bvmCompartments];
   }
 }
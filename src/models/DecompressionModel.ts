@@ -56,15 +56,252 @@ export interface DecompressionStop {
   time: number;
   /** Gas mix to use during stop */
   gasMix: GasMix;
+  /** True for deep stops inserted before the model's own stops */
+  deepStop?: boolean;
+  /**
+   * False for a stop the tissues do not clear within the stop time search window; its time is
+   * the whole window and the schedule ends there, as the ascent cannot continue
+   */
+  cleared?: boolean;
+}
+
+export interface DecompressionGas {
+  /** Gas mix carried for decompression */
+  gasMix: GasMix;
+  /** Deepest stop depth in meters at which this gas may be breathed */
+  switchDepth: number;
+}
+
+export interface RebreatherLoop {
+  /** Loop ppO2 setpoint in bar */
+  setpoint: number;
+  /** Diluent gas mix, also breathable on open circuit as the bottom bailout gas */
+  diluent: GasMix;
+}
+
+export interface BailoutOptions {
+  /** Surface air consumption on open circuit in L/min (default: 20 L/min) */
+  sacRate?: number;
+  /** Maximum ppO2 in bar used to derive bailout gas switch depths (default: the model's deco ppO2) */
+  maxPpO2?: number;
+}
+
+export interface BailoutGasVolume {
+  /** Bailout gas mix */
+  gasMix: GasMix;
+  /** Open-circuit gas needed in surface liters */
+  volume: number;
+}
+
+export interface BailoutPlan {
+  /** Open-circuit decompression stops, deepest first */
+  stops: DecompressionStop[];
+  /** Time to surface on open circuit in minutes (Infinity if a stop never clears) */
+  tts: number;
+  /** Time to surface staying on the loop in minutes, for comparison (Infinity if a stop never clears) */
+  loopTts: number;
+  /** Gas needed per bailout gas, in the order first breathed */
+  gasVolumes: BailoutGasVolume[];
+  /** Total open-circuit gas needed in surface liters */
+  totalGasVolume: number;
 }
 
+export interface IsobaricCounterdiffusionCheck {
+  /** Depth of the gas switch in meters */
+  depth: number;
+  /** Gas breathed before the switch */
+  fromGas: GasMix;
+  /** Gas breathed after the switch */
+  toGas: GasMix;
+  /** Increase in nitrogen fraction (negative when nitrogen drops) */
+  nitrogenFractionIncrease: number;
+  /** Decrease in helium fraction (negative when helium rises) */
+  heliumFractionDecrease: number;
+  /** Jump in inspired nitrogen partial pressure in bar */
+  nitrogenPressureIncrease: number;
+  /** True when the nitrogen increase is at most a fifth of the helium decrease */
+  ruleOfFifthsOk: boolean;
+  /** Compartments whose nitrogen uptake would outpace their helium washout after the switch */
+  counterdiffusingCompartments: number[];
+  /** True when either check fails */
+  warning: boolean;
+}
+
+export interface SurfaceTimeOptions {
+  /** Maximum time to search in minutes (default: 48 hours) */
+  maxTime?: number;
+  /** Search resolution in minutes (default: 1 minute) */
+  timeStep?: number;
+}
+
+export interface DesaturationOptions extends SurfaceTimeOptions {
+  /** Largest inert gas difference from surface equilibrium per compartment in bar (default: 0.05 bar) */
+  tolerance?: number;
+}
+
+export interface NoFlyOptions extends SurfaceTimeOptions {
+  /** Aircraft cabin pressure in bar (default: 0.75 bar) */
+  cabinPressure?: number;
+}
+
+/** Standard sea level atmospheric pressure in bar */
+export const SEA_LEVEL_PRESSURE = 1.013;
+
+/**
+ * Convert an altitude to atmospheric pressure using the standard barometric formula
+ * @param altitude Altitude above sea level in meters
+ * @returns Atmospheric pressure in bar
+ */
+export function altitudeToPressure(altitude: number): number {
+  if (altitude < 0 || altitude > 10000) {
+    throw new Error('Altitude must be between 0 and 10000 meters');
+  }
+  return SEA_LEVEL_PRESSURE * Math.pow(1 - 2.25577e-5 * altitude, 5.25588);
+}
+
+/** Aircraft cabin pressure in bar, about 2400 m (8000 ft) of altitude */
+export const CABIN_PRESSURE = 0.75;
+
+/**
+ * Get the minimum surface interval before flying under the DAN fixed-interval guidelines:
+ * 12 hours after a single no-decompression dive, 18 hours after repetitive or multi-day
+ * diving, and 24 hours after a decompression dive
+ * @param decompressionDive Whether the dive required decompression stops
+ * @param repetitive Whether there were several dives that day or dives on several days
+ * @returns No-fly time in minutes
+ */
+export function calculateDanNoFlyTime(decompressionDive: boolean, repetitive: boolean): number {
+  if (decompressionDive) {
+    return 24 * 60;
+  }
+  return (repetitive ? 18 : 12) * 60;
+}
+
+/** Gases whose inspired partial pressure is tracked */
+export type InspiredGas = 'oxygen' | 'nitrogen' | 'helium';
+
+/**
+ * Open circuit, closed-circuit rebreather at a constant ppO2 setpoint, or semi-closed
+ * rebreather whose loop oxygen fraction drops below the supply gas
+ */
+export type BreathingMode = 'open-circuit' | 'closed-circuit' | 'semi-closed';
+
+/** Semi-closed rebreather settings */
+export interface SemiClosedSettings {
+  /** Passive addition dumps a share of each breath; active addition injects supply gas at a constant flow */
+  type: 'passive' | 'active';
+  /** Diver's metabolic oxygen consumption in L/min at surface pressure */
+  oxygenConsumption: number;
+  /** Passive addition: share of each exhaled breath that is dumped (e.g. 0.1 for 1:10) */
+  dumpRatio?: number;
+  /** Passive addition: respiratory minute volume in L/min (default: 20 L/min) */
+  minuteVolume?: number;
+  /** Active addition: supply gas injection flow in L/min at surface pressure */
+  injectionRate?: number;
+}
+
+export type WaterType = 'fresh' | 'en13319' | 'salt';
+
+/** Standard gravity in m/s² */
+const STANDARD_GRAVITY = 9.80665;
+
+/**
+ * Water densities in kg/m³
+ * EN13319 is the dive computer standard of exactly 1 bar per 10 m (~1019.7 kg/m³)
+ */
+export const WATER_DENSITIES: Readonly<Record<WaterType, number>> = {
+  fresh: 1000,
+  en13319: 10000 / STANDARD_GRAVITY,
+  salt: 1030
+};
+
+/**
+ * Calculate the hydrostatic pressure gradient of water
+ * @param waterDensity Water density in kg/m³
+ * @returns Pressure increase in bar per meter of depth
+ */
+export function waterPressurePerMeter(waterDensity: number): number {
+  return (waterDensity * STANDARD_GRAVITY) / 100000; // Pa to bar
+}
+
+/** Stop depth grids used by dive computers */
+export type StopIntervalType = '3m' | '10ft' | '5m';
+
+/** Distance between stop depths in meters */
+export const STOP_INTERVALS: Readonly<Record<StopIntervalType, number>> = {
+  '3m': 3,
+  '10ft': 3.048,
+  '5m': 5
+};
+
+/**
+ * Rounding of computed stop times
+ * - up: round up to the stop time step, never shortening a stop
+ * - nearest: round to the nearest step
+ * - none: keep the computed time
+ */
+export type StopTimeRounding = 'up' | 'nearest' | 'none';
+
+export interface StopSettings {
+  /** Distance between stop depths in meters */
+  stopInterval: number;
+  /** Depth of the last stop before surfacing in meters */
+  lastStopDepth: number;
+  /** Shortest stop in minutes; every stop of the schedule lasts at least this long */
+  minimumStopTime: number;
+  /** Rounding of stop times */
+  stopTimeRounding: StopTimeRounding;
+  /** Step in minutes that stop times are rounded to */
+  stopTimeStep: number;
+}
+
+/** Default stop grid: 3m stops up to a last stop at 3m, stop times rounded up to whole minutes */
+export const DEFAULT_STOP_SETTINGS: Readonly<StopSettings> = {
+  stopInterval: STOP_INTERVALS['3m'],
+  lastStopDepth: 3,
+  minimumStopTime: 1,
+  stopTimeRounding: 'up',
+  stopTimeStep: 1
+};
+
+/**
+ * Deep stops inserted before the model's first required stop
+ * - none: only the model's own stops
+ * - pyle: Pyle stops halfway between the starting depth and the first required stop,
+ *   repeated while more than three stop intervals remain
+ * - ratio-deco: ratio deco style short stops at every stop depth from 75% of the starting depth
+ */
+export type DeepStopStyle = 'none' | 'pyle' | 'ratio-deco';
+
+export interface DeepStopSettings {
+  /** Deep stop style */
+  style: DeepStopStyle;
+  /** Time at each deep stop in minutes (default: 2 minutes for Pyle stops, 1 minute for ratio deco) */
+  stopTime?: number;
+}
+
+/** Tolerance in meters when matching depths to the stop grid, absorbing floating point error */
+const STOP_GRID_TOLERANCE = 1e-6;
+
+/** Longest single stop the stop time search considers, in minutes */
+const MAX_STOP_TIME = 24 * 60;
+
 /**
  * Abstract decompression model base class
  */
 export abstract class DecompressionModel {
   protected tissueCompartments: TissueCompartment[] = [];
   protected currentDiveState: DiveState;
-  protected surfacePressure: number = 1.013; // bar at sea level
+  protected surfacePressure: number = SEA_LEVEL_PRESSURE; // bar, lower when diving at altitude
+  protected waterDensity: number = WATER_DENSITIES.en13319; // kg/m³
+  protected decompressionGasMixes: GasMix[] = [];
+  protected maxDecoPpO2: number = 1.6; // bar, limit used to derive gas switch depths
+  protected ascentRate: number = 9; // m/min, used for ascent legs in schedules and TTS
+  protected breathingMode: BreathingMode = 'open-circuit';
+  protected setpoint: number = 1.3; // bar, rebreather loop ppO2 in closed-circuit mode
+  protected semiClosedSettings: SemiClosedSettings = { type: 'passive', oxygenConsumption: 1.0, dumpRatio: 0.1, minuteVolume: 20 };
+  protected stopSettings: StopSettings = { ...DEFAULT_STOP_SETTINGS };
+  protected deepStopSettings: DeepStopSettings = { style: 'none' };
 
   constructor() {
     this.initializeTissueCompartments();
@@ -84,9 +321,13 @@ export abstract class DecompressionModel {
 
   /**
    * Update tissue compartment loadings based on current dive state
+   * When start and end depths are given, the ambient pressure is taken to change linearly
+   * between them over the time step (Schreiner equation), covering descents and ascents exactly
    * @param timeStep Time step in minutes
+   * @param startDepth Depth at the start of the step in meters (optional, uses current depth if not provided)
+   * @param endDepth Depth at the end of the step in meters (optional, defaults to the start depth)
    */
-  public abstract updateTissueLoadings(timeStep: number): void;
+  public abstract updateTissueLoadings(timeStep: number, startDepth?: number, endDepth?: number): void;
 
   /**
    * Calculate decompression ceiling (minimum safe depth)
@@ -101,8 +342,10 @@ export abstract class DecompressionModel {
   public abstract calculateDecompressionStops(): DecompressionStop[];
 
   /**
-   * Calculate required decompression stops consolidated to 5m intervals
-   * @returns Array of consolidated decompression stops at 5m increments
+   * Calculate required decompression stops consolidated onto the stop grid
+   * Stops are grouped by the configured stop interval (3m by default, or 5m with
+   * STOP_INTERVALS['5m']) rather than a fixed 5m grid
+   * @returns Array of consolidated decompression stops, one per stop depth
    */
   public calculateConsolidatedDecompressionStops(): DecompressionStop[] {
     const originalStops = this.calculateDecompressionStops();
@@ -166,28 +409,40 @@ export abstract class DecompressionModel {
   }
 
   /**
-   * Calculate minimum stop time using binary search (following Subsurface reference implementation)
-   * This method works on copies to avoid modifying the actual tissue compartments
+   * Calculate minimum stop time at a stop
+   * Steps forward a minute at a time until the ascent to the next depth is tolerated, then
+   * refines the last minute by binary search (following Subsurface reference implementation).
+   * Tolerance need not improve steadily with stop time, since slower compartments can keep
+   * loading during a long stop, so the search never skips ahead.
+   * Each candidate time is simulated with the model's own kinetics and the state is restored afterwards
    * @param stopDepth Depth at which to calculate stop time
    * @param nextDepth Next depth to ascend to (or 0 for surface)
-   * @param maxTime Maximum time to search (default: 120 minutes)
-   * @returns Minimum stop time in minutes
-   */
-  protected calculateMinimumStopTime(stopDepth: number, nextDepth: number, maxTime: number = 120): number {
-    // Binary search for minimum time
-    let minTime = 0;
-    let maxTestTime = maxTime;
-    let bestTime = 0;
+   * @param maxTime Maximum time to search (default: 24 hours)
+   * @returns Minimum stop time in minutes (0 if the next depth is already tolerated, maxTime if
+   *   it is not tolerated within maxTime)
+   */
+  protected calculateMinimumStopTime(stopDepth: number, nextDepth: number, maxTime: number = MAX_STOP_TIME): number {
+    if (this.simulateStopTime(stopDepth, nextDepth, 0)) {
+      return 0; // No stop needed here; the minimum stop time only applies to stops that are made
+    }
+
+    let clearedTime = Math.min(maxTime, 1);
+    while (!this.simulateStopTime(stopDepth, nextDepth, clearedTime)) {
+      if (clearedTime >= maxTime) {
+        return maxTime; // The stop does not clear within the search window
+      }
+      clearedTime = Math.min(maxTime, clearedTime + 1);
+    }
+
+    // Binary search the last minute
+    let minTime = Math.max(0, clearedTime - 1);
+    let bestTime = clearedTime;
     
-    while (maxTestTime - minTime > 0.1) { // 0.1 minute precision
-      const testTime = (minTime + maxTestTime) / 2;
+    while (bestTime - minTime > 0.1) { // 0.1 minute precision
+      const testTime = (minTime + bestTime) / 2;
       
-      // Test if this stop time allows safe ascent by simulating on copies
-      const isSafe = this.simulateStopTime(stopDepth, nextDepth, testTime);
-      
-      if (isSafe) {
+      if (this.simulateStopTime(stopDepth, nextDepth, testTime)) {
         // Safe to ascend after this time
-        maxTestTime = testTime;
         bestTime = testTime;
       } else {
         // Not safe yet, need more time
@@ -195,94 +450,172 @@ export abstract class DecompressionModel {
       }
     }
     
-    return Math.max(1, Math.ceil(bestTime)); // Minimum 1 minute
+    return this.roundStopTime(bestTime);
   }
 
   /**
-   * Simulate staying at a stop depth for a given time and test if ascent is safe
-   * This method works on copies and does not modify the actual tissue compartments
+   * Simulate staying at a stop depth for a given time, then ascending to the next depth
+   * at the configured ascent rate, and test if arriving there is safe
+   * The model's own tissue kinetics advance all compartment state, including bubble and
+   * other model-specific state; the tissue and dive state are restored afterwards
    * @param stopDepth Depth to simulate stop at
    * @param nextDepth Depth to test ascent to
    * @param stopTime Time to spend at stop depth
    * @returns True if ascent is safe after the stop time
    */
   private simulateStopTime(stopDepth: number, nextDepth: number, stopTime: number): boolean {
-    // Create copies of current tissue loadings
-    const testCompartments = this.tissueCompartments.map(c => ({
-      nitrogenLoading: c.nitrogenLoading,
-      heliumLoading: c.heliumLoading,
-      nitrogenHalfTime: c.nitrogenHalfTime,
-      heliumHalfTime: c.heliumHalfTime
-    }));
-    
-    // Calculate partial pressures at stop depth
-    const stopPressure = this.calculateAmbientPressure(stopDepth);
-    const nitrogenPP = this.currentDiveState.gasMix.nitrogen * stopPressure;
-    const heliumPP = this.currentDiveState.gasMix.helium * stopPressure;
-    
-    // Simulate tissue loading during stop time on the copies
-    testCompartments.forEach(compartment => {
-      compartment.nitrogenLoading = this.calculateHaldaneLoading(
-        compartment.nitrogenLoading,
-        nitrogenPP,
-        compartment.nitrogenHalfTime,
-        stopTime
-      );
-      
-      compartment.heliumLoading = this.calculateHaldaneLoading(
-        compartment.heliumLoading,
-        heliumPP,
-        compartment.heliumHalfTime,
-        stopTime
-      );
-    });
-    
-    // Test tissue tolerance at next depth using the simulated loadings
-    return this.testTissueToleranceWithCompartments(nextDepth, testCompartments);
-  }
-
-  /**
-   * Test tissue tolerance at a given depth using provided compartment loadings
-   * This is used for simulation without modifying actual tissue state
-   * @param depth Depth to test
-   * @param compartments Compartment loadings to test with
-   * @returns True if depth is safe for the given tissue loadings
-   */
-  private testTissueToleranceWithCompartments(
-    depth: number, 
-    compartments: Array<{nitrogenLoading: number, heliumLoading: number}>
-  ): boolean {
-    // Save current tissue state
-    const originalLoadings = this.tissueCompartments.map(c => ({
-      nitrogenLoading: c.nitrogenLoading,
-      heliumLoading: c.heliumLoading
-    }));
-    
+    const snapshot = this.captureTissueState();
+    const savedDiveState = this.currentDiveState;
+
     try {
-      // Temporarily set tissue loadings to test values
-      this.tissueCompartments.forEach((c, i) => {
-        c.nitrogenLoading = compartments[i]!.nitrogenLoading;
-        c.heliumLoading = compartments[i]!.heliumLoading;
-      });
-      
-      // Test tolerance
-      const tolerance = this.calculateTissueTolerance(depth, true);
-      
-      return tolerance !== null;
+      this.updateDiveState({ depth: stopDepth, gasMix: this.getGasMixForDepth(stopDepth) });
+      this.updateTissueLoadings(stopTime);
+      this.simulateAscentLeg(nextDepth);
+
+      return this.calculateTissueTolerance(nextDepth, true) !== null;
     } finally {
-      // Always restore original state
-      this.tissueCompartments.forEach((c, i) => {
-        c.nitrogenLoading = originalLoadings[i]!.nitrogenLoading;
-        c.heliumLoading = originalLoadings[i]!.heliumLoading;
-      });
+      this.restoreTissueState(snapshot);
+      this.currentDiveState = savedDiveState;
+    }
+  }
+
+  /**
+   * Generate decompression stops on the stop grid by walking the ascent from the current depth
+   * Any configured deep stops come first; tissues are loaded along every ascent leg at the
+   * configured ascent rate and during each stop, so every stop time is computed from the
+   * tissue state on arrival at that stop, including the extra time spent deep. A stop that
+   * never clears is marked and ends the schedule. The tissue and dive state are restored afterwards
+   * @param firstStopDepth Deepest stop depth in meters
+   * @param calculateStopTime Model-specific stop time in minutes for the current tissue state at a depth
+   * @returns Decompression stops, deepest first
+   */
+  protected generateDecompressionStops(
+    firstStopDepth: number,
+    calculateStopTime: (depth: number) => number
+  ): DecompressionStop[] {
+    const stops: DecompressionStop[] = [];
+    const snapshot = this.captureTissueState();
+    const savedDiveState = this.currentDiveState;
+
+    try {
+      const deepStopTime = this.getDeepStopTime();
+      for (const depth of this.calculateDeepStopDepths(this.currentDiveState.depth, firstStopDepth)) {
+        this.simulateAscentLeg(depth);
+        const gasMix = this.getGasMixForDepth(depth);
+        this.updateDiveState({ depth, gasMix });
+        stops.push({ depth, time: deepStopTime, gasMix, deepStop: true });
+        this.updateTissueLoadings(deepStopTime);
+      }
+
+      this.simulateAscentLeg(firstStopDepth);
+
+      let currentDepth = firstStopDepth;
+      while (currentDepth > 0) {
+        const gasMix = this.getGasMixForDepth(currentDepth);
+        this.updateDiveState({ depth: currentDepth, gasMix });
+
+        const requiredTime = calculateStopTime(currentDepth);
+        if (requiredTime >= MAX_STOP_TIME) {
+          stops.push({ depth: currentDepth, time: MAX_STOP_TIME, gasMix, cleared: false });
+          break;
+        }
+
+        const stopTime = requiredTime > 0 ? this.roundStopTime(requiredTime) : 0;
+        if (stopTime > 0) {
+          stops.push({ depth: currentDepth, time: stopTime, gasMix });
+          this.updateTissueLoadings(stopTime);
+        }
+
+        currentDepth = this.getNextStopDepth(currentDepth);
+        this.simulateAscentLeg(currentDepth);
+      }
+    } finally {
+      this.restoreTissueState(snapshot);
+      this.currentDiveState = savedDiveState;
+    }
+
+    return stops;
+  }
+
+  /**
+   * Get the depths of the configured deep stops for an ascent
+   * @param startDepth Depth at the start of the ascent in meters
+   * @param firstStopDepth Model's first required stop depth in meters
+   * @returns Deep stop depths on the stop grid, deepest first (empty without deep stops)
+   */
+  protected calculateDeepStopDepths(startDepth: number, firstStopDepth: number): number[] {
+    const depths: number[] = [];
+
+    if (this.deepStopSettings.style === 'pyle') {
+      // Halve the remaining distance until the first required stop is at most three stops away
+      let depth = startDepth;
+      while (depth - firstStopDepth > 3 * this.stopSettings.stopInterval + STOP_GRID_TOLERANCE) {
+        const deepStopDepth = this.roundUpToStopGrid((depth + firstStopDepth) / 2);
+        if (deepStopDepth >= depth) {
+          break;
+        }
+        depths.push(deepStopDepth);
+        depth = deepStopDepth;
+      }
+    } else if (this.deepStopSettings.style === 'ratio-deco') {
+      let depth = this.roundDownToStopGrid(0.75 * startDepth);
+      while (depth > firstStopDepth + STOP_GRID_TOLERANCE) {
+        depths.push(depth);
+        depth = this.getNextStopDepth(depth);
+      }
+    }
+
+    return depths;
+  }
+
+  /**
+   * Get the time spent at each deep stop in minutes
+   */
+  private getDeepStopTime(): number {
+    return this.deepStopSettings.stopTime ?? (this.deepStopSettings.style === 'pyle' ? 2 : 1);
+  }
+
+  /**
+   * Ascend from the current depth to a shallower depth at the configured ascent rate,
+   * switching to each deco gas as its switch depth is reached
+   * @param targetDepth Depth to ascend to in meters
+   */
+  private simulateAscentLeg(targetDepth: number): void {
+    for (const leg of this.splitAscentAtGasSwitches(this.currentDiveState.depth, targetDepth)) {
+      this.updateDiveState({ gasMix: leg.gasMix });
+      this.updateTissueLoadings((leg.startDepth - leg.endDepth) / this.ascentRate, leg.startDepth, leg.endDepth);
+      this.updateDiveState({ depth: leg.endDepth });
+    }
+  }
+
+  /**
+   * Split an ascent into legs breathed on a single gas, ending each leg at a gas switch depth
+   * @param startDepth Depth at the start of the ascent in meters
+   * @param endDepth Depth at the end of the ascent in meters
+   * @returns Legs in ascent order (empty if endDepth is not shallower than startDepth)
+   */
+  public splitAscentAtGasSwitches(
+    startDepth: number,
+    endDepth: number
+  ): Array<{ startDepth: number; endDepth: number; gasMix: GasMix }> {
+    const legs: Array<{ startDepth: number; endDepth: number; gasMix: GasMix }> = [];
+    const switchDepths = this.getDecompressionGases().map(decoGas => decoGas.switchDepth);
+    let depth = startDepth;
+
+    while (depth > endDepth) {
+      const legEndDepth = Math.max(endDepth, ...switchDepths.filter(switchDepth => switchDepth < depth));
+      legs.push({ startDepth: depth, endDepth: legEndDepth, gasMix: this.getGasMixForDepth(depth) });
+      depth = legEndDepth;
     }
+
+    return legs;
   }
 
   /**
-   * Consolidate decompression stops to 5-meter increments
-   * Combines stops that are within 5m of each other, summing their times
+   * Consolidate decompression stops onto the stop grid
+   * Combines stops that round up to the same stop depth, summing their times
    * @param stops Original decompression stops
-   * @returns Consolidated stops at 5m intervals
+   * @returns Consolidated stops, deepest first
    */
   protected consolidateDecompressionStops(stops: DecompressionStop[]): DecompressionStop[] {
     if (stops.length === 0) {
@@ -292,22 +625,20 @@ export abstract class DecompressionModel {
     const consolidated: DecompressionStop[] = [];
     const stopsByDepth = new Map<number, DecompressionStop>();
 
-    // Group stops by 5m intervals
+    // Group stops by stop depth
     for (const stop of stops) {
-      // Round depth to nearest 5m increment (5, 10, 15, 20, etc.)
-      const consolidatedDepth = Math.ceil(stop.depth / 5) * 5;
+      const consolidatedDepth = this.roundUpToStopGrid(stop.depth);
       
       if (stopsByDepth.has(consolidatedDepth)) {
         // Add time to existing stop at this depth
         const existingStop = stopsByDepth.get(consolidatedDepth)!;
         existingStop.time += stop.time;
+        if (stop.cleared === false) {
+          existingStop.cleared = false;
+        }
       } else {
         // Create new stop at consolidated depth
-        stopsByDepth.set(consolidatedDepth, {
-          depth: consolidatedDepth,
-          time: stop.time,
-          gasMix: stop.gasMix
-        });
+        stopsByDepth.set(consolidatedDepth, { ...stop, depth: consolidatedDepth });
       }
     }
 
@@ -322,46 +653,564 @@ export abstract class DecompressionModel {
 
   /**
    * Calculate time to surface (TTS) including ascent time and decompression stops
-   * @param ascentRate Ascent rate in meters per minute (default: 9 m/min)
-   * @returns Total time to surface in minutes
+   * Stop times account for tissue loading along each ascent leg at the given rate
+   * @param ascentRate Ascent rate in meters per minute (default: the configured ascent rate)
+   * @returns Total time to surface in minutes (Infinity if a stop never clears)
    */
-  public calculateTTS(ascentRate: number = 9): number {
-    const originalStops = this.calculateDecompressionStops();
-    const stops = this.consolidateDecompressionStops(originalStops);
-    const currentDepth = this.currentDiveState.depth;
-    
-    // If no decompression required, just calculate direct ascent time
-    if (stops.length === 0) {
-      return currentDepth / ascentRate;
+  public calculateTTS(ascentRate: number = this.ascentRate): number {
+    const configuredAscentRate = this.ascentRate;
+    let stops: DecompressionStop[];
+
+    try {
+      this.ascentRate = ascentRate;
+      stops = this.calculateDecompressionStops();
+    } finally {
+      this.ascentRate = configuredAscentRate;
     }
-    
-    let totalTime = 0;
-    let currentPosition = currentDepth;
-    
-    // Add ascent time from current depth to first stop
-    const firstStop = stops[0];
-    if (firstStop && currentPosition > firstStop.depth) {
-      totalTime += (currentPosition - firstStop.depth) / ascentRate;
-      currentPosition = firstStop.depth;
+
+    if (stops.some(stop => stop.cleared === false)) {
+      return Infinity;
     }
-    
-    // Add time for each stop and ascent between stops
-    for (let i = 0; i < stops.length; i++) {
-      const stop = stops[i];
-      if (!stop) continue;
-      
-      // Add stop time
-      totalTime += stop.time;
-      
-      // Add ascent time to next stop (or surface if last stop)
-      const nextDepth = i < stops.length - 1 ? stops[i + 1]?.depth || 0 : 0;
-      if (currentPosition > nextDepth) {
-        totalTime += (currentPosition - nextDepth) / ascentRate;
-        currentPosition = nextDepth;
+
+    // Ascent legs between stops add up to the current depth
+    const stopTime = stops.reduce((total, stop) => total + stop.time, 0);
+    return this.currentDiveState.depth / ascentRate + stopTime;
+  }
+
+  /**
+   * Plan an open-circuit bailout ascent from the current tissue state
+   * The loop's diluent is the bottom bailout gas and the bailout gases are switched to as
+   * deco gases at their switch depths. Gas volumes cover every ascent leg and stop at the
+   * given surface air consumption, in surface liters at 1 atm like the gas consumption calculator.
+   * The breathing mode, deco gases, dive state and tissue state are restored afterwards
+   * @param loop Rebreather loop the diver is bailing out from
+   * @param bailoutGases Open-circuit bailout gases carried
+   * @param options Bailout options
+   * @returns Bailout plan with stops, TTS and gas volumes
+   */
+  public calculateBailoutPlan(loop: RebreatherLoop, bailoutGases: GasMix[], options: BailoutOptions = {}): BailoutPlan {
+    const sacRate = options.sacRate ?? 20;
+    if (sacRate <= 0) {
+      throw new Error('SAC rate must be greater than 0');
+    }
+
+    const savedBreathingMode = this.breathingMode;
+    const savedSetpoint = this.setpoint;
+    const savedDecompressionGasMixes = this.decompressionGasMixes;
+    const savedMaxDecoPpO2 = this.maxDecoPpO2;
+    const savedDiveState = this.currentDiveState;
+
+    try {
+      this.setClosedCircuit(loop.setpoint, loop.diluent);
+      const loopTts = this.calculateTTS();
+
+      this.setOpenCircuit();
+      this.setDecompressionGases(bailoutGases, options.maxPpO2 ?? this.maxDecoPpO2);
+      const stops = this.calculateDecompressionStops();
+
+      const volumes = new Map<GasMix, number>();
+      const addGas = (gasMix: GasMix, time: number, startDepth: number, endDepth: number): void => {
+        const averagePressure = (this.calculateAmbientPressure(startDepth) + this.calculateAmbientPressure(endDepth)) / 2;
+        const volume = sacRate * time * (averagePressure / SEA_LEVEL_PRESSURE);
+        volumes.set(gasMix, (volumes.get(gasMix) ?? 0) + volume);
+      };
+
+      // Walk the ascent: legs between stops at the ascent rate, then each stop
+      let depth = this.currentDiveState.depth;
+      for (const target of [...stops, { depth: 0, time: 0, gasMix: loop.diluent }]) {
+        for (const leg of this.splitAscentAtGasSwitches(depth, target.depth)) {
+          addGas(leg.gasMix, (leg.startDepth - leg.endDepth) / this.ascentRate, leg.startDepth, leg.endDepth);
+        }
+        if (target.time > 0) {
+          addGas(target.gasMix, target.time, target.depth, target.depth);
+        }
+        depth = Math.min(depth, target.depth);
       }
+
+      const gasVolumes = [...volumes].map(([gasMix, volume]) => ({ gasMix, volume }));
+      const stopTime = stops.reduce((total, stop) => total + stop.time, 0);
+      const cleared = stops.every(stop => stop.cleared !== false);
+
+      return {
+        stops,
+        tts: cleared ? this.currentDiveState.depth / this.ascentRate + stopTime : Infinity,
+        loopTts,
+        gasVolumes,
+        totalGasVolume: gasVolumes.reduce((total, gas) => total + gas.volume, 0)
+      };
+    } finally {
+      this.breathingMode = savedBreathingMode;
+      this.setpoint = savedSetpoint;
+      this.decompressionGasMixes = savedDecompressionGasMixes;
+      this.maxDecoPpO2 = savedMaxDecoPpO2;
+      this.currentDiveState = savedDiveState;
+    }
+  }
+
+  /**
+   * Set the ascent rate used for ascent legs in decompression schedules and TTS
+   * @param ascentRate Ascent rate in meters per minute
+   */
+  public setAscentRate(ascentRate: number): void {
+    if (ascentRate <= 0) {
+      throw new Error('Ascent rate must be greater than 0');
+    }
+    this.ascentRate = ascentRate;
+  }
+
+  /**
+   * Get the ascent rate used for ascent legs in decompression schedules and TTS
+   */
+  public getAscentRate(): number {
+    return this.ascentRate;
+  }
+
+  /**
+   * Configure the stop grid and stop times used in decompression schedules
+   * Stops lie at the last stop depth and at every multiple of the stop interval deeper than it,
+   * so a 6m last stop skips the 3m stop on a 3m grid
+   * @param settings Stop settings to change; omitted settings keep their current values
+   */
+  public setStopSettings(settings: Partial<StopSettings>): void {
+    const stopSettings = { ...this.stopSettings, ...settings };
+
+    if (stopSettings.stopInterval <= 0) {
+      throw new Error('Stop interval must be greater than 0');
+    }
+    if (stopSettings.lastStopDepth <= 0) {
+      throw new Error('Last stop depth must be greater than 0');
+    }
+    if (stopSettings.minimumStopTime < 0) {
+      throw new Error('Minimum stop time must not be negative');
+    }
+    if (stopSettings.stopTimeStep <= 0) {
+      throw new Error('Stop time step must be greater than 0');
+    }
+
+    this.stopSettings = stopSettings;
+  }
+
+  /**
+   * Get the stop grid and stop time settings
+   */
+  public getStopSettings(): StopSettings {
+    return { ...this.stopSettings };
+  }
+
+  /**
+   * Configure deep stops inserted before the model's first required stop
+   * The model's own stops are then computed from the tissue state after the deep stops
+   * @param settings Deep stop settings
+   */
+  public setDeepStops(settings: DeepStopSettings): void {
+    if (settings.stopTime !== undefined && settings.stopTime <= 0) {
+      throw new Error('Deep stop time must be greater than 0');
+    }
+    this.deepStopSettings = { ...settings };
+  }
+
+  /**
+   * Get the deep stop settings
+   */
+  public getDeepStops(): DeepStopSettings {
+    return { ...this.deepStopSettings };
+  }
+
+  /**
+   * Round a depth up to the stop grid
+   * @param depth Depth in meters
+   * @returns Shallowest stop depth at or below the depth (0 at the surface)
+   */
+  protected roundUpToStopGrid(depth: number): number {
+    const { stopInterval, lastStopDepth } = this.stopSettings;
+    if (depth <= 0) {
+      return 0;
+    }
+    if (depth <= lastStopDepth + STOP_GRID_TOLERANCE) {
+      return lastStopDepth;
+    }
+    return Math.ceil((depth - STOP_GRID_TOLERANCE) / stopInterval) * stopInterval;
+  }
+
+  /**
+   * Round a depth down to the stop grid
+   * @param depth Depth in meters
+   * @returns Deepest stop depth at or above the depth (0 if shallower than the last stop)
+   */
+  protected roundDownToStopGrid(depth: number): number {
+    const { stopInterval, lastStopDepth } = this.stopSettings;
+    if (depth < lastStopDepth - STOP_GRID_TOLERANCE) {
+      return 0;
+    }
+    const gridDepth = Math.floor((depth + STOP_GRID_TOLERANCE) / stopInterval) * stopInterval;
+    return gridDepth > lastStopDepth ? gridDepth : lastStopDepth;
+  }
+
+  /**
+   * Get the next stop depth shallower than a stop
+   * @param depth Current stop depth in meters
+   * @returns Next stop depth, or 0 after the last stop
+   */
+  protected getNextStopDepth(depth: number): number {
+    const { stopInterval, lastStopDepth } = this.stopSettings;
+    if (depth <= lastStopDepth + STOP_GRID_TOLERANCE) {
+      return 0;
+    }
+    const nextDepth = (Math.ceil((depth - STOP_GRID_TOLERANCE) / stopInterval) - 1) * stopInterval;
+    return nextDepth > lastStopDepth + STOP_GRID_TOLERANCE ? nextDepth : lastStopDepth;
+  }
+
+  /**
+   * Round a computed stop time with the configured rounding and minimum stop time
+   * @param time Computed stop time in minutes
+   * @returns Stop time in minutes
+   */
+  protected roundStopTime(time: number): number {
+    const { minimumStopTime, stopTimeRounding, stopTimeStep } = this.stopSettings;
+    let roundedTime = time;
+
+    if (stopTimeRounding === 'up') {
+      roundedTime = Math.ceil(time / stopTimeStep) * stopTimeStep;
+    } else if (stopTimeRounding === 'nearest') {
+      roundedTime = Math.round(time / stopTimeStep) * stopTimeStep;
+    }
+
+    return Math.max(minimumStopTime, roundedTime);
+  }
+
+  /**
+   * Switch to closed-circuit rebreather mode at a constant ppO2 setpoint
+   * The dive state's gas mix becomes the diluent; inspired inert gas pressures are derived
+   * from the loop at each depth
+   * @param setpoint Loop ppO2 setpoint in bar
+   * @param diluent Diluent gas mix (optional, keeps the current gas mix if not provided)
+   */
+  public setClosedCircuit(setpoint: number, diluent?: GasMix): void {
+    if (setpoint <= 0) {
+      throw new Error('Setpoint must be greater than 0');
+    }
+
+    this.breathingMode = 'closed-circuit';
+    this.setpoint = setpoint;
+
+    if (diluent) {
+      this.updateDiveState({ gasMix: diluent });
     }
-    
-    return totalTime;
+  }
+
+  /**
+   * Switch to semi-closed rebreather mode
+   * The dive state's gas mix becomes the supply gas; the loop oxygen fraction is derived from
+   * the supply flow and the diver's oxygen consumption at each depth
+   * @param settings Passive or active addition settings
+   * @param supplyGas Supply gas mix (optional, keeps the current gas mix if not provided)
+   */
+  public setSemiClosed(settings: SemiClosedSettings, supplyGas?: GasMix): void {
+    if (settings.oxygenConsumption <= 0) {
+      throw new Error('Oxygen consumption must be greater than 0');
+    }
+
+    if (settings.type === 'passive') {
+      if (settings.dumpRatio === undefined || settings.dumpRatio <= 0 || settings.dumpRatio > 1) {
+        throw new Error('Dump ratio must be between 0 and 1');
+      }
+      if (settings.minuteVolume !== undefined && settings.minuteVolume <= 0) {
+        throw new Error('Minute volume must be greater than 0');
+      }
+      this.semiClosedSettings = {
+        type: 'passive',
+        oxygenConsumption: settings.oxygenConsumption,
+        dumpRatio: settings.dumpRatio,
+        minuteVolume: settings.minuteVolume ?? 20
+      };
+    } else {
+      if (settings.injectionRate === undefined || settings.injectionRate <= settings.oxygenConsumption) {
+        throw new Error('Injection rate must be greater than the oxygen consumption');
+      }
+      this.semiClosedSettings = {
+        type: 'active',
+        oxygenConsumption: settings.oxygenConsumption,
+        injectionRate: settings.injectionRate
+      };
+    }
+
+    this.breathingMode = 'semi-closed';
+
+    if (supplyGas) {
+      this.updateDiveState({ gasMix: supplyGas });
+    }
+  }
+
+  /**
+   * Get the semi-closed rebreather settings used in semi-closed mode
+   */
+  public getSemiClosedSettings(): SemiClosedSettings {
+    return { ...this.semiClosedSettings };
+  }
+
+  /**
+   * Calculate the steady-state oxygen fraction of a semi-closed rebreather loop
+   * Oxygen added with the supply gas balances the oxygen metabolized plus the oxygen vented
+   * with the gas leaving the loop. Active addition vents the injection flow less the oxygen
+   * consumed; passive addition vents a share of each breath, a surface-equivalent volume that
+   * grows with ambient pressure, so the loop fraction falls less at depth
+   * @param supplyOxygen Oxygen fraction of the supply gas (0.0 to 1.0)
+   * @param ambientPressure Ambient pressure in bar (optional, uses current ambient pressure if not provided)
+   * @returns Loop oxygen fraction (0.0 to 1.0)
+   */
+  public calculateSemiClosedLoopOxygenFraction(
+    supplyOxygen: number,
+    ambientPressure: number = this.currentDiveState.ambientPressure
+  ): number {
+    const { type, oxygenConsumption, dumpRatio = 0, minuteVolume = 20, injectionRate = 0 } = this.semiClosedSettings;
+
+    const loopOxygen = type === 'active'
+      ? (injectionRate * supplyOxygen - oxygenConsumption) / (injectionRate - oxygenConsumption)
+      : supplyOxygen - (oxygenConsumption * (1 - supplyOxygen)) / (minuteVolume * dumpRatio * ambientPressure);
+
+    return Math.max(0, Math.min(supplyOxygen, loopOxygen));
+  }
+
+  /**
+   * Switch back to open circuit on the current gas mix
+   */
+  public setOpenCircuit(): void {
+    this.breathingMode = 'open-circuit';
+  }
+
+  /**
+   * Get the current breathing mode
+   */
+  public getBreathingMode(): BreathingMode {
+    return this.breathingMode;
+  }
+
+  /**
+   * Get the rebreather ppO2 setpoint in bar used in closed-circuit mode
+   */
+  public getSetpoint(): number {
+    return this.setpoint;
+  }
+
+  /**
+   * Get the inspired oxygen, nitrogen and helium partial pressures for the current breathing mode
+   * @param depth Depth in meters (optional, uses current depth if not provided)
+   * @param gasMix Gas mix or diluent breathed (optional, uses the current gas mix if not provided)
+   * @returns Inspired partial pressures in bar
+   */
+  public getInspiredPartialPressures(
+    depth?: number,
+    gasMix: GasMix = this.currentDiveState.gasMix
+  ): Record<InspiredGas, number> {
+    const ambientPressure = depth !== undefined
+      ? this.calculateAmbientPressure(depth)
+      : this.currentDiveState.ambientPressure;
+
+    return {
+      oxygen: this.calculateInspiredPartialPressure('oxygen', gasMix, ambientPressure),
+      nitrogen: this.calculateInspiredPartialPressure('nitrogen', gasMix, ambientPressure),
+      helium: this.calculateInspiredPartialPressure('helium', gasMix, ambientPressure)
+    };
+  }
+
+  /**
+   * Set the surface (atmospheric) pressure and return the model to the surface
+   * Acclimatized divers start with tissues equilibrated to the new surface pressure; otherwise
+   * tissues stay equilibrated to sea level, as for a diver who has just driven up to altitude
+   * @param surfacePressure Surface pressure in bar
+   * @param acclimatized Whether tissues are equilibrated to the new surface pressure (default: true)
+   */
+  public setSurfacePressure(surfacePressure: number, acclimatized: boolean = true): void {
+    if (surfacePressure <= 0) {
+      throw new Error('Surface pressure must be greater than 0');
+    }
+
+    this.surfacePressure = acclimatized ? surfacePressure : SEA_LEVEL_PRESSURE;
+    this.resetToSurface();
+
+    this.surfacePressure = surfacePressure;
+    this.currentDiveState.ambientPressure = surfacePressure;
+  }
+
+  /**
+   * Set the dive site altitude and return the model to the surface
+   * @param altitude Altitude above sea level in meters
+   * @param acclimatized Whether tissues are equilibrated to the altitude (default: true)
+   */
+  public setAltitude(altitude: number, acclimatized: boolean = true): void {
+    this.setSurfacePressure(altitudeToPressure(altitude), acclimatized);
+  }
+
+  /**
+   * Get the surface (atmospheric) pressure in bar
+   */
+  public getSurfacePressure(): number {
+    return this.surfacePressure;
+  }
+
+  /**
+   * Set the water density used to convert between depth and pressure
+   * @param waterDensity Water density in kg/m³ (see WATER_DENSITIES for fresh, EN13319 and salt water)
+   */
+  public setWaterDensity(waterDensity: number): void {
+    if (waterDensity <= 0) {
+      throw new Error('Water density must be greater than 0');
+    }
+    this.waterDensity = waterDensity;
+    this.currentDiveState.ambientPressure = this.calculateAmbientPressure(this.currentDiveState.depth);
+  }
+
+  /**
+   * Get the water density in kg/m³
+   */
+  public getWaterDensity(): number {
+    return this.waterDensity;
+  }
+
+  /**
+   * Calculate the no-decompression limit (NDL) at the current depth and gas
+   * Simulates staying at the current depth minute by minute using the model's own tissue
+   * kinetics and direct-ascent criterion, then restores the tissue state
+   * @param maxTime Maximum time to search in minutes (default: 99 minutes)
+   * @returns Whole minutes that can still be spent here with direct ascent allowed (0 if decompression is already required)
+   */
+  public calculateNoDecompressionLimit(maxTime: number = 99): number {
+    if (!this.canAscendDirectly()) {
+      return 0;
+    }
+
+    const snapshot = this.captureTissueState();
+    let minutes = 0;
+
+    try {
+      while (minutes < maxTime) {
+        this.updateTissueLoadings(1);
+        if (!this.canAscendDirectly()) {
+          break;
+        }
+        minutes++;
+      }
+    } finally {
+      this.restoreTissueState(snapshot);
+    }
+
+    return minutes;
+  }
+
+  /**
+   * Register the gases carried for decompression
+   * Switch depths are derived from each gas's maximum operating depth at the given ppO2
+   * @param gasMixes Decompression gas mixes (the bottom gas is taken from the dive state)
+   * @param maxPpO2 Maximum oxygen partial pressure in bar allowed on a deco gas (default: 1.6)
+   */
+  public setDecompressionGases(gasMixes: GasMix[], maxPpO2: number = this.maxDecoPpO2): void {
+    if (maxPpO2 <= 0) {
+      throw new Error('Maximum deco ppO2 must be greater than 0');
+    }
+    for (const gasMix of gasMixes) {
+      if (gasMix.oxygen <= 0 || gasMix.oxygen > 1 || gasMix.helium < 0 || gasMix.oxygen + gasMix.helium > 1) {
+        throw new Error('Invalid decompression gas mix');
+      }
+    }
+
+    this.decompressionGasMixes = [...gasMixes];
+    this.maxDecoPpO2 = maxPpO2;
+  }
+
+  /**
+   * Get the registered decompression gases with their switch depths, deepest switch first
+   */
+  public getDecompressionGases(): DecompressionGas[] {
+    return this.decompressionGasMixes
+      .map(gasMix => ({ gasMix, switchDepth: this.calculateGasSwitchDepth(gasMix) }))
+      .sort((a, b) => b.switchDepth - a.switchDepth);
+  }
+
+  /**
+   * Get the maximum ppO2 used to derive deco gas switch depths
+   */
+  public getMaxDecoPpO2(): number {
+    return this.maxDecoPpO2;
+  }
+
+  /**
+   * Select the gas breathed at a given depth during the ascent
+   * Picks the richest registered deco gas that is within its switch depth, falling back
+   * to the current breathing gas when none is breathable or none is richer
+   * @param depth Depth in meters
+   * @returns Gas mix to breathe at that depth
+   */
+  public getGasMixForDepth(depth: number): GasMix {
+    let selectedGas = this.currentDiveState.gasMix;
+
+    // Rebreather divers stay on the loop; open-circuit deco gases are not breathed
+    if (this.breathingMode !== 'open-circuit') {
+      return selectedGas;
+    }
+
+    for (const decoGas of this.getDecompressionGases()) {
+      if (depth <= decoGas.switchDepth && decoGas.gasMix.oxygen > selectedGas.oxygen) {
+        selectedGas = decoGas.gasMix;
+      }
+    }
+
+    return selectedGas;
+  }
+
+  /**
+   * Calculate the depth at which a deco gas becomes breathable
+   * The maximum operating depth is rounded down to the stop grid, so the gas never exceeds
+   * the maximum deco ppO2 at its switch depth
+   * @param gasMix Gas mix to evaluate
+   * @returns Switch depth in meters
+   */
+  protected calculateGasSwitchDepth(gasMix: GasMix): number {
+    const maxOperatingDepth = this.calculateDepthFromPressure(this.maxDecoPpO2 / gasMix.oxygen);
+    return this.roundDownToStopGrid(maxOperatingDepth);
+  }
+
+  /**
+   * Check a gas switch for isobaric counterdiffusion (ICD)
+   * Applies the rule of fifths (the nitrogen fraction may rise by at most a fifth of the
+   * helium fraction's drop) and checks every compartment's gradients just after the switch:
+   * a compartment whose nitrogen in-flow exceeds its helium out-flow gains inert gas at
+   * constant depth, risking transient supersaturation
+   * @param toGas Gas to switch to
+   * @param depth Switch depth in meters (optional, uses current depth if not provided)
+   * @param fromGas Gas breathed before the switch (optional, uses the current gas mix if not provided)
+   * @returns ICD check result
+   */
+  public checkGasSwitch(
+    toGas: GasMix,
+    depth: number = this.currentDiveState.depth,
+    fromGas: GasMix = this.currentDiveState.gasMix
+  ): IsobaricCounterdiffusionCheck {
+    const nitrogenFractionIncrease = toGas.nitrogen - fromGas.nitrogen;
+    const heliumFractionDecrease = fromGas.helium - toGas.helium;
+    const ruleOfFifthsOk = nitrogenFractionIncrease <= 0 || nitrogenFractionIncrease <= heliumFractionDecrease / 5;
+
+    const before = this.getInspiredPartialPressures(depth, fromGas);
+    const after = this.getInspiredPartialPressures(depth, toGas);
+
+    const counterdiffusingCompartments = this.tissueCompartments
+      .filter(compartment => {
+        const nitrogenInflow = (Math.log(2) / compartment.nitrogenHalfTime) * (after.nitrogen - compartment.nitrogenLoading);
+        const heliumOutflow = (Math.log(2) / compartment.heliumHalfTime) * (compartment.heliumLoading - after.helium);
+        return nitrogenInflow > 0 && heliumOutflow > 0 && nitrogenInflow > heliumOutflow;
+      })
+      .map(compartment => compartment.number);
+
+    return {
+      depth,
+      fromGas,
+      toGas,
+      nitrogenFractionIncrease,
+      heliumFractionDecrease,
+      nitrogenPressureIncrease: after.nitrogen - before.nitrogen,
+      ruleOfFifthsOk,
+      counterdiffusingCompartments,
+      warning: !ruleOfFifthsOk || counterdiffusingCompartments.length > 0
+    };
   }
 
   /**
@@ -400,7 +1249,16 @@ export abstract class DecompressionModel {
    * @returns Pressure in bar
    */
   protected calculateAmbientPressure(depth: number): number {
-    return this.surfacePressure + (depth * 0.1); // 0.1 bar per meter
+    return this.surfacePressure + depth * waterPressurePerMeter(this.waterDensity);
+  }
+
+  /**
+   * Calculate depth for a given ambient pressure (inverse of calculateAmbientPressure)
+   * @param pressure Pressure in bar
+   * @returns Depth in meters
+   */
+  protected calculateDepthFromPressure(pressure: number): number {
+    return (pressure - this.surfacePressure) / waterPressurePerMeter(this.waterDensity);
   }
 
   /**
@@ -434,14 +1292,93 @@ export abstract class DecompressionModel {
     return partialPressure + (initialLoading - partialPressure) * Math.exp(-k * timeStep);
   }
 
+  /**
+   * Calculate tissue compartment loading using the Schreiner equation
+   * Generalizes the Haldane equation to an inspired partial pressure changing at a constant
+   * rate, as during a descent or ascent at constant speed (reduces to Haldane for a rate of 0)
+   * @param initialLoading Initial loading in bar
+   * @param initialPartialPressure Inspired partial pressure at the start of the segment in bar
+   * @param pressureRate Rate of change of the inspired partial pressure in bar/min
+   * @param halfTime Half-time in minutes
+   * @param timeStep Time step in minutes
+   * @returns New loading in bar
+   */
+  protected calculateSchreinerLoading(
+    initialLoading: number,
+    initialPartialPressure: number,
+    pressureRate: number,
+    halfTime: number,
+    timeStep: number
+  ): number {
+    const k = Math.log(2) / halfTime;
+    return initialPartialPressure + pressureRate * (timeStep - 1 / k) -
+      (initialPartialPressure - initialLoading - pressureRate / k) * Math.exp(-k * timeStep);
+  }
+
+  /**
+   * Calculate the inspired partial pressure of a gas at a given ambient pressure
+   * On open circuit this is the gas fraction times ambient pressure. On a closed-circuit
+   * rebreather the loop holds ppO2 at the setpoint, falling back to ambient pressure when the
+   * setpoint exceeds it (and to the diluent ppO2 when that is higher). On a semi-closed
+   * rebreather the loop oxygen fraction falls below the supply gas's. In both, the remaining
+   * pressure is inert gas in the diluent's or supply gas's nitrogen/helium ratio
+   * @param gas Gas to calculate
+   * @param gasMix Gas mix or diluent breathed
+   * @param ambientPressure Ambient pressure in bar
+   * @returns Inspired partial pressure in bar
+   */
+  protected calculateInspiredPartialPressure(gas: InspiredGas, gasMix: GasMix, ambientPressure: number): number {
+    if (this.breathingMode === 'open-circuit') {
+      return gasMix[gas] * ambientPressure;
+    }
+
+    const loopPpO2 = this.breathingMode === 'semi-closed'
+      ? this.calculateSemiClosedLoopOxygenFraction(gasMix.oxygen, ambientPressure) * ambientPressure
+      : Math.min(ambientPressure, Math.max(this.setpoint, gasMix.oxygen * ambientPressure));
+    if (gas === 'oxygen') {
+      return loopPpO2;
+    }
+
+    const inertFraction = gasMix.nitrogen + gasMix.helium;
+    return inertFraction > 0 ? (ambientPressure - loopPpO2) * (gasMix[gas] / inertFraction) : 0;
+  }
+
+  /**
+   * Calculate the inspired partial pressure of a gas over a segment with linear depth change
+   * @param gas Gas to calculate
+   * @param timeStep Segment duration in minutes
+   * @param startDepth Depth at the start of the segment in meters (optional, uses current depth if not provided)
+   * @param endDepth Depth at the end of the segment in meters (optional, defaults to the start depth)
+   * @param gasMix Gas mix or diluent breathed (optional, uses the current gas mix if not provided)
+   * @returns Partial pressure at the start of the segment in bar and its rate of change in bar/min
+   */
+  protected calculateSegmentPartialPressure(
+    gas: InspiredGas,
+    timeStep: number,
+    startDepth?: number,
+    endDepth?: number,
+    gasMix: GasMix = this.currentDiveState.gasMix
+  ): { initial: number; rate: number } {
+    const initial = this.getInspiredPartialPressures(startDepth, gasMix)[gas];
+
+    if (endDepth === undefined || timeStep <= 0) {
+      return { initial, rate: 0 };
+    }
+
+    const final = this.getInspiredPartialPressures(endDepth, gasMix)[gas];
+    return { initial, rate: (final - initial) / timeStep };
+  }
+
   /**
    * Reset all tissue compartments to surface equilibrium
    */
   public resetToSurface(): void {
-    this.tissueCompartments.forEach(compartment => {
-      // Reset to nitrogen loading at surface pressure (0.79 * 1.013 bar)
-      compartment.nitrogenLoading = 0.79 * this.surfacePressure;
-      compartment.heliumLoading = 0.0;
+    [this.tissueCompartments, ...this.getModelSpecificCompartments()].forEach(compartments => {
+      compartments.forEach(compartment => {
+        // Reset to nitrogen loading at surface pressure (0.79 * 1.013 bar at sea level)
+        compartment.nitrogenLoading = 0.79 * this.surfacePressure;
+        compartment.heliumLoading = 0.0;
+      });
     });
 
     this.currentDiveState = {
@@ -452,6 +1389,137 @@ export abstract class DecompressionModel {
     };
   }
 
+  /**
+   * Spend a surface interval breathing air on open circuit at surface pressure between dives
+   * Residual inert gas off-gasses but is not reset, so the next dive starts with the
+   * remaining tissue loading (and any model-specific bubble state)
+   * The breathing mode is restored afterwards; the gas mix is left on air
+   * @param duration Surface interval in minutes
+   */
+  public simulateSurfaceInterval(duration: number): void {
+    if (duration < 0) {
+      throw new Error('Surface interval must not be negative');
+    }
+
+    const savedBreathingMode = this.breathingMode;
+    try {
+      this.breathingMode = 'open-circuit';
+      this.updateDiveState({
+        depth: 0,
+        gasMix: { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } }
+      });
+
+      // Step minute by minute so bubble dynamics see the same time steps as during a dive
+      let elapsed = 0;
+      while (elapsed < duration) {
+        const timeStep = Math.min(1, duration - elapsed);
+        this.updateTissueLoadings(timeStep);
+        elapsed += timeStep;
+      }
+    } finally {
+      this.breathingMode = savedBreathingMode;
+    }
+
+    this.updateDiveState({ time: this.currentDiveState.time + duration });
+  }
+
+  /**
+   * Calculate the desaturation time: the surface time breathing air until every compartment's
+   * nitrogen is within the tolerance of surface equilibrium and its helium has washed out
+   * The tissue and dive state are restored afterwards
+   * @param options Desaturation options
+   * @returns Minutes until desaturated (the maximum time if not reached)
+   */
+  public calculateDesaturationTime(options: DesaturationOptions = {}): number {
+    const tolerance = options.tolerance ?? 0.05;
+    if (tolerance <= 0) {
+      throw new Error('Desaturation tolerance must be greater than 0');
+    }
+
+    const surfaceNitrogen = 0.79 * this.surfacePressure;
+    return this.calculateSurfaceTime(
+      () => this.tissueCompartments.every(compartment =>
+        Math.abs(compartment.nitrogenLoading - surfaceNitrogen) <= tolerance &&
+        compartment.heliumLoading <= tolerance
+      ),
+      options
+    );
+  }
+
+  /**
+   * Calculate the no-fly time: the surface time breathing air until the model's ceiling and
+   * tissue tolerance allow the reduced ambient pressure of an aircraft cabin
+   * The tissue and dive state are restored afterwards
+   * @param options No-fly options
+   * @returns Minutes until flying is allowed (the maximum time if not reached)
+   */
+  public calculateNoFlyTime(options: NoFlyOptions = {}): number {
+    const cabinPressure = options.cabinPressure ?? CABIN_PRESSURE;
+    if (cabinPressure <= 0 || cabinPressure > this.surfacePressure) {
+      throw new Error('Cabin pressure must be greater than 0 and at most the surface pressure');
+    }
+
+    return this.calculateSurfaceTime(() => this.canTolerateSurfacePressure(cabinPressure), options);
+  }
+
+  /**
+   * Check whether the current tissue state tolerates surfacing at a lower pressure, by
+   * evaluating the ceiling with the surface moved to that pressure
+   * @param pressure Ambient pressure in bar
+   */
+  private canTolerateSurfacePressure(pressure: number): boolean {
+    const savedSurfacePressure = this.surfacePressure;
+    const savedDiveState = this.currentDiveState;
+
+    try {
+      this.surfacePressure = pressure;
+      this.currentDiveState = { ...savedDiveState, depth: 0, ambientPressure: pressure };
+      return this.calculateCeiling() <= 0 && this.calculateTissueTolerance(0, true) !== null;
+    } finally {
+      this.surfacePressure = savedSurfacePressure;
+      this.currentDiveState = savedDiveState;
+    }
+  }
+
+  /**
+   * Simulate breathing air on open circuit at the surface until a condition holds
+   * @param isComplete Condition checked before each time step
+   * @param options Maximum time and resolution
+   * @returns Minutes until the condition holds (the maximum time if not reached)
+   */
+  private calculateSurfaceTime(isComplete: () => boolean, options: SurfaceTimeOptions): number {
+    const maxTime = options.maxTime ?? 48 * 60;
+    const timeStep = options.timeStep ?? 1;
+    if (maxTime < 0 || timeStep <= 0) {
+      throw new Error('Maximum time must not be negative and the time step must be greater than 0');
+    }
+
+    const snapshot = this.captureTissueState();
+    const savedBreathingMode = this.breathingMode;
+    const savedDiveState = this.currentDiveState;
+    let minutes = 0;
+
+    try {
+      this.breathingMode = 'open-circuit';
+      this.updateDiveState({
+        depth: 0,
+        gasMix: { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } }
+      });
+
+      while (minutes < maxTime && !isComplete()) {
+        const step = Math.min(timeStep, maxTime - minutes);
+        this.updateTissueLoadings(step);
+        minutes += step;
+      }
+    } finally {
+      this.restoreTissueState(snapshot);
+      this.breathingMode = savedBreathingMode;
+      this.currentDiveState = savedDiveState;
+    }
+
+    return minutes;
+  }
+
   /**
    * Copy tissue state from another decompression model
    * This method safely transfers tissue loadings while preserving object integrity
@@ -461,9 +1529,8 @@ export abstract class DecompressionModel {
     const sourceCompartments = sourceModel.getTissueCompartments();
     
     if (sourceCompartments && sourceCompartments.length === this.tissueCompartments.length) {
-      // First, set the current dive state to match the source
-      const sourceState = sourceModel.getDiveState();
-      this.updateDiveState(sourceState);
+      // First, set the dive site, breathing mode and dive state to match the source
+      this.copyDiveConditionsFrom(sourceModel);
       
       // Then manually set tissue loadings after state is established
       for (let i = 0; i < this.tissueCompartments.length; i++) {
@@ -477,6 +1544,58 @@ export abstract class DecompressionModel {
     }
   }
 
+  /**
+   * Copy the dive site, breathing mode and dive state from another decompression model
+   * Tissue loadings are left untouched
+   * @param sourceModel The model to copy dive conditions from
+   */
+  public copyDiveConditionsFrom(sourceModel: DecompressionModel): void {
+    this.surfacePressure = sourceModel.getSurfacePressure();
+    this.waterDensity = sourceModel.getWaterDensity();
+    this.breathingMode = sourceModel.getBreathingMode();
+    this.setpoint = sourceModel.getSetpoint();
+    this.semiClosedSettings = sourceModel.getSemiClosedSettings();
+    this.updateDiveState(sourceModel.getDiveState());
+  }
+
+  /**
+   * Get model-specific compartment arrays whose state must be preserved when simulating ahead
+   * Override in derived classes that keep tissue or bubble state outside tissueCompartments
+   */
+  protected getModelSpecificCompartments(): TissueCompartment[][] {
+    return [];
+  }
+
+  /**
+   * Capture the numeric state of every compartment (base and model-specific)
+   * @returns Snapshot to pass to restoreTissueState
+   */
+  private captureTissueState(): Array<Array<Record<string, number>>> {
+    return [this.tissueCompartments, ...this.getModelSpecificCompartments()].map(compartments =>
+      compartments.map(compartment => {
+        const values: Record<string, number> = {};
+        for (const [key, descriptor] of Object.entries(Object.getOwnPropertyDescriptors(compartment))) {
+          if (typeof descriptor.value === 'number') {
+            values[key] = descriptor.value;
+          }
+        }
+        return values;
+      })
+    );
+  }
+
+  /**
+   * Restore compartment state captured by captureTissueState
+   * @param snapshot Snapshot to restore
+   */
+  private restoreTissueState(snapshot: Array<Array<Record<string, number>>>): void {
+    [this.tissueCompartments, ...this.getModelSpecificCompartments()].forEach((compartments, i) => {
+      compartments.forEach((compartment, j) => {
+        Object.assign(compartment, snapshot[i]?.[j]);
+      });
+    });
+  }
+
   /**
    * Perform model-specific post-processing after tissue state changes
    * Override in derived classes as needed
@@ -122,6 +122,9 @@ export class HillsModel extends DecompressionModel {
       solubilityTempCoeff: -0.02, // per °C
       nucleationActivationEnergy: 50000.0 // J/mol
     };
+
+    // Re-initialize compartments now that the field initializers have run
+    this.initializeTissueCompartments();
   }
 
   protected initializeTissueCompartments(): void {
@@ -179,9 +182,9 @@ export class HillsModel extends DecompressionModel {
     }
   }
 
-  public updateTissueLoadings(timeStep: number): void {
-    const nitrogenPP = this.calculatePartialPressure(this.currentDiveState.gasMix.nitrogen);
-    const heliumPP = this.calculatePartialPressure(this.currentDiveState.gasMix.helium);
+  public updateTissueLoadings(timeStep: number, startDepth?: number, endDepth?: number): void {
+    const nitrogenPP = this.calculateSegmentPartialPressure('nitrogen', timeStep, startDepth, endDepth);
+    const heliumPP = this.calculateSegmentPartialPressure('helium', timeStep, startDepth, endDepth);
 
     for (let i = 0; i < this.hillsCompartments.length; i++) {
       const compartment = this.hillsCompartments[i]!;
@@ -189,38 +192,35 @@ export class HillsModel extends DecompressionModel {
       // Update tissue temperature based on depth and metabolic activity
       this.updateTissueTemperature(compartment, timeStep);
       
-      // Calculate temperature-corrected solubilities
-      const tempCorrectedN2Solubility = this.calculateTemperatureCorrectedSolubility(
+      // Warmer tissue dissolves less gas, so it holds less and equilibrates faster
+      const n2CapacityFactor = this.calculateTemperatureCorrectedSolubility(
         compartment.nitrogenSolubility, 
         compartment.tissueTemperature
-      );
-      const tempCorrectedHeSolubility = this.calculateTemperatureCorrectedSolubility(
+      ) / compartment.nitrogenSolubility;
+      const heCapacityFactor = this.calculateTemperatureCorrectedSolubility(
         compartment.heliumSolubility, 
         compartment.tissueTemperature
-      );
+      ) / compartment.heliumSolubility;
 
-      // Calculate thermodynamic dissolution rates
-      const n2DissolutionRate = this.calculateThermodynamicDissolutionRate(
-        compartment, nitrogenPP, 'nitrogen'
-      );
-      const heDissolutionRate = this.calculateThermodynamicDissolutionRate(
-        compartment, heliumPP, 'helium'
-      );
+      // Calculate thermodynamic dissolution rate
+      const dissolutionRate = this.calculateThermodynamicDissolutionRate(compartment);
 
       // Update gas loadings using thermodynamic equations
       compartment.nitrogenLoading = this.calculateThermodynamicLoading(
         compartment.nitrogenLoading,
-        nitrogenPP * tempCorrectedN2Solubility,
-        compartment.nitrogenHalfTime,
-        n2DissolutionRate,
+        nitrogenPP.initial,
+        nitrogenPP.rate,
+        compartment.nitrogenHalfTime * n2CapacityFactor,
+        dissolutionRate,
         timeStep
       );
 
       compartment.heliumLoading = this.calculateThermodynamicLoading(
         compartment.heliumLoading,
-        heliumPP * tempCorrectedHeSolubility,
-        compartment.heliumHalfTime,
-        heDissolutionRate,
+        heliumPP.initial,
+        heliumPP.rate,
+        compartment.heliumHalfTime * heCapacityFactor,
+        dissolutionRate,
         timeStep
       );
 
@@ -230,42 +230,22 @@ export class HillsModel extends DecompressionModel {
   }
 
   public calculateCeiling(): number {
-    let maxCeiling = 0;
-
-    for (const compartment of this.hillsCompartments) {
-      const ceiling = this.calculateThermodynamicCeiling(compartment);
-      maxCeiling = Math.max(maxCeiling, ceiling);
-    }
-
-    return Math.max(0, maxCeiling) * this.conservatismFactor;
+    // The oxygen window depends on the gas breathed at the tested depth, so search the tolerance
+    return this.calculateCeilingIterative(0.1);
   }
 
   public calculateDecompressionStops(): DecompressionStop[] {
-    const stops: DecompressionStop[] = [];
     const ceiling = this.calculateCeiling();
 
     if (ceiling <= 0) {
-      return stops;
+      return [];
     }
 
-    // Generate stops at 3m intervals starting from ceiling
-    let currentDepth = Math.ceil(ceiling / 3) * 3;
-    
-    while (currentDepth > 0) {
-      const stopTime = this.calculateThermodynamicStopTime(currentDepth);
-      
-      if (stopTime > 0) {
-        stops.push({
-          depth: currentDepth,
-          time: stopTime,
-          gasMix: this.currentDiveState.gasMix
-        });
-      }
-
-      currentDepth -= 3;
-    }
-
-    return stops;
+    // Generate stops on the stop grid starting from the ceiling
+    return this.generateDecompressionStops(
+      this.roundUpToStopGrid(ceiling),
+      depth => this.calculateThermodynamicStopTime(depth)
+    );
   }
 
   public canAscendDirectly(): boolean {
@@ -343,7 +323,7 @@ export class HillsModel extends DecompressionModel {
     
     compartment.tissueTemperature += 
       (tempDifference * equilibrationRate * timeStep / 60) + 
-      (pressureEffect * 0.02) + 
+      (pressureEffect * 0.02 * timeStep) + 
       (metabolicHeat * 0.001);
   }
 
@@ -352,43 +332,57 @@ export class HillsModel extends DecompressionModel {
     return baseSolubility * (1 + this.thermodynamicParams.solubilityTempCoeff * tempDifference);
   }
 
-  private calculateThermodynamicDissolutionRate(
-    compartment: HillsCompartment, 
-    partialPressure: number, 
-    gasType: 'nitrogen' | 'helium'
-  ): number {
-    // Calculate dissolution rate based on thermodynamic driving force
-    const currentLoading = gasType === 'nitrogen' ? compartment.nitrogenLoading : compartment.heliumLoading;
-    const equilibriumLoading = partialPressure;
-    
-    const drivingForce = equilibriumLoading - currentLoading;
-    const thermalEffect = Math.exp(-this.thermodynamicParams.nucleationActivationEnergy / 
-                                  (this.GAS_CONSTANT * (compartment.tissueTemperature + 273.15)));
+  /**
+   * Calculate the dissolution rate relative to core temperature
+   * Arrhenius temperature dependence of the nucleation activation energy, scaled by perfusion
+   */
+  private calculateThermodynamicDissolutionRate(compartment: HillsCompartment): number {
+    const coreTemperature = this.thermodynamicParams.coreTemperature + 273.15;
+    const tissueTemperature = compartment.tissueTemperature + 273.15;
+    const thermalEffect = Math.exp(this.thermodynamicParams.nucleationActivationEnergy / this.GAS_CONSTANT *
+                                   (1 / coreTemperature - 1 / tissueTemperature));
     
-    return Math.abs(drivingForce) * thermalEffect * this.thermodynamicParams.perfusionMultiplier;
+    return thermalEffect * this.thermodynamicParams.perfusionMultiplier;
   }
 
   private calculateThermodynamicLoading(
     initialLoading: number,
     equilibriumPressure: number,
+    equilibriumPressureRate: number,
     halfTime: number,
     dissolutionRate: number,
     timeStep: number
   ): number {
-    // Enhanced Haldane equation with thermodynamic corrections
-    const k = Math.log(2) / halfTime;
-    const thermodynamicK = k * dissolutionRate;
+    // No thermodynamic driving force means no gas exchange
+    if (dissolutionRate <= 0) {
+      return initialLoading;
+    }
+
+    // Enhanced Schreiner equation with thermodynamic corrections:
+    // the dissolution rate scales the rate constant, i.e. divides the half-time
+    const thermodynamicHalfTime = halfTime / dissolutionRate;
     
-    return equilibriumPressure + (initialLoading - equilibriumPressure) * Math.exp(-thermodynamicK * timeStep);
+    return this.calculateSchreinerLoading(
+      initialLoading,
+      equilibriumPressure,
+      equilibriumPressureRate,
+      thermodynamicHalfTime,
+      timeStep
+    );
   }
 
-  private calculateThermodynamicCeiling(compartment: HillsCompartment): number {
+  /**
+   * Calculate a compartment's ceiling with the oxygen window of the gas breathed at a depth
+   * @param compartment Hills compartment
+   * @param depth Depth in meters the ascent is tested to
+   */
+  private calculateThermodynamicCeiling(compartment: HillsCompartment, depth: number): number {
     const totalLoading = compartment.nitrogenLoading + compartment.heliumLoading;
     
     // Hills thermodynamic model: Use oxygen window (partial pressure vacancy) approach
     // The natural unsaturation in tissues due to metabolic reduction in oxygen partial pressure
     // provides the buffer against bubble formation
-    const oxygenWindow = this.calculateOxygenWindow(compartment);
+    const oxygenWindow = this.calculateOxygenWindow(compartment, depth);
     
     // The tissue may be safely decompressed provided that the reduction in ambient pressure
     // does not exceed the oxygen window value
@@ -396,7 +390,7 @@ export class HillsModel extends DecompressionModel {
     
     // Calculate ceiling depth based on oxygen window limitation
     const maxAllowablePressure = totalLoading - allowableDecompression;
-    const ceilingDepth = (maxAllowablePressure - this.surfacePressure) / 0.1;
+    const ceilingDepth = this.calculateDepthFromPressure(maxAllowablePressure);
     
     return Math.max(0, ceilingDepth);
   }
@@ -416,13 +410,16 @@ export class HillsModel extends DecompressionModel {
   /**
    * Calculate oxygen window (partial pressure vacancy) for Hills thermodynamic model
    * This represents the natural unsaturation in tissues due to metabolic oxygen consumption
+   * @param compartment Hills compartment
+   * @param depth Depth in meters, breathing the gas used there
    */
-  private calculateOxygenWindow(compartment: HillsCompartment): number {
+  private calculateOxygenWindow(compartment: HillsCompartment, depth: number): number {
     // Oxygen metabolized is replaced by more soluble carbon dioxide
     // Creating a partial pressure vacancy that provides decompression buffer
     
-    // Base oxygen window at surface conditions (typically 0.3-0.5 bar)
-    const baseOxygenWindow = 0.4; // bar
+    // Base oxygen window at surface conditions, set so air decompression times are in line
+    // with the other models
+    const baseOxygenWindow = 0.6; // bar
     
     // Adjust for tissue perfusion and metabolic activity
     const metabolicFactor = compartment.metabolicCoefficient || 1.0;
@@ -431,7 +428,7 @@ export class HillsModel extends DecompressionModel {
     const tempFactor = (compartment.tissueTemperature + 273.15) / (37.0 + 273.15);
     
     // The oxygen window is reduced at depth due to increased oxygen partial pressure
-    const oxygenPP = this.calculatePartialPressure(this.currentDiveState.gasMix.oxygen);
+    const oxygenPP = this.getInspiredPartialPressures(depth, this.getGasMixForDepth(depth)).oxygen;
     const depthAdjustment = Math.max(0.1, 1.0 - (oxygenPP - 0.21) * 0.5);
     
     return baseOxygenWindow * metabolicFactor * tempFactor * depthAdjustment;
@@ -457,29 +454,35 @@ export class HillsModel extends DecompressionModel {
   }
 
   private calculateThermodynamicStopTime(depth: number): number {
-    // Calculate stop time based on thermodynamic off-gassing rates
-    const depthPressure = this.calculateAmbientPressure(depth);
-    let maxOffGassingTime = 0;
+    // Hold the stop until the ascent to the next stop stays within the oxygen window
+    return this.calculateMinimumStopTime(depth, this.getNextStopDepth(depth));
+  }
+
+  /**
+   * Calculate tissue tolerance for a given depth (used by stop time calculations)
+   * With model-specific logic, each compartment may exceed ambient pressure by its oxygen window
+   * on the gas breathed at that depth, and the conservatism factor deepens the limit as it does
+   * the ceiling
+   * @param depth Depth in meters to test
+   * @param includeModelSpecificLogic Whether to allow the oxygen window and apply conservatism
+   * @returns Maximum tolerable pressure in bar, or null if depth is unsafe
+   */
+  public calculateTissueTolerance(depth: number, includeModelSpecificLogic: boolean): number | null {
+    const ambientPressure = this.calculateAmbientPressure(depth);
 
     for (const compartment of this.hillsCompartments) {
-      const totalLoading = compartment.nitrogenLoading + compartment.heliumLoading;
-      
-      if (totalLoading > depthPressure) {
-        // Calculate time needed for thermal equilibration and off-gassing
-        const supersaturation = (totalLoading - depthPressure) / depthPressure;
-        const thermalEquilibrationTime = compartment.heatCapacity / (compartment.thermalDiffusivity * 1000);
-        const offGassingTime = compartment.nitrogenHalfTime * Math.log(1 + supersaturation);
-        
-        const totalTime = Math.max(thermalEquilibrationTime, offGassingTime);
-        maxOffGassingTime = Math.max(maxOffGassingTime, totalTime);
+      if (!includeModelSpecificLogic) {
+        if (compartment.totalLoading > ambientPressure) {
+          return null; // Unsafe depth
+        }
+        continue;
       }
-    }
 
-    return Math.min(20, Math.max(1, Math.round(maxOffGassingTime)));
-  }
+      if (this.calculateThermodynamicCeiling(compartment, depth) * this.conservatismFactor > depth) {
+        return null; // Unsafe depth
+      }
+    }
 
-  public calculateTissueTolerance(depth: number, includeModelSpecificLogic: boolean): number | null {
-    // Stub implementation - should be properly implemented based on model specifics
-    return this.calculateAmbientPressure(depth);
+    return ambientPressure;
   }
 }
@@ -96,9 +96,9 @@ export class Nmri98Model extends DecompressionModel {
 
   // M-values (maximum allowable supersaturation above ambient pressure) in bar
   private readonly M_VALUES = [
-    0.8,    // Fast compartment (can handle more supersaturation)
-    0.6,    // Intermediate compartment  
-    0.4     // Slow compartment (more conservative)
+    1.2,    // Fast compartment (can handle more supersaturation)
+    1.1,    // Intermediate compartment  
+    0.7     // Slow compartment (more conservative)
   ];
 
   // Linear elimination slope factors
@@ -220,10 +220,10 @@ export class Nmri98Model extends DecompressionModel {
     }
   }
 
-  public updateTissueLoadings(timeStep: number): void {
-    const nitrogenPP = this.calculatePartialPressure(this.currentDiveState.gasMix.nitrogen);
-    const heliumPP = this.calculatePartialPressure(this.currentDiveState.gasMix.helium);
-    const oxygenPP = this.calculatePartialPressure(this.currentDiveState.gasMix.oxygen);
+  public updateTissueLoadings(timeStep: number, startDepth?: number, endDepth?: number): void {
+    const nitrogenPP = this.calculateSegmentPartialPressure('nitrogen', timeStep, startDepth, endDepth);
+    const heliumPP = this.calculateSegmentPartialPressure('helium', timeStep, startDepth, endDepth);
+    const oxygenPP = this.calculateSegmentPartialPressure('oxygen', timeStep, startDepth, endDepth);
 
     for (let i = 0; i < this.tissueCompartments.length; i++) {
       const compartment = this.tissueCompartments[i]!;
@@ -232,7 +232,8 @@ export class Nmri98Model extends DecompressionModel {
       // Update nitrogen loading using linear-exponential model
       const newNitrogenLoading = this.calculateLinearExponentialLoading(
         compartment.nitrogenLoading,
-        nitrogenPP,
+        nitrogenPP.initial,
+        nitrogenPP.rate,
         compartment.nitrogenHalfTime,
         nmri98Compartment.linearSlope,
         nmri98Compartment.crossoverPressure,
@@ -244,7 +245,8 @@ export class Nmri98Model extends DecompressionModel {
       // Update helium loading using linear-exponential model
       const newHeliumLoading = this.calculateLinearExponentialLoading(
         compartment.heliumLoading,
-        heliumPP,
+        heliumPP.initial,
+        heliumPP.rate,
         compartment.heliumHalfTime,
         nmri98Compartment.linearSlope,
         nmri98Compartment.crossoverPressure,
@@ -257,7 +259,8 @@ export class Nmri98Model extends DecompressionModel {
       if (this.parameters.enableOxygenTracking) {
         nmri98Compartment.oxygenLoading = this.calculateLinearExponentialLoading(
           nmri98Compartment.oxygenLoading,
-          oxygenPP,
+          oxygenPP.initial,
+          oxygenPP.rate,
           this.OXYGEN_HALF_TIMES[i]!,
           nmri98Compartment.linearSlope,
           nmri98Compartment.crossoverPressure,
@@ -282,31 +285,17 @@ export class Nmri98Model extends DecompressionModel {
   }
 
   public calculateDecompressionStops(): DecompressionStop[] {
-    const stops: DecompressionStop[] = [];
     const ceiling = this.calculateCeiling();
 
     if (ceiling <= 0) {
-      return stops; // No decompression required
+      return []; // No decompression required
     }
 
-    // Generate stops at 3m intervals starting from ceiling
-    let currentDepth = Math.ceil(ceiling / 3) * 3;
-    
-    while (currentDepth > 0) {
-      const stopTime = this.calculateStopTime(currentDepth);
-      
-      if (stopTime > 0) {
-        stops.push({
-          depth: currentDepth,
-          time: stopTime,
-          gasMix: this.currentDiveState.gasMix
-        });
-      }
-
-      currentDepth -= 3;
-    }
-
-    return stops;
+    // Generate stops on the stop grid starting from the ceiling
+    return this.generateDecompressionStops(
+      this.roundUpToStopGrid(ceiling),
+      depth => this.calculateStopTime(depth)
+    );
   }
 
   public canAscendDirectly(): boolean {
@@ -324,6 +313,7 @@ export class Nmri98Model extends DecompressionModel {
   private calculateLinearExponentialLoading(
     initialLoading: number,
     partialPressure: number,
+    pressureRate: number,
     halfTime: number,
     linearSlope: number,
     crossoverPressure: number,
@@ -332,23 +322,33 @@ export class Nmri98Model extends DecompressionModel {
     const ambientPressure = this.currentDiveState.ambientPressure;
     const supersaturation = initialLoading - ambientPressure;
 
-    // Gas uptake: always exponential (standard Haldane)
+    // Gas uptake: always exponential (standard Haldane, Schreiner while the depth changes)
     if (partialPressure >= initialLoading) {
-      return this.calculateHaldaneLoading(initialLoading, partialPressure, halfTime, timeStep);
+      return this.calculateSchreinerLoading(initialLoading, partialPressure, pressureRate, halfTime, timeStep);
     }
 
     // Gas elimination: linear-exponential model
     if (supersaturation > crossoverPressure) {
-      // Linear elimination phase
-      const linearRate = linearSlope * (supersaturation - crossoverPressure) / halfTime;
-      const newLoading = initialLoading - (linearRate * timeStep);
-      
-      // Don't go below crossover point
+      // Linear elimination phase at a constant rate: the exponential rate at the crossover loading,
+      // scaled by the linear slope factor
       const crossoverLoading = ambientPressure + crossoverPressure;
-      return Math.max(newLoading, crossoverLoading);
+      const linearRate = linearSlope * (crossoverLoading - partialPressure) * Math.LN2 / halfTime;
+      const linearTime = (initialLoading - crossoverLoading) / linearRate;
+      if (timeStep <= linearTime) {
+        return initialLoading - (linearRate * timeStep);
+      }
+
+      // Exponential for the rest of the step once the crossover point is reached
+      return this.calculateSchreinerLoading(
+        crossoverLoading,
+        partialPressure + pressureRate * linearTime,
+        pressureRate,
+        halfTime,
+        timeStep - linearTime
+      );
     } else {
-      // Exponential elimination phase (standard Haldane)
-      return this.calculateHaldaneLoading(initialLoading, partialPressure, halfTime, timeStep);
+      // Exponential elimination phase (standard Haldane, Schreiner while the depth changes)
+      return this.calculateSchreinerLoading(initialLoading, partialPressure, pressureRate, halfTime, timeStep);
     }
   }
 
@@ -356,70 +356,50 @@ export class Nmri98Model extends DecompressionModel {
    * Calculate decompression ceiling for a specific compartment
    */
   private calculateCompartmentCeiling(compartment: Nmri98Compartment): number {
-    let totalLoading = compartment.nitrogenLoading + compartment.heliumLoading;
+    const totalLoading = this.calculateEffectiveLoading(compartment, compartment.totalLoading);
     
-    // Add oxygen contribution if above threshold
+    // Calculate ceiling pressure: where tissue loading = ambient + allowable supersaturation
+    // Rearranging: ambient_pressure = tissue_loading - allowable_supersaturation
+    const ceilingPressure = totalLoading - this.calculateAllowableSupersaturation(compartment);
+    const ceilingDepth = this.calculateDepthFromPressure(ceilingPressure);
+
+    return Math.max(0, ceilingDepth);
+  }
+
+  /**
+   * Add the oxygen contribution above the compartment oxygen threshold to an inert gas loading
+   * @param compartment NMRI98 compartment
+   * @param inertGasLoading Nitrogen and helium loading in bar
+   * @returns Effective loading in bar
+   */
+  private calculateEffectiveLoading(compartment: Nmri98Compartment, inertGasLoading: number): number {
     if (this.parameters.enableOxygenTracking && 
         compartment.oxygenLoading > compartment.oxygenThreshold) {
-      totalLoading += (compartment.oxygenLoading - compartment.oxygenThreshold) * 0.5; // Reduced oxygen contribution
+      return inertGasLoading + (compartment.oxygenLoading - compartment.oxygenThreshold) * 0.5; // Reduced oxygen contribution
     }
-    
+
+    return inertGasLoading;
+  }
+
+  /**
+   * Calculate the allowable supersaturation above ambient pressure for a compartment
+   * This is stricter than the M-value at which hazard starts to accrue
+   * @param compartment NMRI98 compartment
+   * @returns Allowable supersaturation in bar
+   */
+  private calculateAllowableSupersaturation(compartment: Nmri98Compartment): number {
     // Apply conservatism and safety factors to supersaturation limit
     const conservatismFactor = 1.0 - (this.parameters.conservatism * 0.1); // 0% to 50% reduction
     const safetyFactor = 1.0 / this.parameters.safetyFactor; // Safety factor reduces allowable supersaturation
-    const allowableSupersaturation = compartment.mValue * conservatismFactor * safetyFactor;
-    
-    // Calculate ceiling pressure: where tissue loading = ambient + allowable supersaturation
-    // Rearranging: ambient_pressure = tissue_loading - allowable_supersaturation
-    const ceilingPressure = totalLoading - allowableSupersaturation;
-    const ceilingDepth = (ceilingPressure - this.surfacePressure) * 10;
-
-    return Math.max(0, ceilingDepth);
+    return compartment.mValue * conservatismFactor * safetyFactor;
   }
 
   /**
    * Calculate required stop time at a given depth
    */
   private calculateStopTime(depth: number): number {
-    const ambientPressure = this.calculateAmbientPressure(depth);
-    let maxStopTime = 0;
-
-    for (const compartment of this.nmri98Compartments) {
-      let totalLoading = compartment.nitrogenLoading + compartment.heliumLoading;
-      
-      // Include oxygen if above threshold
-      if (this.parameters.enableOxygenTracking && 
-          compartment.oxygenLoading > compartment.oxygenThreshold) {
-        totalLoading += (compartment.oxygenLoading - compartment.oxygenThreshold) * 0.5;
-      }
-
-      const conservatismFactor = 1.0 - (this.parameters.conservatism * 0.1);
-      const safetyFactor = 1.0 / this.parameters.safetyFactor; // Safety factor reduces allowable supersaturation
-      const allowableSupersaturation = compartment.mValue * conservatismFactor * safetyFactor;
-      const maxAllowableAtDepth = ambientPressure + allowableSupersaturation;
-
-      if (totalLoading > maxAllowableAtDepth) {
-        const excessLoading = totalLoading - maxAllowableAtDepth;
-        
-        // Estimate time using linear elimination if in linear phase
-        const supersaturation = totalLoading - ambientPressure;
-        if (supersaturation > compartment.crossoverPressure) {
-          const linearRate = compartment.linearSlope * 
-                            (supersaturation - compartment.crossoverPressure) / 
-                            compartment.nitrogenHalfTime;
-          const estimatedTime = excessLoading / linearRate;
-          maxStopTime = Math.max(maxStopTime, estimatedTime);
-        } else {
-          // Exponential phase estimation
-          const exponentialTime = compartment.nitrogenHalfTime * Math.log(2) * 
-                                 (excessLoading / (totalLoading - ambientPressure + 0.1));
-          maxStopTime = Math.max(maxStopTime, exponentialTime);
-        }
-      }
-    }
-
-    // Round up to nearest minute, with minimum 1 minute and maximum 30 minutes per stop
-    return Math.max(1, Math.min(30, Math.ceil(maxStopTime)));
+    // Hold the stop until the ascent to the next stop accrues no further hazard
+    return this.calculateMinimumStopTime(depth, this.getNextStopDepth(depth));
   }
 
   /**
@@ -562,8 +542,37 @@ export class Nmri98Model extends DecompressionModel {
     };
   }
 
+  /**
+   * Calculate tissue tolerance for a given depth (used by stop time calculations)
+   * With model-specific logic, each compartment may exceed ambient pressure by its allowable
+   * supersaturation, including the oxygen contribution, so no hazard accrues at that depth
+   * @param depth Depth in meters to test
+   * @param includeModelSpecificLogic Whether to allow supersaturation and include oxygen
+   * @returns Maximum tolerable pressure in bar, or null if depth is unsafe
+   */
   public calculateTissueTolerance(depth: number, includeModelSpecificLogic: boolean): number | null {
-    // Stub implementation - should be properly implemented based on model specifics
-    return this.calculateAmbientPressure(depth);
+    const ambientPressure = this.calculateAmbientPressure(depth);
+
+    for (const compartment of this.nmri98Compartments) {
+      const inertGasLoading = compartment.totalLoading;
+
+      const tolerated = includeModelSpecificLogic
+        ? this.calculateEffectiveLoading(compartment, inertGasLoading) <=
+          ambientPressure + this.calculateAllowableSupersaturation(compartment)
+        : inertGasLoading <= ambientPressure;
+
+      if (!tolerated) {
+        return null; // Unsafe depth
+      }
+    }
+
+    return ambientPressure;
+  }
+
+  /**
+   * Expose NMRI98 compartments so simulations ahead preserve their hazard and oxygen state
+   */
+  protected override getModelSpecificCompartments(): TissueCompartment[][] {
+    return [this.nmri98Compartments];
   }
 }
\ No newline at end of file
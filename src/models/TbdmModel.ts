@@ -129,6 +129,9 @@ export class TbdmModel extends DecompressionModel {
     
     // Re-initialize compartments with the correct parameters
     this.initializeTissueCompartments();
+
+    // Start equilibrated to the configured atmospheric pressure
+    this.setSurfacePressure(tbdmParams.atmosphericPressure);
   }
 
   protected initializeTissueCompartments(): void {
@@ -198,22 +201,24 @@ export class TbdmModel extends DecompressionModel {
     }
   }
 
-  public updateTissueLoadings(timeStep: number): void {
-    const nitrogenPP = this.calculatePartialPressure(this.currentDiveState.gasMix.nitrogen);
-    const heliumPP = this.calculatePartialPressure(this.currentDiveState.gasMix.helium);
+  public updateTissueLoadings(timeStep: number, startDepth?: number, endDepth?: number): void {
+    const nitrogenPP = this.calculateSegmentPartialPressure('nitrogen', timeStep, startDepth, endDepth);
+    const heliumPP = this.calculateSegmentPartialPressure('helium', timeStep, startDepth, endDepth);
 
     for (const compartment of this.tbdmCompartments) {
-      // Update conventional gas loading using Haldane equation
-      compartment.nitrogenLoading = this.calculateHaldaneLoading(
+      // Update conventional gas loading using Schreiner equation (Haldane at constant depth)
+      compartment.nitrogenLoading = this.calculateSchreinerLoading(
         compartment.nitrogenLoading,
-        nitrogenPP,
+        nitrogenPP.initial,
+        nitrogenPP.rate,
         compartment.nitrogenHalfTime,
         timeStep
       );
 
-      compartment.heliumLoading = this.calculateHaldaneLoading(
+      compartment.heliumLoading = this.calculateSchreinerLoading(
         compartment.heliumLoading,
-        heliumPP,
+        heliumPP.initial,
+        heliumPP.rate,
         compartment.heliumHalfTime,
         timeStep
       );
@@ -235,31 +240,17 @@ export class TbdmModel extends DecompressionModel {
   }
 
   public calculateDecompressionStops(): DecompressionStop[] {
-    const stops: DecompressionStop[] = [];
     const ceiling = this.calculateCeiling();
 
     if (ceiling <= 0) {
-      return stops; // No decompression required
-    }
-
-    // Generate stops at 3m intervals starting from ceiling
-    let currentDepth = Math.ceil(ceiling / 3) * 3;
-    
-    while (currentDepth > 0) {
-      const stopTime = this.calculateStopTime(currentDepth);
-      
-      if (stopTime > 0) {
-        stops.push({
-          depth: currentDepth,
-          time: stopTime,
-          gasMix: this.currentDiveState.gasMix
-        });
-      }
-
-      currentDepth -= 3;
+      return []; // No decompression required
     }
 
-    return stops;
+    // Generate stops on the stop grid starting from the ceiling
+    return this.generateDecompressionStops(
+      this.roundUpToStopGrid(ceiling),
+      depth => this.calculateStopTime(depth)
+    );
   }
 
   public canAscendDirectly(): boolean {
@@ -349,6 +340,18 @@ export class TbdmModel extends DecompressionModel {
     
     // Re-initialize compartments with new parameters
     this.initializeTissueCompartments();
+
+    if (parameters.atmosphericPressure !== undefined) {
+      this.setSurfacePressure(parameters.atmosphericPressure);
+    }
+  }
+
+  /**
+   * Set the surface pressure, keeping the TBDM atmospheric pressure parameter in sync
+   */
+  public override setSurfacePressure(surfacePressure: number, acclimatized: boolean = true): void {
+    super.setSurfacePressure(surfacePressure, acclimatized);
+    this.tbdmParameters.atmosphericPressure = surfacePressure;
   }
 
   /**
@@ -401,7 +404,7 @@ export class TbdmModel extends DecompressionModel {
     let lowDepth = 0;
     let highDepth = this.currentDiveState.depth;
     const tolerance = 0.1; // 0.1 meter tolerance
-    const maxBubbleGrowthRate = 0.1; // Maximum safe bubble growth rate
+    const maxBubbleGrowthRate = 1.0; // Maximum safe bubble growth rate
     
     while (highDepth - lowDepth > tolerance) {
       const testDepth = (lowDepth + highDepth) / 2;
@@ -469,31 +472,37 @@ export class TbdmModel extends DecompressionModel {
   }
 
   private calculateStopTime(depth: number): number {
-    // TBDM-specific stop time calculation
-    // Consider both tissue off-gassing and bubble elimination
-    
-    let maxStopTime = 0;
-    
-    for (const compartment of this.tbdmCompartments) {
-      // Tissue off-gassing component
-      const totalLoading = compartment.nitrogenLoading + compartment.heliumLoading;
-      const targetPressure = this.calculateAmbientPressure(depth);
-      const offGassingTime = compartment.nitrogenHalfTime * 
-                           Math.log(totalLoading / targetPressure) / Math.log(2);
-      
-      // Bubble elimination component - protect against division by zero
-      const bubbleEliminationTime = (compartment.bubbleVolumeFraction > 0.001 && compartment.bubbleEliminationRate > 0) ? 
-                                   (1 / compartment.bubbleEliminationRate) * 
-                                   Math.log(compartment.bubbleVolumeFraction / 0.001) : 0;
-      
-      const combinedStopTime = Math.max(offGassingTime, bubbleEliminationTime);
-      maxStopTime = Math.max(maxStopTime, combinedStopTime);
-    }
-    
-    // Apply TBDM-specific minimum stop times and conservatism
-    return Math.max(1, Math.min(30, maxStopTime * this.tbdmParameters.conservatismFactor));
+    // Hold the stop until the ascent to the next stop stays within the bubble formation limits
+    return this.calculateMinimumStopTime(depth, this.getNextStopDepth(depth));
   }
+
+  /**
+   * Calculate tissue tolerance for a given depth (used by stop time calculations)
+   * A compartment tolerates a depth while its supersaturation stays below its bubble nucleation
+   * threshold; with model-specific logic the bubble growth rate and DCS risk limits of the ceiling
+   * calculation apply as well
+   * @param depth Depth in meters to test
+   * @param includeModelSpecificLogic Whether to apply the bubble growth rate and DCS risk limits
+   * @returns Maximum tolerable pressure in bar, or null if depth is unsafe
+   */
   public calculateTissueTolerance(depth: number, includeModelSpecificLogic: boolean): number | null {
-    return this.calculateAmbientPressure(depth);
+    const ambientPressure = this.calculateAmbientPressure(depth);
+    const maxBubbleGrowthRate = 1.0; // Maximum safe bubble growth rate, as in the ceiling calculation
+
+    for (const compartment of this.tbdmCompartments) {
+      const supersaturation = compartment.totalLoading - ambientPressure;
+
+      if (supersaturation > compartment.bubbleNucleationThreshold) {
+        return null; // Unsafe depth
+      }
+
+      if (includeModelSpecificLogic &&
+          (this.calculateBubbleGrowthRate(compartment, ambientPressure) > maxBubbleGrowthRate ||
+           this.calculateCompartmentDCSRisk(compartment, ambientPressure) > 5.0)) { // 5% DCS risk threshold
+        return null; // Unsafe depth
+      }
+    }
+
+    return ambientPressure;
   }
 }
@@ -75,9 +75,9 @@ export class VVal18ThalmannModel extends DecompressionModel {
 
   // M-values for each compartment (pressure gradients in bar)
   private readonly M_VALUES = [
-    1.6,   // Fast compartment
-    1.0,   // Intermediate compartment
-    0.65   // Slow compartment
+    1.2,   // Fast compartment
+    0.38,  // Intermediate compartment
+    0.3    // Slow compartment
   ];
 
   // Crossover pressures for linear kinetics (bar above ambient)
@@ -131,7 +131,8 @@ export class VVal18ThalmannModel extends DecompressionModel {
         continue; // Skip if values are undefined
       }
 
-      const baseCompartment: TissueCompartment = {
+      // The same object backs both arrays so the VVal-18 data always sees the current loadings
+      const vval18Compartment: VVal18Compartment = {
         number: i + 1,
         nitrogenHalfTime: nitrogenHalfTime,
         heliumHalfTime: heliumHalfTime,
@@ -139,24 +140,20 @@ export class VVal18ThalmannModel extends DecompressionModel {
         heliumLoading: 0.0,
         get totalLoading() {
           return this.nitrogenLoading + this.heliumLoading;
-        }
-      };
-
-      const vval18Compartment: VVal18Compartment = {
-        ...baseCompartment,
+        },
         crossoverPressure: crossoverPressure,
         mValue: mValue,
         linearSlope: linearSlope
       };
 
-      this.tissueCompartments.push(baseCompartment);
+      this.tissueCompartments.push(vval18Compartment);
       this.vval18Compartments.push(vval18Compartment);
     }
   }
 
-  public updateTissueLoadings(timeStep: number): void {
-    const nitrogenPP = this.calculatePartialPressure(this.currentDiveState.gasMix.nitrogen);
-    const heliumPP = this.calculatePartialPressure(this.currentDiveState.gasMix.helium);
+  public updateTissueLoadings(timeStep: number, startDepth?: number, endDepth?: number): void {
+    const nitrogenPP = this.calculateSegmentPartialPressure('nitrogen', timeStep, startDepth, endDepth);
+    const heliumPP = this.calculateSegmentPartialPressure('helium', timeStep, startDepth, endDepth);
 
     for (let i = 0; i < this.tissueCompartments.length; i++) {
       const compartment = this.tissueCompartments[i]!;
@@ -165,7 +162,8 @@ export class VVal18ThalmannModel extends DecompressionModel {
       // Update nitrogen loading using linear-exponential model
       compartment.nitrogenLoading = this.calculateLinearExponentialLoading(
         compartment.nitrogenLoading,
-        nitrogenPP,
+        nitrogenPP.initial,
+        nitrogenPP.rate,
         compartment.nitrogenHalfTime,
         vval18Compartment.crossoverPressure,
         vval18Compartment.linearSlope,
@@ -175,7 +173,8 @@ export class VVal18ThalmannModel extends DecompressionModel {
       // Update helium loading using linear-exponential model
       compartment.heliumLoading = this.calculateLinearExponentialLoading(
         compartment.heliumLoading,
-        heliumPP,
+        heliumPP.initial,
+        heliumPP.rate,
         compartment.heliumHalfTime,
         vval18Compartment.crossoverPressure,
         vval18Compartment.linearSlope,
@@ -196,31 +195,17 @@ export class VVal18ThalmannModel extends DecompressionModel {
   }
 
   public calculateDecompressionStops(): DecompressionStop[] {
-    const stops: DecompressionStop[] = [];
     const ceiling = this.calculateCeiling();
 
     if (ceiling <= 0) {
-      return stops; // No decompression required
+      return []; // No decompression required
     }
 
-    // Generate stops at 3m intervals starting from ceiling
-    let currentDepth = Math.ceil(ceiling / 3) * 3;
-    
-    while (currentDepth > 0) {
-      const stopTime = this.calculateStopTime(currentDepth);
-      
-      if (stopTime > 0) {
-        stops.push({
-          depth: currentDepth,
-          time: stopTime,
-          gasMix: this.currentDiveState.gasMix
-        });
-      }
-
-      currentDepth -= 3;
-    }
-
-    return stops;
+    // Generate stops on the stop grid starting from the ceiling
+    return this.generateDecompressionStops(
+      this.roundUpToStopGrid(ceiling),
+      depth => this.calculateStopTime(depth)
+    );
   }
 
   public canAscendDirectly(): boolean {
@@ -245,6 +230,7 @@ export class VVal18ThalmannModel extends DecompressionModel {
   private calculateLinearExponentialLoading(
     initialLoading: number,
     partialPressure: number,
+    pressureRate: number,
     halfTime: number,
     crossoverPressure: number,
     linearSlope: number,
@@ -253,24 +239,34 @@ export class VVal18ThalmannModel extends DecompressionModel {
     const ambientPressure = this.currentDiveState.ambientPressure;
     const supersaturation = initialLoading - ambientPressure;
 
-    // Gas uptake: always exponential (Haldane model)
+    // Gas uptake: always exponential (Haldane model, Schreiner while the depth changes)
     if (partialPressure >= initialLoading) {
-      return this.calculateHaldaneLoading(initialLoading, partialPressure, halfTime, timeStep);
+      return this.calculateSchreinerLoading(initialLoading, partialPressure, pressureRate, halfTime, timeStep);
     }
 
     // Gas washout: linear-exponential model
     // If supersaturation exceeds crossover pressure, use linear kinetics
     if (supersaturation > crossoverPressure) {
-      // Linear washout phase
-      const linearRate = linearSlope * (supersaturation - crossoverPressure) / halfTime;
-      const newLoading = initialLoading - (linearRate * timeStep);
-      
-      // Ensure we don't go below the crossover point
+      // Linear washout phase at a constant rate: the exponential rate at the crossover loading,
+      // scaled by the linear slope factor
       const crossoverLoading = ambientPressure + crossoverPressure;
-      return Math.max(newLoading, crossoverLoading);
+      const linearRate = linearSlope * (crossoverLoading - partialPressure) * Math.LN2 / halfTime;
+      const linearTime = (initialLoading - crossoverLoading) / linearRate;
+      if (timeStep <= linearTime) {
+        return initialLoading - (linearRate * timeStep);
+      }
+
+      // Exponential for the rest of the step once the crossover point is reached
+      return this.calculateSchreinerLoading(
+        crossoverLoading,
+        partialPressure + pressureRate * linearTime,
+        pressureRate,
+        halfTime,
+        timeStep - linearTime
+      );
     } else {
-      // Exponential washout phase (standard Haldane)
-      return this.calculateHaldaneLoading(initialLoading, partialPressure, halfTime, timeStep);
+      // Exponential washout phase (standard Haldane, Schreiner while the depth changes)
+      return this.calculateSchreinerLoading(initialLoading, partialPressure, pressureRate, halfTime, timeStep);
     }
   }
 
@@ -349,30 +345,8 @@ export class VVal18ThalmannModel extends DecompressionModel {
    * Calculate required stop time at a given depth
    */
   private calculateStopTime(depth: number): number {
-    // Simplified stop time calculation
-    // In practice, this would involve iterative calculation to determine
-    // the time needed for controlling compartments to off-gas sufficiently
-    
-    const ceiling = this.calculateCeiling();
-    if (depth > ceiling) {
-      return 0; // No stop needed at this depth - it's above the ceiling
-    }
-
-    // Basic stop time estimation based on VVal-18 characteristics
-    // The intermediate compartment (51 min) typically controls decompression
-    const controllingCompartment = this.vval18Compartments[1]!; // Intermediate compartment
-    const supersaturation = controllingCompartment.totalLoading - this.calculateAmbientPressure(depth);
-    
-    // Estimate time based on linear washout rate if in linear phase
-    if (supersaturation > controllingCompartment.crossoverPressure) {
-      const linearRate = controllingCompartment.linearSlope * 
-                        (supersaturation - controllingCompartment.crossoverPressure) / 
-                        controllingCompartment.nitrogenHalfTime;
-      return Math.max(1, Math.min(30, supersaturation / linearRate));
-    }
-
-    // Exponential phase - basic estimation
-    return Math.max(1, Math.min(15, supersaturation * 10));
+    // Hold the stop until the ascent to the next stop keeps every compartment within tolerance
+    return this.calculateMinimumStopTime(depth, this.getNextStopDepth(depth));
   }
 
   /**
@@ -437,7 +411,29 @@ export class VVal18ThalmannModel extends DecompressionModel {
     
     return Math.round(riskPercentage * 10) / 10; // Round to 1 decimal place
   }
+
+  /**
+   * Calculate tissue tolerance for a given depth (used by stop time calculations)
+   * A compartment tolerates a depth while its loading stays within its M-value above ambient
+   * pressure; with model-specific logic the exceedance allowed by the maximum DCS risk is added,
+   * as in the ceiling calculation
+   * @param depth Depth in meters to test
+   * @param includeModelSpecificLogic Whether to apply the maximum DCS risk threshold
+   * @returns Maximum tolerable pressure in bar, or null if depth is unsafe
+   */
   public calculateTissueTolerance(depth: number, includeModelSpecificLogic: boolean): number | null {
-    return this.calculateAmbientPressure(depth);
+    const ambientPressure = this.calculateAmbientPressure(depth);
+
+    for (const compartment of this.vval18Compartments) {
+      const tolerated = includeModelSpecificLogic
+        ? this.calculateCompartmentDCSRisk(compartment, ambientPressure) <= this.parameters.maxDcsRisk
+        : compartment.totalLoading <= ambientPressure + compartment.mValue;
+
+      if (!tolerated) {
+        return null; // Unsafe depth
+      }
+    }
+
+    return ambientPressure;
   }
 }
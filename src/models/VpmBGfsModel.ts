@@ -0,0 +1,129 @@
+/**
+ * WARNING!!!
+ *
+ * The implementation of this model was generated by AI, and IS WRONG. For many of these models, model behaviors are outright hallucinated (e.g. there are DCS risk estimations for models that don't estimate DCS risk, there's multiple tissue compartments for models that only have one, and there's Trimix support for models that were never documented to work with Trimix.)
+ *
+ * NEVER rely on this implementation as a source of truth.
+ */
+
+/**
+ * VPM-B/GFS (VPM-B with Gradient Factor Surfacing) Decompression Algorithm
+ *
+ * Hybrid of VPM-B and Bühlmann ZHL-16C with gradient factors: the VPM-B bubble
+ * model sets the deep stops, and a Bühlmann GF check keeps the shallow stops at
+ * least as long as a Bühlmann schedule at the surfacing gradient factor. At every
+ * depth the deeper of the two ceilings applies: schedules start at the deeper
+ * ceiling and hold each stop until both models allow the ascent to the next one.
+ *
+ * The Bühlmann side keeps its own compartments, loaded alongside the VPM-B tissues
+ * on every tissue update under the same dive site, breathing mode and dive state,
+ * so the two tissue states advance in lock-step.
+ */
+
+import { TissueCompartment, DecompressionModel } from './DecompressionModel';
+import { VpmBModel } from './VpmBModel';
+import { BuhlmannModel } from './BuhlmannModel';
+
+export class VpmBGfsModel extends VpmBModel {
+  private gfsModel: BuhlmannModel;
+  private surfacingGradientFactor: number;
+
+  /**
+   * @param conservatismLevel VPM-B conservatism level (0-4)
+   * @param surfacingGradientFactor Bühlmann gradient factor applied at every depth in % (default: 90)
+   */
+  constructor(conservatismLevel: number = 3, surfacingGradientFactor: number = 90) {
+    super(conservatismLevel);
+
+    // BuhlmannModel validates the gradient factor range
+    this.gfsModel = new BuhlmannModel({ low: surfacingGradientFactor, high: surfacingGradientFactor });
+    this.surfacingGradientFactor = surfacingGradientFactor;
+  }
+
+  /**
+   * Update VPM-B tissue loadings and load the Bühlmann compartments over the same step
+   * @param timeStep Time step in minutes
+   * @param startDepth Depth at the start of the step in meters (optional, uses current depth if not provided)
+   * @param endDepth Depth at the end of the step in meters (optional, defaults to the start depth)
+   */
+  public override updateTissueLoadings(timeStep: number, startDepth?: number, endDepth?: number): void {
+    super.updateTissueLoadings(timeStep, startDepth, endDepth);
+
+    this.gfsModel.copyDiveConditionsFrom(this);
+    this.gfsModel.updateTissueLoadings(timeStep, startDepth, endDepth);
+  }
+
+  /**
+   * Copy tissue state from another decompression model into both the VPM-B and Bühlmann compartments
+   * @param sourceModel The model to copy tissue state from
+   */
+  public override copyTissueStateFrom(sourceModel: DecompressionModel): void {
+    super.copyTissueStateFrom(sourceModel);
+    this.gfsModel.copyTissueStateFrom(sourceModel);
+  }
+
+  public override calculateCeiling(): number {
+    return Math.max(super.calculateCeiling(), this.calculateGfsCeiling());
+  }
+
+  public override getModelName(): string {
+    return `${super.getModelName()}/GFS ${this.surfacingGradientFactor}`;
+  }
+
+  /**
+   * Get the Bühlmann gradient factor applied at every depth in %
+   */
+  public getSurfacingGradientFactor(): number {
+    return this.surfacingGradientFactor;
+  }
+
+  /**
+   * Calculate the Bühlmann GF ceiling for the current tissue state
+   * @returns Ceiling depth in meters
+   */
+  public calculateGfsCeiling(): number {
+    this.synchronizeGfsModel();
+    return this.gfsModel.calculateCeiling();
+  }
+
+  /**
+   * Calculate tissue tolerance for a given depth
+   * With model-specific logic, a depth is only safe when both VPM-B and Bühlmann GF tolerate it
+   * @param depth Depth in meters to test
+   * @param includeModelSpecificLogic Whether to apply the VPM-B gradients and the gradient factor
+   * @returns VPM-B tolerated ambient pressure in bar, or null if depth is unsafe
+   */
+  public override calculateTissueTolerance(depth: number, includeModelSpecificLogic: boolean): number | null {
+    const tolerance = super.calculateTissueTolerance(depth, includeModelSpecificLogic);
+    if (tolerance === null || !includeModelSpecificLogic) {
+      return tolerance;
+    }
+
+    this.synchronizeGfsModel();
+    return this.gfsModel.calculateTissueTolerance(depth, true) === null ? null : tolerance;
+  }
+
+  /**
+   * Calculate DCS risk as the higher of the VPM-B and Bühlmann GF estimates
+   * @returns DCS risk as a percentage (0-100)
+   */
+  public override calculateDCSRisk(): number {
+    this.synchronizeGfsModel();
+    return Math.max(super.calculateDCSRisk(), this.gfsModel.calculateDCSRisk());
+  }
+
+  /**
+   * Bring the Bühlmann model to the current dive site, breathing mode and dive state
+   * Its compartments are already loaded alongside the VPM-B tissues
+   */
+  private synchronizeGfsModel(): void {
+    this.gfsModel.copyDiveConditionsFrom(this);
+  }
+
+  /**
+   * Expose the Bühlmann compartments so resets and simulations ahead cover them too
+   */
+  protected override getModelSpecificCompartments(): TissueCompartment[][] {
+    return [[...this.gfsModel.getTissueCompartments()]];
+  }
+}
@@ -32,6 +32,8 @@ interface VpmBCompartment extends TissueCompartment {
   adjustedCriticalRadius: number;
   /** Maximum crushing pressure experienced */
   maxCrushingPressure: number;
+  /** Largest excess of ambient pressure over the total tissue gas tension (Baker's crushing pressure) in bar */
+  maxCrushingGradient: number;
   /** Onset of impermeability pressure */
   onsetOfImpermeability: number;
   /** Maximum bottom ceiling pressure (for Boyle's law compensation) */
@@ -40,6 +42,12 @@ interface VpmBCompartment extends TissueCompartment {
   nuclearRegenerationFactor: number;
 }
 
+/** Allowable supersaturation gradients in bar per compartment, fastest first */
+export interface VpmBGradients {
+  nitrogen: number[];
+  helium: number[];
+}
+
 interface BubbleParameters {
   /** Surface tension of air-water interface (N/m) */
   surfaceTension: number;
@@ -58,6 +66,7 @@ export class VpmBModel extends DecompressionModel {
   private vpmBCompartments!: VpmBCompartment[];
   private bubbleParameters!: BubbleParameters;
   private conservatismLevel!: number; // 0-5, where 0 is least conservative
+  private scheduleGradients: VpmBGradients | null = null; // Gradients in force while a schedule is generated
 
   // VPM-B specific constants (from Subsurface deco.cpp reference implementation)
   private readonly WATER_VAPOR_PRESSURE = 0.0493; // bar at 37°C (VPM-B uses 0.0493, Buhlmann uses 0.0627)
@@ -70,6 +79,9 @@ export class VpmBModel extends DecompressionModel {
   private readonly GRADIENT_OF_IMPERM = 8.30865; // Gradient after which bubbles become impermeable
   private readonly REGENERATION_TIME = 20160.0; // Time needed for bubble to regenerate to start radius (min)
   
+  private readonly MAX_CVA_ITERATIONS = 20; // Critical volume algorithm passes before giving up on convergence
+  private readonly CVA_CONVERGENCE_TIME = 1.0; // Change in deco time (min) at which the critical volume algorithm has converged
+  
   // VPM-B conservatism level multipliers (from deco.cpp)
   private readonly CONSERVATISM_MULTIPLIERS = [1.0, 1.05, 1.12, 1.22, 1.35]; // Levels 0-4
 
@@ -136,6 +148,7 @@ export class VpmBModel extends DecompressionModel {
         initialCriticalRadius: this.calculateInitialCriticalRadius(i + 1),
         adjustedCriticalRadius: 0,
         maxCrushingPressure: 0,
+        maxCrushingGradient: 0,
         onsetOfImpermeability: 0,
         maxBottomCeilingPressure: 0,
         nuclearRegenerationFactor: 1.0,
@@ -153,12 +166,17 @@ export class VpmBModel extends DecompressionModel {
     }
   }
 
-  public updateTissueLoadings(timeStep: number): void {
-    const nitrogenPP = this.calculatePartialPressure(this.currentDiveState.gasMix.nitrogen);
-    const heliumPP = this.calculatePartialPressure(this.currentDiveState.gasMix.helium);
+  public updateTissueLoadings(timeStep: number, startDepth?: number, endDepth?: number): void {
+    const nitrogenPP = this.calculateSegmentPartialPressure('nitrogen', timeStep, startDepth, endDepth);
+    const heliumPP = this.calculateSegmentPartialPressure('helium', timeStep, startDepth, endDepth);
 
-    // Apply Boyle's law compensation for multilevel dives
-    this.applyBoylesLawCompensation();
+    // Track bottom ceilings and crushing of nuclei for multilevel dives
+    this.trackBottomCeilingPressures();
+
+    // Crushing is greatest at the start of a level segment and at the end of a descent
+    const startAmbientPressure = this.calculateAmbientPressure(startDepth ?? this.currentDiveState.depth);
+    const endAmbientPressure = this.calculateAmbientPressure(endDepth ?? startDepth ?? this.currentDiveState.depth);
+    this.vpmBCompartments.forEach(compartment => this.updateCrushingGradient(compartment, startAmbientPressure));
 
     for (let i = 0; i < this.tissueCompartments.length; i++) {
       const compartment = this.tissueCompartments[i]!;
@@ -169,21 +187,25 @@ export class VpmBModel extends DecompressionModel {
       }
 
       // Update nitrogen loading
-      compartment.nitrogenLoading = this.calculateHaldaneLoading(
+      compartment.nitrogenLoading = this.calculateSchreinerLoading(
         compartment.nitrogenLoading,
-        nitrogenPP,
+        nitrogenPP.initial,
+        nitrogenPP.rate,
         compartment.nitrogenHalfTime,
         timeStep
       );
 
       // Update helium loading
-      compartment.heliumLoading = this.calculateHaldaneLoading(
+      compartment.heliumLoading = this.calculateSchreinerLoading(
         compartment.heliumLoading,
-        heliumPP,
+        heliumPP.initial,
+        heliumPP.rate,
         compartment.heliumHalfTime,
         timeStep
       );
 
+      this.updateCrushingGradient(vpmBCompartment, endAmbientPressure);
+
       // Update VPM-B specific parameters
       this.updateBubbleDynamics(vpmBCompartment, timeStep);
       
@@ -197,29 +219,51 @@ export class VpmBModel extends DecompressionModel {
     return this.calculateVpmBCeiling();
   }
 
+  /**
+   * Generate the VPM-B schedule with the critical volume algorithm
+   * The first pass uses the initial allowable gradients. Each later pass relaxes the gradients
+   * for the total deco time of the previous pass, recomputing the first stop and every stop
+   * time from the same tissue state, until the deco time changes by less than a minute.
+   * Within each pass the gradients are Boyle's law compensated for the bubble growth between
+   * the first stop and each shallower stop
+   */
   public calculateDecompressionStops(): DecompressionStop[] {
-    const stops: DecompressionStop[] = [];
-    const ceiling = this.calculateCeiling();
-
-    if (ceiling <= 0) {
-      return stops; // No decompression required
+    if (this.calculateCeiling() <= 0) {
+      return []; // No decompression required
     }
 
-    // Generate stops at 3m intervals starting from ceiling
-    let currentDepth = Math.ceil(ceiling / 3) * 3;
-    
-    while (currentDepth > 0) {
-      const stopTime = this.calculateStopTime(currentDepth);
-      
-      if (stopTime > 0) {
-        stops.push({
-          depth: currentDepth,
-          time: stopTime,
-          gasMix: this.currentDiveState.gasMix
-        });
-      }
+    const initialGradients = this.calculateInitialAllowableGradients();
+    let gradients = initialGradients;
+    let stops: DecompressionStop[] = [];
+    let lastDecoTime: number | null = null;
+
+    try {
+      for (let iteration = 0; iteration < this.MAX_CVA_ITERATIONS; iteration++) {
+        this.scheduleGradients = gradients;
+        const firstStopDepth = this.roundUpToStopGrid(this.calculateCeiling());
+        if (firstStopDepth <= 0) {
+          return [];
+        }
 
-      currentDepth -= 3;
+        const firstStopPressure = this.calculateAmbientPressure(firstStopDepth);
+        const scheduleGradients = gradients;
+        stops = this.generateDecompressionStops(
+          firstStopDepth,
+          depth => this.calculateStopTime(depth, scheduleGradients, firstStopPressure)
+        );
+
+        // Deco time runs from leaving the bottom to surfacing
+        const decoTime = this.currentDiveState.depth / this.ascentRate +
+          stops.reduce((total, stop) => total + stop.time, 0);
+        if (lastDecoTime !== null && Math.abs(decoTime - lastDecoTime) < this.CVA_CONVERGENCE_TIME) {
+          break;
+        }
+
+        lastDecoTime = decoTime;
+        gradients = this.calculateCriticalVolumeGradients(initialGradients, decoTime);
+      }
+    } finally {
+      this.scheduleGradients = null;
     }
 
     return stops;
@@ -368,7 +412,7 @@ export class VpmBModel extends DecompressionModel {
     
     // Ceiling is depth where ambient pressure equals total loading minus allowable supersaturation
     const ceilingPressure = totalLoading - allowableSupersaturation;
-    const ceilingDepth = (ceilingPressure - this.surfacePressure) / 0.1;
+    const ceilingDepth = this.calculateDepthFromPressure(ceilingPressure);
     
     // Apply additional conservatism adjustment to ensure visible effect
     // Higher conservatism levels result in deeper (more conservative) ceilings
@@ -426,17 +470,148 @@ export class VpmBModel extends DecompressionModel {
     return safeCriticalRadius * Math.pow(Math.max(pressureRatio, 0.001), 1.0 / 3.0);
   }
 
-  private calculateStopTime(depth: number): number {
+  /**
+   * Calculate the time at a stop with the gradients Boyle's law compensated for the next stop
+   * @param depth Stop depth in meters
+   * @param gradients Allowable gradients at the first stop
+   * @param firstStopPressure Ambient pressure at the first stop in bar
+   */
+  protected calculateStopTime(depth: number, gradients: VpmBGradients, firstStopPressure: number): number {
+    const nextDepth = this.getNextStopDepth(depth);
+    this.scheduleGradients = this.applyBoylesLawCompensation(
+      gradients,
+      firstStopPressure,
+      this.calculateAmbientPressure(nextDepth)
+    );
+
     // Use binary search method following Subsurface reference implementation
-    const nextDepth = depth - 3; // Next stop is 3m shallower
-    return this.calculateMinimumStopTime(depth, Math.max(0, nextDepth));
+    return this.calculateMinimumStopTime(depth, nextDepth);
+  }
+
+  /**
+   * Calculate the initial allowable gradients from the nuclei radii after crushing
+   * Nuclei regenerate over weeks, so regeneration during a single dive is not modelled
+   */
+  private calculateInitialAllowableGradients(): VpmBGradients {
+    const gradientFor = (compartment: VpmBCompartment, criticalRadius: number): number => {
+      const gamma = this.SURFACE_TENSION_GAMMA;
+      const gammaC = this.SKIN_COMPRESSION_GAMMA_C;
+      const crushedRadius = 1.0 / (compartment.maxCrushingGradient / (2.0 * (gammaC - gamma)) + 1.0 / criticalRadius);
+      return (2.0 * (gamma / gammaC) * (gammaC - gamma)) / crushedRadius;
+    };
+
+    const conservatismMultiplier = this.CONSERVATISM_MULTIPLIERS[this.conservatismLevel] ?? 1.0;
+    return {
+      nitrogen: this.vpmBCompartments.map(compartment => gradientFor(compartment, this.CRIT_RADIUS_N2 * conservatismMultiplier)),
+      helium: this.vpmBCompartments.map(compartment => gradientFor(compartment, this.CRIT_RADIUS_HE * conservatismMultiplier))
+    };
+  }
+
+  /**
+   * Relax the initial allowable gradients with the critical volume hypothesis: the gas released
+   * into bubbles while the gradient acts must stay within the critical volume (lambda)
+   * The gradient acts over the deco time plus the time the compartment keeps off-gassing after
+   * surfacing, estimated from its tensions at the start of the ascent
+   * @param initialGradients Initial allowable gradients in bar
+   * @param decoTime Total deco time in minutes
+   */
+  private calculateCriticalVolumeGradients(initialGradients: VpmBGradients, decoTime: number): VpmBGradients {
+    const gamma = this.SURFACE_TENSION_GAMMA;
+    const gammaC = this.SKIN_COMPRESSION_GAMMA_C;
+    const lambda = this.bubbleParameters.criticalVolumeLambda;
+
+    const relax = (initialGradient: number, compartment: VpmBCompartment): number => {
+      const time = Math.max(decoTime + this.calculateSurfacePhaseVolumeTime(compartment), 0.1);
+      const b = initialGradient + (lambda * gamma) / (gammaC * time);
+      const c = (gamma * gamma * lambda * compartment.maxCrushingGradient) / (gammaC * gammaC * time);
+      return 0.5 * (b + Math.sqrt(Math.max(0, b * b - 4.0 * c)));
+    };
+
+    return {
+      nitrogen: this.vpmBCompartments.map((compartment, i) => relax(initialGradients.nitrogen[i]!, compartment)),
+      helium: this.vpmBCompartments.map((compartment, i) => relax(initialGradients.helium[i]!, compartment))
+    };
+  }
+
+  /**
+   * Calculate the time a compartment keeps releasing gas after surfacing: the mean of the
+   * nitrogen and helium time constants weighted by each gas's excess over surface air
+   * @param compartment VPM-B compartment
+   * @returns Surface phase volume time in minutes (0 if the compartment is not supersaturated)
+   */
+  private calculateSurfacePhaseVolumeTime(compartment: VpmBCompartment): number {
+    const surfaceNitrogen = 0.79 * (this.surfacePressure - this.WATER_VAPOR_PRESSURE);
+    const nitrogenExcess = compartment.nitrogenLoading - surfaceNitrogen;
+    const totalExcess = nitrogenExcess + compartment.heliumLoading;
+    if (nitrogenExcess <= 0 || totalExcess <= 0) {
+      return 0;
+    }
+
+    const nitrogenRate = Math.LN2 / compartment.nitrogenHalfTime;
+    const heliumRate = Math.LN2 / compartment.heliumHalfTime;
+    return totalExcess / (nitrogenExcess * nitrogenRate + compartment.heliumLoading * heliumRate);
+  }
+
+  /**
+   * Apply Boyle's law compensation: bubbles sized by the gradients at the first stop grow as
+   * the ambient pressure falls, so the allowable gradients shrink at shallower stops
+   * @param gradients Allowable gradients at the first stop in bar
+   * @param firstStopPressure Ambient pressure at the first stop in bar
+   * @param stopPressure Ambient pressure at the shallower stop in bar
+   * @returns Compensated gradients at the shallower stop
+   */
+  private applyBoylesLawCompensation(
+    gradients: VpmBGradients,
+    firstStopPressure: number,
+    stopPressure: number
+  ): VpmBGradients {
+    if (stopPressure >= firstStopPressure) {
+      return gradients;
+    }
+
+    const compensate = (gradient: number): number => {
+      if (gradient <= 0) {
+        return gradient;
+      }
+
+      // (P1 + 2γ/r1)·r1³ = (P2 + 2γ/r2)·r2³, solved for the larger radius r2 by bisection
+      const twoGamma = 2.0 * this.SURFACE_TENSION_GAMMA;
+      const firstRadius = twoGamma / gradient;
+      const bubbleGas = (firstStopPressure + gradient) * Math.pow(firstRadius, 3);
+      let low = firstRadius;
+      let high = Math.cbrt(bubbleGas / stopPressure);
+      for (let i = 0; i < 60; i++) {
+        const radius = (low + high) / 2;
+        if (stopPressure * Math.pow(radius, 3) + twoGamma * radius * radius < bubbleGas) {
+          low = radius;
+        } else {
+          high = radius;
+        }
+      }
+
+      return twoGamma / ((low + high) / 2);
+    };
+
+    return {
+      nitrogen: gradients.nitrogen.map(compensate),
+      helium: gradients.helium.map(compensate)
+    };
   }
 
   /**
-   * Apply Boyle's law compensation for multilevel dives
-   * This tracks maximum bottom ceiling pressure during ascent
+   * Raise a compartment's crushing pressure: the excess of ambient pressure over the total
+   * tissue gas tension, up to the gradient at which nuclei become impermeable
    */
-  private applyBoylesLawCompensation(): void {
+  private updateCrushingGradient(compartment: VpmBCompartment, ambientPressure: number): void {
+    const gasTension = compartment.nitrogenLoading + compartment.heliumLoading + this.PRESSURE_OTHER_GASES;
+    const crushingGradient = Math.min(ambientPressure - gasTension, this.GRADIENT_OF_IMPERM);
+    compartment.maxCrushingGradient = Math.max(compartment.maxCrushingGradient, crushingGradient);
+  }
+
+  /**
+   * Track maximum bottom ceiling pressure and crushing of nuclei for multilevel dives
+   */
+  private trackBottomCeilingPressures(): void {
     const currentPressure = this.currentDiveState.ambientPressure;
     
     for (const compartment of this.vpmBCompartments) {
@@ -503,6 +678,45 @@ export class VpmBModel extends DecompressionModel {
     );
   }
 
+  /**
+   * Spend a surface interval between dives
+   * Crushing pressure from the previous dive carries over into the next one, relaxing toward
+   * surface pressure as bubble nuclei regenerate over the regeneration time constant
+   * @param duration Surface interval in minutes
+   */
+  public override simulateSurfaceInterval(duration: number): void {
+    const crushingPressures = this.vpmBCompartments.map(compartment => compartment.maxCrushingPressure);
+
+    // Off-gas at the surface; nuclei regenerate on every tissue update
+    super.simulateSurfaceInterval(duration);
+
+    const remainingCrushing = Math.exp(-duration / this.bubbleParameters.regenerationTimeConstant);
+    this.vpmBCompartments.forEach((compartment, i) => {
+      const crushingPressure = Math.max(crushingPressures[i]!, this.surfacePressure);
+      compartment.maxCrushingPressure = this.surfacePressure +
+        (crushingPressure - this.surfacePressure) * remainingCrushing;
+      compartment.maxCrushingGradient *= remainingCrushing;
+
+      // Boyle's law compensation is tracked per dive
+      compartment.maxBottomCeilingPressure = 0;
+    });
+  }
+
+  /**
+   * Reset all compartments to surface equilibrium with fully regenerated bubble nuclei
+   */
+  public override resetToSurface(): void {
+    super.resetToSurface();
+
+    this.vpmBCompartments.forEach(compartment => {
+      compartment.adjustedCriticalRadius = compartment.initialCriticalRadius;
+      compartment.maxCrushingPressure = 0;
+      compartment.maxCrushingGradient = 0;
+      compartment.onsetOfImpermeability = 0;
+      compartment.maxBottomCeilingPressure = 0;
+    });
+  }
+
   /**
    * Calculate tissue tolerance for a given depth (used by ceiling calculations)
    * This follows the VPM-B reference implementation approach
@@ -513,23 +727,22 @@ export class VpmBModel extends DecompressionModel {
   public calculateTissueTolerance(depth: number, includeModelSpecificLogic: boolean): number | null {
     const ambientPressure = this.calculateAmbientPressure(depth);
     
-    for (const compartment of this.vpmBCompartments) {
+    for (let i = 0; i < this.vpmBCompartments.length; i++) {
+      const compartment = this.vpmBCompartments[i]!;
       const totalLoading = compartment.nitrogenLoading + compartment.heliumLoading;
       
-      let allowablePressure: number;
+      let toleratedPressure: number;
       
       if (includeModelSpecificLogic) {
-        // Apply VPM-B bubble mechanics
-        const allowableSupersaturation = this.calculateAllowableSupersaturation(compartment);
-        // Maximum pressure this tissue can handle = ambient + allowable supersaturation
-        allowablePressure = ambientPressure + allowableSupersaturation;
+        // Apply VPM-B bubble mechanics: the tissue may exceed ambient by the allowable gradient
+        toleratedPressure = this.calculateVpmBToleratedAmbientPressure(compartment, ambientPressure, i);
       } else {
         // Use basic limit without bubble mechanics (no supersaturation allowed)
-        allowablePressure = ambientPressure;
+        toleratedPressure = totalLoading;
       }
       
-      // If current tissue loading exceeds what's allowable at this depth, it's unsafe
-      if (totalLoading > allowablePressure) {
+      // If the tissue cannot tolerate the ambient pressure at this depth, it's unsafe
+      if (toleratedPressure > ambientPressure) {
         return null; // Unsafe depth
       }
     }
@@ -575,7 +788,7 @@ export class VpmBModel extends DecompressionModel {
     } while (Math.abs(toleranceLimit - referencePressure) > 0.01 && iterations < maxIterations);
     
     // Convert pressure to depth
-    const ceilingDepth = (toleranceLimit - this.surfacePressure) / 0.1;
+    const ceilingDepth = this.calculateDepthFromPressure(toleranceLimit);
     
     return Math.max(0, ceilingDepth);
   }
@@ -620,26 +833,9 @@ export class VpmBModel extends DecompressionModel {
    * @returns Gradient in bar
    */
   private calculateVpmBGradient(compartment: VpmBCompartment, gasType: 'nitrogen' | 'helium'): number {
-    // Get the appropriate critical radius for this gas type
-    const criticalRadius = gasType === 'nitrogen' ? this.CRIT_RADIUS_N2 : this.CRIT_RADIUS_HE;
-    
-    // Apply conservatism adjustment to critical radius (with bounds checking)
-    const conservatismMultiplier = (this.conservatismLevel >= 0 && this.conservatismLevel < this.CONSERVATISM_MULTIPLIERS.length) 
-      ? this.CONSERVATISM_MULTIPLIERS[this.conservatismLevel]! 
-      : 1.0;
-    const adjustedRadius = criticalRadius * conservatismMultiplier;
-    
-    // Use regenerated radius (simplified - using adjusted critical radius for now)
-    const regeneratedRadius = Math.max(adjustedRadius, 0.001); // Prevent division by zero
-    
-    // VPM-B gradient formula from Subsurface:
-    // gradient = 2 * (gamma / gammaC) * ((gammaC - gamma) / radius)
-    const gamma = this.SURFACE_TENSION_GAMMA;
-    const gammaC = this.SKIN_COMPRESSION_GAMMA_C;
-    
-    const gradient = 2.0 * (gamma / gammaC) * ((gammaC - gamma) / regeneratedRadius);
-    
-    return Math.max(0, gradient);
+    // While a schedule is generated, use the critical volume and Boyle's law gradients
+    const gradients = this.scheduleGradients ?? this.calculateInitialAllowableGradients();
+    return Math.max(0, gradients[gasType][compartment.number - 1] ?? 0);
   }
 
   /**
@@ -2,8 +2,8 @@
  * Unit tests for Buhlmann ZHL-16C Decompression Model with Gradient Factors
  */
 
-import { BuhlmannModel } from '../BuhlmannModel';
-import { GasMix } from '../DecompressionModel';
+import { BuhlmannModel, BUHLMANN_COEFFICIENTS } from '../BuhlmannModel';
+import { GasMix, STOP_INTERVALS, WATER_DENSITIES, altitudeToPressure, calculateDanNoFlyTime } from '../DecompressionModel';
 
 describe('BuhlmannModel', () => {
   let buhlmannModel: BuhlmannModel;
@@ -43,6 +43,51 @@ describe('BuhlmannModel', () => {
     });
   });
 
+  describe('Coefficient Sets', () => {
+    const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+
+    const stopsFor = (model: BuhlmannModel) => {
+      model.updateDiveState({ depth: 40, gasMix: airMix });
+      model.updateTissueLoadings(25);
+      return model.calculateDecompressionStops().map(stop => [stop.depth, stop.time]);
+    };
+
+    test('should default to ZHL-16C', () => {
+      expect(buhlmannModel.getCoefficientSet()).toBe('ZHL-16C');
+      expect(buhlmannModel.getCoefficients()).toEqual(BUHLMANN_COEFFICIENTS['ZHL-16C']);
+    });
+
+    test('should use the ZHL-16A and ZHL-16B coefficients', () => {
+      const zhl16a = new BuhlmannModel({ low: 30, high: 85 }, 'ZHL-16A');
+      const zhl16b = new BuhlmannModel({ low: 30, high: 85 }, 'ZHL-16B');
+
+      expect(zhl16a.getModelName()).toBe('Buhlmann ZHL-16A (GF 30/85)');
+      expect(zhl16a.getBuhlmannCompartmentData(1)).toMatchObject({ nitrogenHalfTime: 4.0, nitrogenMValueA: 1.2599, nitrogenMValueB: 0.5050 });
+      expect(zhl16b.getBuhlmannCompartmentData(6).nitrogenMValueA).toBe(0.5600);
+      expect(buhlmannModel.getBuhlmannCompartmentData(6).nitrogenMValueA).toBe(0.5043);
+
+      expect(stopsFor(zhl16a)).not.toEqual(stopsFor(new BuhlmannModel({ low: 30, high: 85 })));
+    });
+
+    test('should reproduce a set from an equivalent custom table', () => {
+      const custom = new BuhlmannModel({ low: 30, high: 85 }, { ...BUHLMANN_COEFFICIENTS['ZHL-16C'] });
+
+      expect(custom.getCoefficientSet()).toBe('custom');
+      expect(custom.getModelName()).toBe('Buhlmann custom (GF 30/85)');
+      expect(stopsFor(custom)).toEqual(stopsFor(buhlmannModel));
+    });
+
+    test('should reject invalid coefficient tables', () => {
+      const zhl16c = BUHLMANN_COEFFICIENTS['ZHL-16C'];
+
+      expect(() => new BuhlmannModel(undefined, { ...zhl16c, nitrogenHalfTimes: zhl16c.nitrogenHalfTimes.slice(1) })).toThrow();
+      expect(() => new BuhlmannModel(undefined, { ...zhl16c, heliumHalfTimes: [0, ...zhl16c.heliumHalfTimes.slice(1)] })).toThrow();
+      expect(() => new BuhlmannModel(undefined, { ...zhl16c, heliumMValuesA: [NaN, ...zhl16c.heliumMValuesA.slice(1)] })).toThrow();
+      expect(() => new BuhlmannModel(undefined, { ...zhl16c, nitrogenMValuesB: [1.2, ...zhl16c.nitrogenMValuesB.slice(1)] })).toThrow();
+      expect(() => new BuhlmannModel(undefined, 'ZHL-16D' as 'ZHL-16C')).toThrow();
+    });
+  });
+
   describe('Gradient Factor Management', () => {
     test('should get current gradient factors', () => {
       const gf = buhlmannModel.getGradientFactors();
@@ -221,6 +266,86 @@ describe('BuhlmannModel', () => {
       });
     });
 
+    test('should clear the next stop after each reported stop', () => {
+      const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+
+      buhlmannModel.updateDiveState({ depth: 60, gasMix: airMix });
+      buhlmannModel.updateTissueLoadings(30);
+
+      const stops = buhlmannModel.calculateDecompressionStops();
+      expect(stops.length).toBeGreaterThan(0);
+
+      // Shallow stops lengthen as the slow compartments take over
+      stops.filter(stop => stop.depth <= 12).forEach(stop => expect(stop.time).toBeGreaterThan(1));
+
+      // Follow the schedule and check each next depth is tolerated on arrival
+      let depth = 60;
+      stops.forEach((stop, index) => {
+        buhlmannModel.updateTissueLoadings((depth - stop.depth) / buhlmannModel.getAscentRate(), depth, stop.depth);
+        buhlmannModel.updateDiveState({ depth: stop.depth });
+        buhlmannModel.updateTissueLoadings(stop.time);
+
+        const nextDepth = stops[index + 1]?.depth ?? 0;
+        buhlmannModel.updateTissueLoadings((stop.depth - nextDepth) / buhlmannModel.getAscentRate(), stop.depth, nextDepth);
+        buhlmannModel.updateDiveState({ depth: nextDepth });
+        expect(buhlmannModel.calculateTissueTolerance(nextDepth, true)).not.toBeNull();
+        depth = nextDepth;
+      });
+    });
+
+    test('should mark a stop that never clears and end the schedule there', () => {
+      const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+
+      buhlmannModel.updateDiveState({ depth: 40, gasMix: airMix });
+      buhlmannModel.updateTissueLoadings(25);
+
+      // Never tolerate the last stop, as if the diver could not off-gas enough to surface
+      const tolerance = buhlmannModel.calculateTissueTolerance.bind(buhlmannModel);
+      jest.spyOn(buhlmannModel, 'calculateTissueTolerance')
+        .mockImplementation((depth, includeModelSpecificLogic) => depth < 3 ? null : tolerance(depth, includeModelSpecificLogic));
+
+      const stops = buhlmannModel.calculateDecompressionStops();
+      expect(stops[stops.length - 1]).toMatchObject({ depth: 3, time: 24 * 60, cleared: false });
+      expect(stops.slice(0, -1).every(stop => stop.cleared === undefined)).toBe(true);
+      expect(buhlmannModel.calculateTTS()).toBe(Infinity);
+    });
+
+    test('should match reference ZH-L16C GF 30/85 schedules', () => {
+      const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+
+      // Independent ZH-L16C calculation on dry air in salt water (0.1 bar/m from 1.013 bar),
+      // descending at 18 m/min and ascending at 9 m/min, with GF-low anchored at the GF-low
+      // ceiling rounded up to the 3 m grid and whole-minute stops
+      const references: Array<{ depth: number; time: number; stops: number[][]; tts: number }> = [
+        { depth: 40, time: 20, stops: [[15, 1], [12, 1], [9, 3], [6, 6], [3, 15]], tts: 30.4 },
+        { depth: 50, time: 20, stops: [[21, 1], [18, 1], [15, 3], [12, 3], [9, 6], [6, 13], [3, 28]], tts: 60.6 }
+      ];
+
+      references.forEach(reference => {
+        const model = new BuhlmannModel({ low: 30, high: 85 });
+        model.updateDiveState({ depth: 0, gasMix: airMix });
+        model.updateTissueLoadings(reference.depth / 18, 0, reference.depth);
+        model.updateDiveState({ depth: reference.depth });
+        model.updateTissueLoadings(reference.time);
+
+        expect(model.calculateDecompressionStops().map(stop => [stop.depth, stop.time])).toEqual(reference.stops);
+        expect(model.calculateTTS()).toBeCloseTo(reference.tts, 1);
+      });
+    });
+
+    test('should leave out stops the ascent already clears', () => {
+      const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+
+      buhlmannModel.updateDiveState({ depth: 40, gasMix: airMix });
+      buhlmannModel.updateTissueLoadings(25);
+
+      // Stops start at 12 m, but every depth is tolerated on arrival, so none takes any time
+      jest.spyOn(buhlmannModel, 'calculateCeiling').mockReturnValue(12);
+      jest.spyOn(buhlmannModel, 'calculateTissueTolerance').mockReturnValue(1);
+
+      expect(buhlmannModel.calculateDecompressionStops()).toEqual([]);
+    });
+
     test('should respect gradient factor settings', () => {
       const airMix: GasMix = { 
         oxygen: 0.21, 
@@ -327,6 +452,74 @@ describe('BuhlmannModel', () => {
     });
   });
 
+  describe('GF99 and SurfGF', () => {
+    const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+
+    test('should read zero before diving', () => {
+      expect(buhlmannModel.calculateGF99()).toBe(0);
+      expect(buhlmannModel.calculateSurfGF()).toBe(0);
+    });
+
+    test('should read zero GF99 while on-gassing but report SurfGF', () => {
+      buhlmannModel.updateDiveState({ depth: 30, gasMix: airMix });
+      buhlmannModel.updateTissueLoadings(25);
+
+      const reading = buhlmannModel.getGradientFactorReading();
+      expect(reading.gf99).toBe(0);
+      expect(reading.surfGf).toBeGreaterThan(0);
+      expect(reading.leadingCompartment).toBeGreaterThanOrEqual(1);
+      expect(reading.leadingCompartment).toBeLessThanOrEqual(16);
+    });
+
+    test('should measure GF99 against the leading compartment raw M-value', () => {
+      buhlmannModel.updateDiveState({ depth: 30, gasMix: airMix });
+      buhlmannModel.updateTissueLoadings(25);
+      buhlmannModel.updateDiveState({ depth: 6 });
+
+      const reading = buhlmannModel.getGradientFactorReading();
+      const compartment = buhlmannModel.getBuhlmannCompartmentData(reading.leadingCompartment);
+      const ambientPressure = buhlmannModel.getDiveState().ambientPressure;
+      const mValue = buhlmannModel.calculateMValue(reading.leadingCompartment, 6);
+      const expected = ((compartment.nitrogenLoading + compartment.heliumLoading - ambientPressure) / (mValue - ambientPressure)) * 100;
+
+      expect(reading.gf99).toBeGreaterThan(0);
+      expect(reading.gf99).toBeCloseTo(expected, 5);
+      expect(buhlmannModel.calculateGF99()).toBe(reading.gf99);
+      expect(buhlmannModel.getLeadingCompartment()).toBe(reading.leadingCompartment);
+      expect(reading.surfGf).toBeGreaterThan(reading.gf99);
+    });
+
+    test('should use the M-value a + P / b', () => {
+      buhlmannModel.updateDiveState({ depth: 30, gasMix: airMix });
+      buhlmannModel.updateTissueLoadings(25);
+      buhlmannModel.updateDiveState({ depth: 12 });
+
+      const compartment = buhlmannModel.getBuhlmannCompartmentData(16);
+      const ambientPressure = buhlmannModel.getDiveState().ambientPressure;
+      expect(buhlmannModel.calculateMValue(16, 12))
+        .toBeCloseTo(compartment.combinedMValueA + ambientPressure / compartment.combinedMValueB, 10);
+      expect(buhlmannModel.calculateMValue(16, 12)).toBeGreaterThan(ambientPressure);
+    });
+
+    test('should stay finite deep in the water', () => {
+      buhlmannModel.updateDiveState({ depth: 100, gasMix: airMix });
+      buhlmannModel.updateTissueLoadings(5);
+      buhlmannModel.updateDiveState({ depth: 30 });
+
+      const reading = buhlmannModel.getGradientFactorReading();
+      expect(Number.isFinite(reading.gf99)).toBe(true);
+      expect(Number.isFinite(reading.surfGf)).toBe(true);
+    });
+
+    test('should match GF99 and SurfGF at the surface', () => {
+      buhlmannModel.updateDiveState({ depth: 18, gasMix: airMix });
+      buhlmannModel.updateTissueLoadings(40);
+      buhlmannModel.updateDiveState({ depth: 0 });
+
+      expect(buhlmannModel.calculateGF99()).toBeCloseTo(buhlmannModel.calculateSurfGF(), 10);
+    });
+  });
+
   describe('Buhlmann Specific Features', () => {
     test('should provide Buhlmann compartment data', () => {
       const compartmentData = buhlmannModel.getBuhlmannCompartmentData(1);
@@ -595,8 +788,9 @@ describe('BuhlmannModel', () => {
 
       let prevCeiling = buhlmannModel.calculateCeiling();
       
-      // Update tissues for 5 minutes, checking ceiling progression
-      for (let i = 1; i <= 30; i++) { // 30 x 10 seconds = 5 minutes
+      // Update tissues for 10 minutes, checking ceiling progression. With the ZH-L16 M-value
+      // a + P / b, five minutes at 40m on air is still within the no-decompression limit
+      for (let i = 1; i <= 60; i++) { // 60 x 10 seconds = 10 minutes
         buhlmannModel.updateTissueLoadings(10 / 60); // 10 seconds
         const currentCeiling = buhlmannModel.calculateCeiling();
         
@@ -609,9 +803,786 @@ describe('BuhlmannModel', () => {
         prevCeiling = currentCeiling;
       }
       
-      // After 5 minutes, ceiling should be significantly higher than initial
+      // After 10 minutes, ceiling should be significantly higher than initial
       const finalCeiling = buhlmannModel.calculateCeiling();
       expect(finalCeiling).toBeGreaterThan(5); // Should have increased to require decompression
     });
   });
-});
\ No newline at end of file
+
+  describe('Schreiner Equation', () => {
+    test('should match finely stepped Haldane loading during a descent', () => {
+      const steppedModel = new BuhlmannModel();
+      const steps = 600;
+      for (let i = 0; i < steps; i++) {
+        steppedModel.updateDiveState({ depth: 30 * (i + 0.5) / steps });
+        steppedModel.updateTissueLoadings(3 / steps);
+      }
+
+      buhlmannModel.updateTissueLoadings(3, 0, 30);
+
+      const stepped = steppedModel.getTissueCompartments();
+      buhlmannModel.getTissueCompartments().forEach((compartment, i) => {
+        expect(compartment.nitrogenLoading).toBeCloseTo(stepped[i]!.nitrogenLoading, 4);
+      });
+    });
+
+    test('should equal Haldane loading when the depth does not change', () => {
+      const haldaneModel = new BuhlmannModel();
+      haldaneModel.updateDiveState({ depth: 20 });
+      haldaneModel.updateTissueLoadings(15);
+
+      buhlmannModel.updateTissueLoadings(15, 20, 20);
+
+      const haldane = haldaneModel.getTissueCompartments();
+      buhlmannModel.getTissueCompartments().forEach((compartment, i) => {
+        expect(compartment.nitrogenLoading).toBeCloseTo(haldane[i]!.nitrogenLoading, 10);
+      });
+    });
+  });
+
+  describe('No-Decompression Limit', () => {
+    test('should report a shorter NDL deeper and none once deco is required', () => {
+      buhlmannModel.updateDiveState({ depth: 12 });
+      const shallowNdl = buhlmannModel.calculateNoDecompressionLimit();
+
+      buhlmannModel.updateDiveState({ depth: 25 });
+      const deepNdl = buhlmannModel.calculateNoDecompressionLimit();
+
+      expect(shallowNdl).toBeGreaterThan(deepNdl);
+      expect(deepNdl).toBeGreaterThan(0);
+
+      buhlmannModel.updateTissueLoadings(deepNdl + 1);
+      expect(buhlmannModel.canAscendDirectly()).toBe(false);
+      expect(buhlmannModel.calculateNoDecompressionLimit()).toBe(0);
+    });
+
+    test('should cap the NDL at the search limit', () => {
+      expect(buhlmannModel.calculateNoDecompressionLimit(30)).toBe(30);
+    });
+
+    test('should not modify tissue loadings', () => {
+      buhlmannModel.updateDiveState({ depth: 18 });
+      buhlmannModel.updateTissueLoadings(10);
+      const before = buhlmannModel.getTissueCompartments().map(c => c.totalLoading);
+
+      buhlmannModel.calculateNoDecompressionLimit();
+
+      const after = buhlmannModel.getTissueCompartments().map(c => c.totalLoading);
+      expect(after).toEqual(before);
+    });
+  });
+
+  describe('Ascent Simulation', () => {
+    const airMix: GasMix = {
+      oxygen: 0.21,
+      helium: 0.0,
+      get nitrogen() { return 1 - this.oxygen - this.helium; }
+    };
+
+    beforeEach(() => {
+      buhlmannModel.updateDiveState({ depth: 40, gasMix: airMix });
+      buhlmannModel.updateTissueLoadings(25);
+    });
+
+    test('should not modify tissue or dive state while walking the ascent', () => {
+      const loadingsBefore = buhlmannModel.getTissueCompartments().map(c => c.totalLoading);
+      const stateBefore = buhlmannModel.getDiveState();
+
+      buhlmannModel.calculateDecompressionStops();
+      buhlmannModel.calculateTTS();
+
+      expect(buhlmannModel.getTissueCompartments().map(c => c.totalLoading)).toEqual(loadingsBefore);
+      expect(buhlmannModel.getDiveState()).toEqual(stateBefore);
+    });
+
+    test('should compute TTS as ascent travel plus stop times', () => {
+      const stops = buhlmannModel.calculateDecompressionStops();
+      const stopTime = stops.reduce((sum, stop) => sum + stop.time, 0);
+
+      expect(stops.length).toBeGreaterThan(0);
+      expect(buhlmannModel.calculateTTS()).toBeCloseTo(40 / 9 + stopTime, 5);
+    });
+
+    test('should account for tissue loading along slower ascent legs', () => {
+      const fastAscentStops = buhlmannModel.calculateDecompressionStops();
+
+      buhlmannModel.setAscentRate(3);
+      const slowAscentStops = buhlmannModel.calculateDecompressionStops();
+
+      expect(buhlmannModel.getAscentRate()).toBe(3);
+      expect(slowAscentStops).not.toEqual(fastAscentStops);
+      expect(buhlmannModel.calculateTTS(3)).toBeGreaterThan(buhlmannModel.calculateTTS(9));
+    });
+
+    test('should validate the ascent rate', () => {
+      expect(() => buhlmannModel.setAscentRate(0)).toThrow('Ascent rate must be greater than 0');
+    });
+  });
+
+  describe('Decompression Gases', () => {
+    const trimix: GasMix = {
+      oxygen: 0.18,
+      helium: 0.45,
+      get nitrogen() { return 1 - this.oxygen - this.helium; }
+    };
+    const ean50: GasMix = {
+      oxygen: 0.50,
+      helium: 0.0,
+      get nitrogen() { return 1 - this.oxygen - this.helium; }
+    };
+    const oxygen: GasMix = {
+      oxygen: 1.0,
+      helium: 0.0,
+      get nitrogen() { return 1 - this.oxygen - this.helium; }
+    };
+
+    test('should derive switch depths from the maximum ppO2', () => {
+      buhlmannModel.setDecompressionGases([oxygen, ean50], 1.6);
+
+      const gases = buhlmannModel.getDecompressionGases();
+      expect(gases).toHaveLength(2);
+      expect(gases[0]!.gasMix.oxygen).toBe(0.50);
+      expect(gases[0]!.switchDepth).toBe(21);
+      expect(gases[1]!.gasMix.oxygen).toBe(1.0);
+      // Oxygen at 6 m is 1.613 bar, just over the limit
+      expect(gases[1]!.switchDepth).toBe(3);
+
+      // EAN50 at 18 m is 1.407 bar
+      buhlmannModel.setDecompressionGases([ean50], 1.4);
+      expect(buhlmannModel.getDecompressionGases()[0]!.switchDepth).toBe(15);
+      buhlmannModel.setDecompressionGases([oxygen], 1.62);
+      expect(buhlmannModel.getDecompressionGases()[0]!.switchDepth).toBe(6);
+    });
+
+    test('should never exceed the maximum ppO2 at the switch depth', () => {
+      const gases = [0.32, 0.36, 0.40, 0.50, 0.80, 1.0].map(fraction => ({ ...ean50, oxygen: fraction }));
+      [1.4, 1.5, 1.6].forEach(maxPpO2 => {
+        buhlmannModel.setDecompressionGases(gases, maxPpO2);
+        buhlmannModel.getDecompressionGases().forEach(({ gasMix, switchDepth }) => {
+          expect(gasMix.oxygen * (1.013 + switchDepth / 10)).toBeLessThanOrEqual(maxPpO2);
+        });
+      });
+    });
+
+    test('should reject invalid deco gas settings', () => {
+      expect(() => buhlmannModel.setDecompressionGases([ean50], 0)).toThrow();
+      expect(() => buhlmannModel.setDecompressionGases([{ ...ean50, oxygen: 0 }])).toThrow();
+    });
+
+    test('should select the richest breathable gas for each depth', () => {
+      buhlmannModel.updateDiveState({ depth: 60, gasMix: trimix });
+      buhlmannModel.setDecompressionGases([ean50, oxygen]);
+
+      expect(buhlmannModel.getGasMixForDepth(40)).toBe(buhlmannModel.getDiveState().gasMix);
+      expect(buhlmannModel.getGasMixForDepth(21).oxygen).toBe(0.50);
+      expect(buhlmannModel.getGasMixForDepth(9).oxygen).toBe(0.50);
+      expect(buhlmannModel.getGasMixForDepth(6).oxygen).toBe(0.50);
+      expect(buhlmannModel.getGasMixForDepth(3).oxygen).toBe(1.0);
+    });
+
+    test('should stamp each stop with the gas in use and shorten the schedule', () => {
+      buhlmannModel.updateDiveState({ depth: 45, gasMix: trimix });
+      buhlmannModel.updateTissueLoadings(25);
+
+      const bottomGasStops = buhlmannModel.calculateDecompressionStops();
+      const bottomGasSwitchStop = bottomGasStops.find(stop => stop.depth === 21);
+      const bottomGasTTS = buhlmannModel.calculateTTS();
+
+      buhlmannModel.setDecompressionGases([ean50, oxygen]);
+      const multiGasStops = buhlmannModel.calculateDecompressionStops();
+      const multiGasSwitchStop = multiGasStops.find(stop => stop.depth === 21);
+
+      expect(multiGasStops.length).toBeGreaterThan(0);
+      multiGasStops.forEach(stop => {
+        const expectedOxygen = stop.depth <= 3 ? 1.0 : stop.depth <= 21 ? 0.50 : 0.18;
+        expect(stop.gasMix.oxygen).toBe(expectedOxygen);
+      });
+      expect(bottomGasSwitchStop).toBeDefined();
+      expect(multiGasSwitchStop?.time ?? 0).toBeLessThanOrEqual(bottomGasSwitchStop!.time);
+      expect(buhlmannModel.calculateTTS()).toBeLessThan(bottomGasTTS);
+    });
+  });
+
+  describe('Stop Grid', () => {
+    const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+    const ean50: GasMix = { oxygen: 0.50, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+
+    const decoDive = () => {
+      buhlmannModel.updateDiveState({ depth: 45, gasMix: airMix });
+      buhlmannModel.updateTissueLoadings(35);
+      return buhlmannModel.calculateDecompressionStops();
+    };
+
+    const onGrid = (depth: number, interval: number) =>
+      Math.abs(depth / interval - Math.round(depth / interval)) < 1e-6;
+
+    test('should default to 3m stops with a last stop at 3m and whole minutes', () => {
+      expect(buhlmannModel.getStopSettings()).toEqual({
+        stopInterval: 3,
+        lastStopDepth: 3,
+        minimumStopTime: 1,
+        stopTimeRounding: 'up',
+        stopTimeStep: 1
+      });
+
+      const stops = decoDive();
+      expect(stops.length).toBeGreaterThan(0);
+      expect(stops[stops.length - 1]!.depth).toBe(3);
+      stops.forEach(stop => {
+        expect(onGrid(stop.depth, 3)).toBe(true);
+        expect(Number.isInteger(stop.time)).toBe(true);
+        expect(stop.time).toBeGreaterThanOrEqual(1);
+      });
+      expect(buhlmannModel.calculateConsolidatedDecompressionStops()).toEqual(stops);
+    });
+
+    test('should skip the 3m stop with a 6m last stop', () => {
+      buhlmannModel.setStopSettings({ lastStopDepth: 6 });
+      const stops = decoDive();
+
+      expect(stops[stops.length - 1]!.depth).toBe(6);
+      stops.forEach(stop => expect(onGrid(stop.depth, 3)).toBe(true));
+    });
+
+    test('should place stops on a 10ft or 5m grid', () => {
+      buhlmannModel.setStopSettings({ stopInterval: STOP_INTERVALS['10ft'], lastStopDepth: STOP_INTERVALS['10ft'] });
+      const imperialStops = decoDive();
+      expect(imperialStops.length).toBeGreaterThan(0);
+      imperialStops.forEach(stop => expect(onGrid(stop.depth, 3.048)).toBe(true));
+
+      buhlmannModel.resetToSurface();
+      buhlmannModel.setStopSettings({ stopInterval: STOP_INTERVALS['5m'], lastStopDepth: 5 });
+      const metricStops = decoDive();
+      expect(metricStops.length).toBeGreaterThan(0);
+      metricStops.forEach(stop => expect(onGrid(stop.depth, 5)).toBe(true));
+    });
+
+    test('should consolidate stops onto the configured grid', () => {
+      jest.spyOn(buhlmannModel, 'calculateDecompressionStops').mockReturnValue([
+        { depth: 8, time: 1, gasMix: airMix },
+        { depth: 4, time: 2, gasMix: airMix },
+        { depth: 2, time: 3, gasMix: airMix }
+      ]);
+
+      expect(buhlmannModel.calculateConsolidatedDecompressionStops().map(stop => [stop.depth, stop.time]))
+        .toEqual([[9, 1], [6, 2], [3, 3]]);
+
+      buhlmannModel.setStopSettings({ stopInterval: STOP_INTERVALS['5m'], lastStopDepth: 5 });
+      expect(buhlmannModel.calculateConsolidatedDecompressionStops().map(stop => [stop.depth, stop.time]))
+        .toEqual([[10, 1], [5, 5]]);
+    });
+
+    test('should round deco gas switch depths down to the grid', () => {
+      buhlmannModel.setDecompressionGases([ean50], 1.6);
+      expect(buhlmannModel.getDecompressionGases()[0]!.switchDepth).toBe(21);
+
+      buhlmannModel.setStopSettings({ stopInterval: 5 });
+      expect(buhlmannModel.getDecompressionGases()[0]!.switchDepth).toBe(20);
+    });
+
+    test('should apply the stop time rounding and minimum stop time', () => {
+      const roundedUp = decoDive();
+
+      buhlmannModel.setStopSettings({ stopTimeRounding: 'none', minimumStopTime: 0 });
+      const exact = buhlmannModel.calculateDecompressionStops();
+      const total = (stops: typeof exact) => stops.reduce((sum, stop) => sum + stop.time, 0);
+      expect(exact.some(stop => !Number.isInteger(stop.time))).toBe(true);
+      expect(total(exact)).toBeLessThan(total(roundedUp));
+
+      buhlmannModel.setStopSettings({ stopTimeRounding: 'up', stopTimeStep: 0.5, minimumStopTime: 2 });
+      buhlmannModel.calculateDecompressionStops().forEach(stop => {
+        expect(stop.time % 0.5).toBe(0);
+        expect(stop.time).toBeGreaterThanOrEqual(2);
+      });
+    });
+
+    test('should reject invalid stop settings', () => {
+      expect(() => buhlmannModel.setStopSettings({ stopInterval: 0 })).toThrow();
+      expect(() => buhlmannModel.setStopSettings({ lastStopDepth: 0 })).toThrow();
+      expect(() => buhlmannModel.setStopSettings({ minimumStopTime: -1 })).toThrow();
+      expect(() => buhlmannModel.setStopSettings({ stopTimeStep: 0 })).toThrow();
+      expect(buhlmannModel.getStopSettings().stopInterval).toBe(3);
+    });
+  });
+
+  describe('Deep Stops', () => {
+    const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+
+    const decoDive = () => {
+      buhlmannModel.updateDiveState({ depth: 45, gasMix: airMix });
+      buhlmannModel.updateTissueLoadings(35);
+    };
+
+    test('should not add deep stops by default', () => {
+      decoDive();
+      expect(buhlmannModel.getDeepStops()).toEqual({ style: 'none' });
+      expect(buhlmannModel.calculateDecompressionStops().some(stop => stop.deepStop)).toBe(false);
+    });
+
+    test('should insert Pyle stops halfway to the first required stop', () => {
+      decoDive();
+      const plainTts = buhlmannModel.calculateTTS();
+      const firstRequiredStop = Math.ceil(buhlmannModel.calculateCeiling() / 3) * 3;
+
+      buhlmannModel.setDeepStops({ style: 'pyle' });
+      const stops = buhlmannModel.calculateDecompressionStops();
+      const deepStops = stops.filter(stop => stop.deepStop);
+
+      expect(deepStops.length).toBeGreaterThan(0);
+      expect(deepStops[0]!.depth).toBe(Math.ceil((45 + firstRequiredStop) / 2 / 3) * 3);
+      deepStops.forEach(stop => {
+        expect(stop.time).toBe(2);
+        expect(stop.depth).toBeGreaterThan(firstRequiredStop);
+      });
+      expect(stops[deepStops.length]!.depth).toBeLessThanOrEqual(firstRequiredStop);
+      expect(buhlmannModel.calculateTTS()).toBeGreaterThan(plainTts);
+    });
+
+    test('should insert one minute ratio deco stops from 75% of the depth', () => {
+      decoDive();
+      const firstRequiredStop = Math.ceil(buhlmannModel.calculateCeiling() / 3) * 3;
+
+      buhlmannModel.setDeepStops({ style: 'ratio-deco' });
+      const deepStops = buhlmannModel.calculateDecompressionStops().filter(stop => stop.deepStop);
+
+      const expectedDepths: number[] = [];
+      for (let depth = 33; depth > firstRequiredStop; depth -= 3) {
+        expectedDepths.push(depth);
+      }
+      expect(deepStops.map(stop => stop.depth)).toEqual(expectedDepths);
+      deepStops.forEach(stop => expect(stop.time).toBe(1));
+    });
+
+    test('should use a custom deep stop time and reject invalid ones', () => {
+      decoDive();
+      buhlmannModel.setDeepStops({ style: 'pyle', stopTime: 3 });
+      buhlmannModel.calculateDecompressionStops()
+        .filter(stop => stop.deepStop)
+        .forEach(stop => expect(stop.time).toBe(3));
+
+      expect(() => buhlmannModel.setDeepStops({ style: 'pyle', stopTime: 0 })).toThrow();
+    });
+  });
+
+  describe('Altitude Diving', () => {
+    const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+
+    test('should convert altitude to surface pressure', () => {
+      expect(altitudeToPressure(0)).toBeCloseTo(1.013, 3);
+      expect(altitudeToPressure(2000)).toBeCloseTo(0.795, 3);
+      expect(() => altitudeToPressure(-100)).toThrow();
+    });
+
+    test('should equilibrate tissues to altitude for acclimatized divers', () => {
+      buhlmannModel.setAltitude(2000);
+      const surfacePressure = buhlmannModel.getSurfacePressure();
+
+      expect(surfacePressure).toBeCloseTo(altitudeToPressure(2000), 5);
+      expect(buhlmannModel.getDiveState().ambientPressure).toBeCloseTo(surfacePressure, 5);
+      buhlmannModel.getTissueCompartments().forEach(compartment => {
+        expect(compartment.nitrogenLoading).toBeCloseTo(0.79 * surfacePressure, 5);
+      });
+      expect(buhlmannModel.calculateCeiling()).toBe(0);
+
+      buhlmannModel.updateDiveState({ depth: 10 });
+      expect(buhlmannModel.getDiveState().ambientPressure).toBeCloseTo(surfacePressure + 1.0, 5);
+    });
+
+    test('should keep sea level tissues for divers who are not acclimatized', () => {
+      buhlmannModel.setAltitude(3000, false);
+
+      buhlmannModel.getTissueCompartments().forEach(compartment => {
+        expect(compartment.nitrogenLoading).toBeCloseTo(0.79 * 1.013, 5);
+      });
+      expect(buhlmannModel.getSurfacePressure()).toBeCloseTo(altitudeToPressure(3000), 5);
+    });
+
+    test('should give a deeper ceiling for the same dive at altitude', () => {
+      const altitudeModel = new BuhlmannModel({ low: 30, high: 85 });
+      altitudeModel.setAltitude(2500);
+
+      [buhlmannModel, altitudeModel].forEach(model => {
+        model.updateDiveState({ depth: 30, gasMix: airMix });
+        model.updateTissueLoadings(30);
+      });
+
+      expect(altitudeModel.calculateCeiling()).toBeGreaterThan(buhlmannModel.calculateCeiling());
+    });
+
+    test('should reject a non-positive surface pressure', () => {
+      expect(() => buhlmannModel.setSurfacePressure(0)).toThrow();
+    });
+  });
+
+  describe('Water Density', () => {
+    test('should default to EN13319 at exactly 1 bar per 10 m', () => {
+      expect(buhlmannModel.getWaterDensity()).toBe(WATER_DENSITIES.en13319);
+      buhlmannModel.updateDiveState({ depth: 30 });
+      expect(buhlmannModel.getDiveState().ambientPressure).toBeCloseTo(4.013, 10);
+    });
+
+    test('should use the water density for ambient pressure', () => {
+      buhlmannModel.updateDiveState({ depth: 20 });
+
+      buhlmannModel.setWaterDensity(WATER_DENSITIES.fresh);
+      expect(buhlmannModel.getDiveState().ambientPressure).toBeCloseTo(1.013 + 20 * 0.0980665, 6);
+
+      buhlmannModel.setWaterDensity(WATER_DENSITIES.salt);
+      expect(buhlmannModel.getDiveState().ambientPressure).toBeCloseTo(1.013 + 20 * 0.1010085, 6);
+    });
+
+    test('should convert the same tissue ceiling to a deeper fresh water depth', () => {
+      buhlmannModel.updateDiveState({ depth: 40 });
+      buhlmannModel.updateTissueLoadings(30);
+      const en13319Ceiling = buhlmannModel.calculateCeiling();
+
+      buhlmannModel.setWaterDensity(WATER_DENSITIES.fresh);
+      const freshCeiling = buhlmannModel.calculateCeiling();
+
+      expect(en13319Ceiling).toBeGreaterThan(0);
+      expect(freshCeiling).toBeCloseTo(en13319Ceiling / 0.980665, 0);
+    });
+
+    test('should reject a non-positive water density', () => {
+      expect(() => buhlmannModel.setWaterDensity(0)).toThrow();
+    });
+  });
+
+  describe('Repetitive Dives', () => {
+    const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+
+    const diveAndSurface = (model: BuhlmannModel) => {
+      model.updateDiveState({ depth: 30, gasMix: airMix });
+      model.updateTissueLoadings(20);
+      model.updateDiveState({ depth: 0 });
+    };
+
+    test('should start the second dive with residual loading', () => {
+      diveAndSurface(buhlmannModel);
+      buhlmannModel.simulateSurfaceInterval(60);
+
+      const freshModel = new BuhlmannModel({ low: 30, high: 85 });
+      [buhlmannModel, freshModel].forEach(model => {
+        model.updateDiveState({ depth: 30, gasMix: airMix });
+        model.updateTissueLoadings(20);
+      });
+
+      const slowTissue = (model: BuhlmannModel) => model.getTissueCompartments()[15]!.nitrogenLoading;
+      expect(slowTissue(buhlmannModel)).toBeGreaterThan(slowTissue(freshModel));
+      expect(buhlmannModel.calculateCeiling()).toBeGreaterThanOrEqual(freshModel.calculateCeiling());
+    });
+
+    test('should breathe air at the surface during the interval', () => {
+      buhlmannModel.updateDiveState({ depth: 20, gasMix: { oxygen: 0.32, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } } });
+      buhlmannModel.updateTissueLoadings(30);
+      buhlmannModel.simulateSurfaceInterval(24 * 60);
+
+      const state = buhlmannModel.getDiveState();
+      expect(state.depth).toBe(0);
+      expect(state.gasMix.oxygen).toBe(0.21);
+      buhlmannModel.getTissueCompartments().forEach(compartment => {
+        expect(compartment.nitrogenLoading).toBeCloseTo(0.79 * 1.013, 1);
+      });
+    });
+
+    test('should breathe open-circuit air during the interval on a rebreather', () => {
+      const openCircuitModel = new BuhlmannModel({ low: 30, high: 85 });
+      buhlmannModel.setClosedCircuit(1.3, airMix);
+      openCircuitModel.setClosedCircuit(1.3, airMix);
+      [buhlmannModel, openCircuitModel].forEach(diveAndSurface);
+      openCircuitModel.setOpenCircuit();
+
+      buhlmannModel.simulateSurfaceInterval(60);
+      openCircuitModel.simulateSurfaceInterval(60);
+
+      expect(buhlmannModel.getBreathingMode()).toBe('closed-circuit');
+      buhlmannModel.getTissueCompartments().forEach((compartment, index) => {
+        const openCircuitCompartment = openCircuitModel.getTissueCompartments()[index]!;
+        expect(compartment.nitrogenLoading).toBeCloseTo(openCircuitCompartment.nitrogenLoading, 6);
+      });
+    });
+
+    test('should reject a negative surface interval', () => {
+      expect(() => buhlmannModel.simulateSurfaceInterval(-1)).toThrow();
+    });
+  });
+
+  describe('Closed-Circuit Rebreather', () => {
+    const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+    const trimixDiluent: GasMix = { oxygen: 0.10, helium: 0.50, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+
+    test('should hold the loop at the setpoint and split the rest by diluent inert ratio', () => {
+      buhlmannModel.setClosedCircuit(1.3, trimixDiluent);
+      const inspired = buhlmannModel.getInspiredPartialPressures(30);
+
+      expect(buhlmannModel.getBreathingMode()).toBe('closed-circuit');
+      expect(inspired.oxygen).toBeCloseTo(1.3, 10);
+      expect(inspired.helium).toBeCloseTo((4.013 - 1.3) * (0.50 / 0.90), 10);
+      expect(inspired.nitrogen).toBeCloseTo((4.013 - 1.3) * (0.40 / 0.90), 10);
+    });
+
+    test('should fall back when the setpoint exceeds ambient or diluent ppO2', () => {
+      buhlmannModel.setClosedCircuit(1.4, airMix);
+
+      const shallow = buhlmannModel.getInspiredPartialPressures(3);
+      expect(shallow.oxygen).toBeCloseTo(1.313, 10);
+      expect(shallow.nitrogen).toBeCloseTo(0, 10);
+
+      const deep = buhlmannModel.getInspiredPartialPressures(70);
+      expect(deep.oxygen).toBeCloseTo(0.21 * 8.013, 10);
+      expect(deep.nitrogen).toBeCloseTo(0.79 * 8.013, 10);
+    });
+
+    test('should load less nitrogen than open circuit on the same diluent', () => {
+      const openCircuitModel = new BuhlmannModel({ low: 30, high: 85 });
+      buhlmannModel.setClosedCircuit(1.3);
+
+      [buhlmannModel, openCircuitModel].forEach(model => {
+        model.updateDiveState({ depth: 30, gasMix: airMix });
+        model.updateTissueLoadings(30);
+      });
+
+      const fastNitrogen = (model: BuhlmannModel) => model.getTissueCompartments()[0]!.nitrogenLoading;
+      expect(fastNitrogen(buhlmannModel)).toBeLessThan(fastNitrogen(openCircuitModel));
+      expect(fastNitrogen(buhlmannModel)).toBeCloseTo(4.013 - 1.3, 1);
+    });
+
+    test('should stay on the loop instead of switching to open-circuit deco gases', () => {
+      const ean50: GasMix = { oxygen: 0.50, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+      buhlmannModel.setDecompressionGases([ean50]);
+      buhlmannModel.setClosedCircuit(1.3, airMix);
+
+      expect(buhlmannModel.getGasMixForDepth(6)).toBe(airMix);
+
+      buhlmannModel.setOpenCircuit();
+      expect(buhlmannModel.getGasMixForDepth(6)).toBe(ean50);
+    });
+
+    test('should carry the breathing mode over when copying tissue state', () => {
+      buhlmannModel.setClosedCircuit(1.2, airMix);
+      const copy = new BuhlmannModel({ low: 40, high: 80 });
+      copy.copyTissueStateFrom(buhlmannModel);
+
+      expect(copy.getBreathingMode()).toBe('closed-circuit');
+      expect(copy.getSetpoint()).toBe(1.2);
+    });
+
+    test('should reject a non-positive setpoint', () => {
+      expect(() => buhlmannModel.setClosedCircuit(0)).toThrow();
+    });
+  });
+
+  describe('Semi-Closed Rebreather', () => {
+    const ean40: GasMix = { oxygen: 0.40, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+
+    test('should drop the active-addition loop below the supply gas at a constant fraction', () => {
+      buhlmannModel.setSemiClosed({ type: 'active', oxygenConsumption: 1.0, injectionRate: 10 }, ean40);
+
+      expect(buhlmannModel.getBreathingMode()).toBe('semi-closed');
+      expect(buhlmannModel.calculateSemiClosedLoopOxygenFraction(0.40, 4.013)).toBeCloseTo(3 / 9, 10);
+      expect(buhlmannModel.calculateSemiClosedLoopOxygenFraction(0.40, 1.013)).toBeCloseTo(3 / 9, 10);
+
+      const inspired = buhlmannModel.getInspiredPartialPressures(30);
+      expect(inspired.oxygen).toBeCloseTo(4.013 / 3, 10);
+      expect(inspired.nitrogen).toBeCloseTo(4.013 * 2 / 3, 10);
+    });
+
+    test('should drop the passive-addition loop less at depth', () => {
+      buhlmannModel.setSemiClosed({ type: 'passive', oxygenConsumption: 1.0, dumpRatio: 0.1 }, ean40);
+
+      const deep = buhlmannModel.calculateSemiClosedLoopOxygenFraction(0.40, 4.013);
+      const shallow = buhlmannModel.calculateSemiClosedLoopOxygenFraction(0.40, 1.013);
+
+      expect(deep).toBeCloseTo(0.40 - 0.60 / (20 * 0.1 * 4.013), 10);
+      expect(shallow).toBeLessThan(deep);
+      expect(deep).toBeLessThan(0.40);
+    });
+
+    test('should load more nitrogen than open circuit on the supply gas', () => {
+      const openCircuitModel = new BuhlmannModel({ low: 30, high: 85 });
+      buhlmannModel.setSemiClosed({ type: 'active', oxygenConsumption: 1.0, injectionRate: 10 });
+
+      [buhlmannModel, openCircuitModel].forEach(model => {
+        model.updateDiveState({ depth: 30, gasMix: ean40 });
+        model.updateTissueLoadings(30);
+      });
+
+      const fastNitrogen = (model: BuhlmannModel) => model.getTissueCompartments()[0]!.nitrogenLoading;
+      expect(fastNitrogen(buhlmannModel)).toBeGreaterThan(fastNitrogen(openCircuitModel));
+    });
+
+    test('should carry the settings over when copying tissue state', () => {
+      buhlmannModel.setSemiClosed({ type: 'passive', oxygenConsumption: 1.5, dumpRatio: 0.2, minuteVolume: 25 }, ean40);
+      const copy = new BuhlmannModel({ low: 40, high: 80 });
+      copy.copyTissueStateFrom(buhlmannModel);
+
+      expect(copy.getBreathingMode()).toBe('semi-closed');
+      expect(copy.getSemiClosedSettings()).toEqual({ type: 'passive', oxygenConsumption: 1.5, dumpRatio: 0.2, minuteVolume: 25 });
+    });
+
+    test('should reject invalid settings', () => {
+      expect(() => buhlmannModel.setSemiClosed({ type: 'passive', oxygenConsumption: 0, dumpRatio: 0.1 })).toThrow();
+      expect(() => buhlmannModel.setSemiClosed({ type: 'passive', oxygenConsumption: 1.0 })).toThrow();
+      expect(() => buhlmannModel.setSemiClosed({ type: 'passive', oxygenConsumption: 1.0, dumpRatio: 1.5 })).toThrow();
+      expect(() => buhlmannModel.setSemiClosed({ type: 'active', oxygenConsumption: 1.0, injectionRate: 1.0 })).toThrow();
+    });
+  });
+
+  describe('Bailout Plan', () => {
+    const trimixDiluent: GasMix = { oxygen: 0.10, helium: 0.50, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+    const trimix21: GasMix = { oxygen: 0.21, helium: 0.35, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+    const ean50: GasMix = { oxygen: 0.50, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+    const loop = { setpoint: 1.3, diluent: trimixDiluent };
+
+    beforeEach(() => {
+      buhlmannModel.setClosedCircuit(1.3, trimixDiluent);
+      buhlmannModel.updateDiveState({ depth: 60 });
+      buhlmannModel.updateTissueLoadings(25);
+    });
+
+    test('should switch to the bailout gases and report stops, TTS and gas volumes', () => {
+      const plan = buhlmannModel.calculateBailoutPlan(loop, [trimix21, ean50], { sacRate: 20 });
+
+      expect(plan.stops.length).toBeGreaterThan(0);
+      expect(plan.stops.some(stop => stop.gasMix === ean50)).toBe(true);
+      expect(plan.tts).toBeCloseTo(60 / 9 + plan.stops.reduce((total, stop) => total + stop.time, 0), 10);
+      expect(plan.loopTts).toBeGreaterThan(0);
+
+      // Trimix 21/35 is breathable at 60 m at 1.6 bar, so the hypoxic diluent is never breathed
+      expect(plan.gasVolumes.map(gas => gas.gasMix)).toEqual([trimix21, ean50]);
+      expect(plan.totalGasVolume).toBeCloseTo(plan.gasVolumes.reduce((total, gas) => total + gas.volume, 0), 10);
+    });
+
+    test('should restore the loop, gases and tissue state afterwards', () => {
+      const loadings = buhlmannModel.getTissueCompartments().map(compartment => compartment.totalLoading);
+      buhlmannModel.calculateBailoutPlan(loop, [ean50]);
+
+      expect(buhlmannModel.getBreathingMode()).toBe('closed-circuit');
+      expect(buhlmannModel.getDiveState().gasMix).toBe(trimixDiluent);
+      expect(buhlmannModel.getDecompressionGases()).toEqual([]);
+      expect(buhlmannModel.getTissueCompartments().map(compartment => compartment.totalLoading)).toEqual(loadings);
+    });
+
+    test('should size a direct ascent from the average ambient pressure', () => {
+      buhlmannModel.resetToSurface();
+      buhlmannModel.updateDiveState({ depth: 9 });
+      const plan = buhlmannModel.calculateBailoutPlan(loop, [], { sacRate: 20 });
+
+      expect(plan.stops).toEqual([]);
+      expect(plan.tts).toBeCloseTo(1, 10);
+      expect(plan.totalGasVolume).toBeCloseTo(20 * ((1.913 + 1.013) / 2) / 1.013, 10);
+    });
+
+    test('should size gas volumes in surface liters at 1 atm on an altitude dive', () => {
+      buhlmannModel.setSurfacePressure(0.8);
+      buhlmannModel.resetToSurface();
+      buhlmannModel.updateDiveState({ depth: 9 });
+      const plan = buhlmannModel.calculateBailoutPlan(loop, [], { sacRate: 20 });
+
+      expect(plan.stops).toEqual([]);
+      expect(plan.totalGasVolume).toBeCloseTo(20 * ((1.7 + 0.8) / 2) / 1.013, 10);
+    });
+
+    test('should reject a non-positive SAC rate', () => {
+      expect(() => buhlmannModel.calculateBailoutPlan(loop, [ean50], { sacRate: 0 })).toThrow();
+    });
+  });
+
+  describe('Isobaric Counterdiffusion', () => {
+    const gas = (oxygen: number, helium: number): GasMix =>
+      ({ oxygen, helium, get nitrogen() { return 1 - this.oxygen - this.helium; } });
+
+    test('should flag a switch from helium-rich trimix to nitrox', () => {
+      const trimix1845 = gas(0.18, 0.45);
+      const ean50 = gas(0.50, 0.0);
+      buhlmannModel.updateDiveState({ depth: 60, gasMix: trimix1845 });
+      buhlmannModel.updateTissueLoadings(25);
+      buhlmannModel.updateDiveState({ depth: 21 });
+
+      const check = buhlmannModel.checkGasSwitch(ean50);
+
+      expect(check.depth).toBe(21);
+      expect(check.nitrogenFractionIncrease).toBeCloseTo(0.13, 10);
+      expect(check.heliumFractionDecrease).toBeCloseTo(0.45, 10);
+      expect(check.nitrogenPressureIncrease).toBeCloseTo(0.13 * 3.113, 10);
+      expect(check.ruleOfFifthsOk).toBe(false);
+      expect(check.counterdiffusingCompartments.length).toBeGreaterThan(0);
+      expect(check.warning).toBe(true);
+    });
+
+    test('should accept switches that lower nitrogen or stay within the rule of fifths', () => {
+      buhlmannModel.updateDiveState({ depth: 21, gasMix: gas(0.21, 0.0) });
+      buhlmannModel.updateTissueLoadings(20);
+
+      const nitrox = buhlmannModel.checkGasSwitch(gas(0.50, 0.0));
+      expect(nitrox.nitrogenFractionIncrease).toBeLessThan(0);
+      expect(nitrox.counterdiffusingCompartments).toEqual([]);
+      expect(nitrox.warning).toBe(false);
+
+      const trimix = buhlmannModel.checkGasSwitch(gas(0.18, 0.45), 60, gas(0.10, 0.60));
+      expect(trimix.nitrogenFractionIncrease).toBeCloseTo(0.07, 10);
+      expect(trimix.ruleOfFifthsOk).toBe(false);
+      expect(buhlmannModel.checkGasSwitch(gas(0.19, 0.50), 60, gas(0.10, 0.60)).ruleOfFifthsOk).toBe(true);
+    });
+  });
+
+  describe('Desaturation and No-Fly Time', () => {
+    const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+
+    const diveAndSurface = () => {
+      buhlmannModel.updateDiveState({ depth: 30, gasMix: airMix });
+      buhlmannModel.updateTissueLoadings(25);
+      buhlmannModel.updateTissueLoadings(30 / 9, 30, 0);
+      buhlmannModel.updateDiveState({ depth: 0 });
+    };
+
+    test('should need no surface time before diving', () => {
+      expect(buhlmannModel.calculateDesaturationTime()).toBe(0);
+      expect(buhlmannModel.calculateNoFlyTime()).toBe(0);
+    });
+
+    test('should count surface time after a dive without changing the tissue state', () => {
+      diveAndSurface();
+      const loadingsBefore = buhlmannModel.getTissueCompartments().map(c => c.totalLoading);
+      const stateBefore = buhlmannModel.getDiveState();
+
+      const desaturationTime = buhlmannModel.calculateDesaturationTime();
+      const noFlyTime = buhlmannModel.calculateNoFlyTime();
+
+      expect(noFlyTime).toBeGreaterThan(0);
+      expect(desaturationTime).toBeGreaterThan(noFlyTime);
+      expect(buhlmannModel.getTissueCompartments().map(c => c.totalLoading)).toEqual(loadingsBefore);
+      expect(buhlmannModel.getDiveState()).toEqual(stateBefore);
+    });
+
+    test('should be clear to fly once the no-fly time has passed', () => {
+      diveAndSurface();
+      const noFlyTime = buhlmannModel.calculateNoFlyTime();
+
+      buhlmannModel.simulateSurfaceInterval(noFlyTime);
+      expect(buhlmannModel.calculateNoFlyTime()).toBe(0);
+    });
+
+    test('should wait longer for a lower cabin pressure and stop at the maximum time', () => {
+      diveAndSurface();
+
+      expect(buhlmannModel.calculateNoFlyTime({ cabinPressure: 0.6 }))
+        .toBeGreaterThan(buhlmannModel.calculateNoFlyTime({ cabinPressure: 0.9 }));
+      expect(buhlmannModel.calculateDesaturationTime({ maxTime: 60 })).toBe(60);
+      expect(buhlmannModel.calculateDesaturationTime({ tolerance: 0.2 }))
+        .toBeLessThan(buhlmannModel.calculateDesaturationTime());
+    });
+
+    test('should reject invalid options', () => {
+      expect(() => buhlmannModel.calculateNoFlyTime({ cabinPressure: 1.2 })).toThrow();
+      expect(() => buhlmannModel.calculateDesaturationTime({ tolerance: 0 })).toThrow();
+      expect(() => buhlmannModel.calculateDesaturationTime({ timeStep: 0 })).toThrow();
+    });
+
+    test('should apply the DAN fixed intervals', () => {
+      expect(calculateDanNoFlyTime(false, false)).toBe(12 * 60);
+      expect(calculateDanNoFlyTime(false, true)).toBe(18 * 60);
+      expect(calculateDanNoFlyTime(true, false)).toBe(24 * 60);
+    });
+  });
+});
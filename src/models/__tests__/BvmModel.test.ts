@@ -160,6 +160,30 @@ describe('BvmModel', () => {
       // After significant decompression, we should see some bubble formation
       expect(foundBubbles).toBe(true);
     });
+
+    test('should grow bubbles with time at the surface, not with the number of updates', () => {
+      const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+      const stepped = new BvmModel(3);
+
+      [bvmModel, stepped].forEach(model => {
+        model.updateDiveState({ depth: 40, time: 0, gasMix: airMix });
+        model.updateTissueLoadings(30);
+        model.updateDiveState({ depth: 0 });
+      });
+
+      // One minute in one update or in sixty one-second updates
+      bvmModel.updateTissueLoadings(1);
+      for (let i = 0; i < 60; i++) {
+        stepped.updateTissueLoadings(1 / 60);
+      }
+
+      // The slow compartment is not yet supersaturated at the surface
+      for (let i = 1; i <= 2; i++) {
+        const bubbleVolume = bvmModel.calculateBubbleVolume(i);
+        expect(bubbleVolume).toBeGreaterThan(0);
+        expect(stepped.calculateBubbleVolume(i)).toBeCloseTo(bubbleVolume, 1);
+      }
+    });
   });
 
   describe('Decompression Calculations', () => {
@@ -233,6 +257,71 @@ describe('BvmModel', () => {
         expect(stop.time).toBeGreaterThan(0);
       });
     });
+
+    test('should allow each compartment the pressure drop its bubble volume leaves', () => {
+      const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+
+      bvmModel.updateDiveState({ depth: 45, time: 0, gasMix: airMix });
+      bvmModel.updateTissueLoadings(35);
+
+      // Allowed drop: 0.6 bar scaled by the 5% maximum DCS risk, shrinking as bubbles grow towards the critical volume
+      const limitingPressure = Math.max(...[1, 2, 3].map(number => {
+        const compartment = bvmModel.getBvmCompartmentData(number);
+        const allowablePressureDrop = 0.6 * (0.5 + 0.5 * (1 - 5 / 100)) / (1 + compartment.bubbleVolume / 50);
+        return compartment.nitrogenLoading + compartment.heliumLoading - allowablePressureDrop;
+      }));
+
+      const ceiling = bvmModel.calculateCeiling();
+      bvmModel.updateDiveState({ depth: ceiling });
+      expect(bvmModel.getDiveState().ambientPressure).toBeCloseTo(limitingPressure, 5);
+
+      expect(bvmModel.calculateTissueTolerance(ceiling + 0.1, true)).not.toBeNull();
+      expect(bvmModel.calculateTissueTolerance(ceiling - 0.1, true)).toBeNull();
+
+      // Without bubble mechanics no supersaturation is allowed
+      expect(bvmModel.calculateTissueTolerance(ceiling + 0.1, false)).toBeNull();
+    });
+
+    test('should report a direct ascent exactly when the ceiling reaches the surface', () => {
+      const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+
+      bvmModel.updateDiveState({ depth: 40, time: 0, gasMix: airMix });
+      bvmModel.updateTissueLoadings(25);
+      expect(bvmModel.calculateCeiling()).toBeGreaterThan(0);
+      expect(bvmModel.canAscendDirectly()).toBe(false);
+
+      const stops = bvmModel.calculateDecompressionStops();
+      expect(stops.length).toBeGreaterThan(0);
+
+      // Follow the schedule: every stop and the surface are tolerated on arrival
+      const ascendTo = (startDepth: number, endDepth: number): void => {
+        bvmModel.updateTissueLoadings((startDepth - endDepth) / bvmModel.getAscentRate(), startDepth, endDepth);
+        bvmModel.updateDiveState({ depth: endDepth });
+        expect(bvmModel.calculateTissueTolerance(endDepth, true)).not.toBeNull();
+      };
+
+      let depth = 40;
+      stops.forEach(stop => {
+        ascendTo(depth, stop.depth);
+        bvmModel.updateTissueLoadings(stop.time);
+        depth = stop.depth;
+      });
+      ascendTo(depth, 0);
+
+      expect(bvmModel.calculateCeiling()).toBe(0);
+      expect(bvmModel.canAscendDirectly()).toBe(true);
+    });
+
+    test('should surface from 40 m for 20 minutes on air in a realistic time', () => {
+      const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+      bvmModel.updateDiveState({ depth: 40, time: 0, gasMix: airMix });
+      bvmModel.updateTissueLoadings(20);
+
+      // ZH-L16C at GF 30/85 surfaces from this dive in about 22 minutes
+      const tts = bvmModel.calculateTTS();
+      expect(tts).toBeGreaterThan(15);
+      expect(tts).toBeLessThan(60);
+    });
   });
 
   describe('BVM(3) Specific Features', () => {
@@ -515,4 +604,32 @@ describe('BvmModel', () => {
       expect(liberalRisk).toBeGreaterThanOrEqual(0);
     });
   });
+
+  describe('No-Decompression Limit', () => {
+    test('should preserve bubble state while simulating ahead', () => {
+      bvmModel.updateDiveState({ depth: 30 });
+      bvmModel.updateTissueLoadings(10);
+      const riskBefore = bvmModel.calculateDCSRisk();
+      const loadingsBefore = bvmModel.getTissueCompartments().map(c => c.totalLoading);
+
+      const ndl = bvmModel.calculateNoDecompressionLimit();
+
+      expect(ndl).toBeGreaterThanOrEqual(0);
+      expect(bvmModel.calculateDCSRisk()).toBe(riskBefore);
+      expect(bvmModel.getTissueCompartments().map(c => c.totalLoading)).toEqual(loadingsBefore);
+    });
+  });
+
+  describe('Desaturation and No-Fly Time', () => {
+    test('should count surface time from the BVM compartments and restore them', () => {
+      bvmModel.updateDiveState({ depth: 30 });
+      bvmModel.updateTissueLoadings(30);
+      bvmModel.updateDiveState({ depth: 0 });
+      const riskBefore = bvmModel.calculateDCSRisk();
+
+      expect(bvmModel.calculateNoFlyTime()).toBeGreaterThan(0);
+      expect(bvmModel.calculateDesaturationTime()).toBeGreaterThan(0);
+      expect(bvmModel.calculateDCSRisk()).toBe(riskBefore);
+    });
+  });
 });
\ No newline at end of file
@@ -129,6 +129,21 @@ describe('HillsModel', () => {
             expect(updatedLoadings[15]).toBeDefined();
         });
 
+        test('should load towards the inspired pressure at the thermal half-times', () => {
+            const gasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+            model.updateDiveState({ depth: 30, time: 0, gasMix });
+            model.updateTissueLoadings(30);
+
+            const compartments = model.getTissueCompartments();
+            const ambientPressure = model.getDiveState().ambientPressure;
+
+            // The 2.5 minute compartment saturates while the 498 minute compartment has barely started
+            expect(compartments[0]!.nitrogenLoading).toBeGreaterThan(0.79 * ambientPressure - 0.1);
+            expect(compartments[0]!.nitrogenLoading).toBeLessThanOrEqual(0.79 * ambientPressure);
+            expect(compartments[15]!.nitrogenLoading).toBeGreaterThan(0.79 * 1.013);
+            expect(compartments[15]!.nitrogenLoading).toBeLessThan(compartments[0]!.nitrogenLoading / 2);
+        });
+
         test('should handle helium loading', () => {
             const trimix = { oxygen: 0.18, helium: 0.45, get nitrogen() { return 1 - this.oxygen - this.helium; } };
             model.updateDiveState({ depth: 30, time: 0, gasMix: trimix });
@@ -194,6 +209,74 @@ describe('HillsModel', () => {
         });
     });
 
+    describe('Tissue Tolerance', () => {
+        test('should allow supersaturation up to the oxygen window', () => {
+            const compartment = model.getTissueCompartments()[0]!;
+            compartment.nitrogenLoading = 1.3; // Within the oxygen window of the surface pressure
+
+            expect(model.calculateTissueTolerance(0, true)).not.toBeNull();
+            expect(model.calculateTissueTolerance(0, false)).toBeNull();
+
+            compartment.nitrogenLoading = 4.0; // Loaded as if saturated at 30m
+            expect(model.calculateTissueTolerance(0, true)).toBeNull();
+            expect(model.calculateTissueTolerance(30, true)).not.toBeNull();
+        });
+
+        test('should narrow the oxygen window on the oxygen-rich gas breathed at the tested depth', () => {
+            model.updateDiveState({ depth: 6 });
+            const compartment = model.getTissueCompartments()[0]!;
+            compartment.nitrogenLoading = model.getDiveState().ambientPressure + 0.4;
+
+            expect(model.calculateTissueTolerance(6, true)).not.toBeNull();
+
+            // EAN80 is breathed from 9m, so its higher ppO2 leaves less of a window at 6m
+            model.setDecompressionGases([{ oxygen: 0.8, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } }]);
+            expect(model.calculateTissueTolerance(6, true)).toBeNull();
+        });
+
+        test('should agree on ceiling, stops and direct ascent while following the schedule', () => {
+            const gasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+            model.updateDiveState({ depth: 40, time: 0, gasMix });
+            model.updateTissueLoadings(25);
+
+            const ceiling = model.calculateCeiling();
+            const stops = model.calculateDecompressionStops();
+            expect(ceiling).toBeGreaterThan(0);
+            expect(model.canAscendDirectly()).toBe(false);
+            expect(stops[0]!.depth).toBeLessThanOrEqual(Math.ceil(ceiling / 3) * 3);
+            expect(model.calculateTissueTolerance(ceiling, true)).not.toBeNull();
+            expect(model.calculateTissueTolerance(ceiling - 0.2, true)).toBeNull();
+
+            // Every stop and the surface are tolerated on arrival
+            const ascendTo = (startDepth: number, endDepth: number): void => {
+                model.updateTissueLoadings((startDepth - endDepth) / model.getAscentRate(), startDepth, endDepth);
+                model.updateDiveState({ depth: endDepth });
+                expect(model.calculateTissueTolerance(endDepth, true)).not.toBeNull();
+            };
+
+            let depth = 40;
+            stops.forEach(stop => {
+                ascendTo(depth, stop.depth);
+                model.updateTissueLoadings(stop.time);
+                depth = stop.depth;
+            });
+            ascendTo(depth, 0);
+
+            expect(model.calculateCeiling()).toBe(0);
+            expect(model.canAscendDirectly()).toBe(true);
+        });
+
+        test('should surface from 40 m for 20 minutes on air in a realistic time', () => {
+            model.updateDiveState({ depth: 40, time: 0 });
+            model.updateTissueLoadings(20);
+
+            // ZH-L16C at GF 30/85 surfaces from this dive in about 22 minutes
+            const tts = model.calculateTTS();
+            expect(tts).toBeGreaterThan(15);
+            expect(tts).toBeLessThan(60);
+        });
+    });
+
     describe('Deep Dive Scenario', () => {
         test('should handle deep dive calculations', () => {
             const gasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
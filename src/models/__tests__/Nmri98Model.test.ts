@@ -142,6 +142,26 @@ describe('Nmri98Model', () => {
         expect(comp.oxygenLoading).toBeCloseTo(0.21 * 1.013); // Should stay at surface
       });
     });
+
+    test('should eliminate linearly at the same rate however the time is stepped', () => {
+      const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 0.79; } };
+      const stepped = new Nmri98Model();
+      [model, stepped].forEach(m => {
+        m.updateDiveState({ depth: 45, time: 0, gasMix: airMix });
+        m.updateTissueLoadings(35);
+        m.updateDiveState({ depth: 0 });
+      });
+
+      // Twenty minutes in one update or in twenty one-minute updates
+      model.updateTissueLoadings(20);
+      for (let i = 0; i < 20; i++) {
+        stepped.updateTissueLoadings(1);
+      }
+
+      model.getTissueCompartments().forEach((compartment, index) => {
+        expect(stepped.getTissueCompartments()[index]!.nitrogenLoading).toBeCloseTo(compartment.nitrogenLoading, 6);
+      });
+    });
   });
 
   describe('Decompression Ceiling Calculations', () => {
@@ -178,6 +198,63 @@ describe('Nmri98Model', () => {
       
       expect(conservativeCeiling).toBeGreaterThanOrEqual(aggressiveCeiling);
     });
+
+    test('should count oxygen above the compartment thresholds against the tolerance', () => {
+      const nitrox50: GasMix = { oxygen: 0.5, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+      const withoutOxygen = new Nmri98Model({ enableOxygenTracking: false });
+
+      [model, withoutOxygen].forEach(m => {
+        m.updateDiveState({ depth: 21, time: 0, gasMix: nitrox50 });
+        m.updateTissueLoadings(180);
+      });
+
+      // Same inert gas loading, but the intermediate compartment's oxygen loading exceeds its 1.0 bar threshold
+      expect(model.getNmri98CompartmentData(2).oxygenLoading).toBeGreaterThan(1.0);
+      const inertGasCeiling = withoutOxygen.calculateCeiling();
+      expect(model.calculateCeiling()).toBeGreaterThan(inertGasCeiling);
+      expect(withoutOxygen.calculateTissueTolerance(inertGasCeiling + 0.1, true)).not.toBeNull();
+      expect(model.calculateTissueTolerance(inertGasCeiling + 0.1, true)).toBeNull();
+    });
+
+    test('should surface clear after following the schedule, off-gassing oxygen at the stops', () => {
+      const nitrox50: GasMix = { oxygen: 0.5, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+      model.updateDiveState({ depth: 21, time: 0, gasMix: nitrox50 });
+      model.updateTissueLoadings(120);
+
+      const stops = model.calculateDecompressionStops();
+      expect(stops.length).toBeGreaterThan(0);
+
+      // Every stop and the surface are tolerated on arrival
+      const ascendTo = (startDepth: number, endDepth: number): void => {
+        model.updateTissueLoadings((startDepth - endDepth) / model.getAscentRate(), startDepth, endDepth);
+        model.updateDiveState({ depth: endDepth });
+        expect(model.calculateTissueTolerance(endDepth, true)).not.toBeNull();
+      };
+
+      let depth = 21;
+      stops.forEach(stop => {
+        ascendTo(depth, stop.depth);
+        model.updateTissueLoadings(stop.time);
+        depth = stop.depth;
+      });
+      ascendTo(depth, 0);
+
+      expect(model.canAscendDirectly()).toBe(true);
+    });
+
+    test('should clear every stop of a long air dive through linear off-gassing', () => {
+      const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 0.79; } };
+      model.updateDiveState({ depth: 45, time: 0, gasMix: airMix });
+      model.updateTissueLoadings(35);
+
+      // Stops that never clear would be marked and held for the whole 24 hour search window
+      const stops = model.calculateDecompressionStops();
+      expect(stops[stops.length - 1]!.depth).toBe(3);
+      stops.forEach(stop => {
+        expect(stop.cleared).toBeUndefined();
+        expect(stop.time).toBeLessThan(24 * 60);
+      });
+    });
   });
 
   describe('Direct Ascent Safety', () => {
@@ -222,6 +299,17 @@ describe('Nmri98Model', () => {
         }
       }
     });
+
+    test('should surface from 40 m for 20 minutes on air in a realistic time', () => {
+      const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+      model.updateDiveState({ depth: 40, time: 0, gasMix: airMix });
+      model.updateTissueLoadings(20);
+
+      // ZH-L16C at GF 30/85 surfaces from this dive in about 22 minutes
+      const tts = model.calculateTTS();
+      expect(tts).toBeGreaterThan(15);
+      expect(tts).toBeLessThan(60);
+    });
   });
 
   describe('DCS Risk Calculation', () => {
@@ -187,6 +187,64 @@ describe('TbdmModel', () => {
         }
       }
     });
+
+    test('should keep every compartment within the safe bubble growth rate at the ceiling', () => {
+      const ceiling = model.calculateCeiling();
+      expect(ceiling).toBeGreaterThan(0);
+      expect(model.calculateTissueTolerance(ceiling + 0.1, true)).not.toBeNull();
+      expect(model.calculateTissueTolerance(ceiling - 0.2, true)).toBeNull();
+
+      // Growth rate: supersaturation scaled by the formation coefficient and existing bubble volume
+      model.updateDiveState({ depth: ceiling });
+      const ambientPressure = model.getDiveState().ambientPressure;
+      for (let i = 1; i <= 16; i++) {
+        const compartment = model.getTbdmCompartmentData(i);
+        const supersaturation = Math.max(0, compartment.totalLoading - ambientPressure);
+        const growthRate = supersaturation * compartment.bubbleFormationCoefficient * (1 + compartment.bubbleVolumeFraction);
+        expect(growthRate).toBeLessThanOrEqual(1.0);
+      }
+    });
+
+    test('should surface clear after following the schedule', () => {
+      const stops = model.calculateDecompressionStops();
+      expect(stops.length).toBeGreaterThan(0);
+
+      // Every stop and the surface are tolerated on arrival
+      const ascendTo = (startDepth: number, endDepth: number): void => {
+        model.updateTissueLoadings((startDepth - endDepth) / model.getAscentRate(), startDepth, endDepth);
+        model.updateDiveState({ depth: endDepth });
+        expect(model.calculateTissueTolerance(endDepth, true)).not.toBeNull();
+      };
+
+      let depth = 30;
+      stops.forEach(stop => {
+        ascendTo(depth, stop.depth);
+        model.updateTissueLoadings(stop.time);
+        depth = stop.depth;
+      });
+      ascendTo(depth, 0);
+
+      expect(model.canAscendDirectly()).toBe(true);
+    });
+
+    test('should reject supersaturation beyond the nucleation threshold without bubble dynamics', () => {
+      const compartment = model.getTissueCompartments()[0]!;
+      compartment.nitrogenLoading = model.getTbdmCompartmentData(1).bubbleNucleationThreshold + 1.2;
+
+      expect(model.calculateTissueTolerance(0, false)).toBeNull();
+      expect(model.calculateTissueTolerance(10, false)).not.toBeNull();
+    });
+
+    test('should surface from 40 m for 20 minutes on air in a realistic time', () => {
+      const freshModel = new TbdmModel();
+      freshModel.updateDiveState({ depth: 40, time: 0, gasMix: airMix });
+      freshModel.updateTissueLoadings(20);
+
+      // ZH-L16C at GF 30/85 surfaces from this dive in about 22 minutes
+      const tts = freshModel.calculateTTS();
+      expect(tts).toBeGreaterThan(15);
+      expect(tts).toBeLessThan(60);
+    });
   });
 
   describe('DCS Risk Calculation', () => {
@@ -261,6 +319,17 @@ describe('TbdmModel', () => {
       const tbdmCompartment = model.getTbdmCompartmentData(1);
       expect(tbdmCompartment.bubbleVolumeFraction).toBe(0);
     });
+
+    test('should start equilibrated to the atmospheric pressure parameter', () => {
+      const altitudeModel = new TbdmModel({ atmosphericPressure: 0.8 });
+
+      expect(altitudeModel.getSurfacePressure()).toBe(0.8);
+      expect(altitudeModel.getDiveState().ambientPressure).toBe(0.8);
+      expect(altitudeModel.getTissueCompartments()[0]!.nitrogenLoading).toBeCloseTo(0.79 * 0.8, 5);
+
+      altitudeModel.setSurfacePressure(0.9);
+      expect(altitudeModel.getParameters().atmosphericPressure).toBe(0.9);
+    });
   });
 
   describe('Error Handling', () => {
@@ -54,7 +54,7 @@ describe('VVal18ThalmannModel', () => {
       
       expect(compartment1.number).toBe(1);
       expect(compartment1.crossoverPressure).toBe(0.4);
-      expect(compartment1.mValue).toBe(1.6);
+      expect(compartment1.mValue).toBe(1.2);
       expect(compartment1.linearSlope).toBe(0.5);
     });
 
@@ -204,6 +204,55 @@ describe('VVal18ThalmannModel', () => {
       expect(ceiling).toBeGreaterThanOrEqual(0);
     });
 
+    test('should allow exceedance over the M-value up to the maximum DCS risk', () => {
+      const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+      model.updateDiveState({ depth: 45, time: 0, gasMix: airMix });
+      model.updateTissueLoadings(35);
+
+      // Risk 20 * (exceedance / M)^2 reaches 3.5% at an exceedance of sqrt(3.5 / 20) M
+      const limitingPressure = Math.max(...model.getAllVVal18Compartments().map(compartment =>
+        compartment.totalLoading - compartment.mValue * (1 + Math.sqrt(3.5 / 20))));
+
+      const ceiling = model.calculateCeiling();
+      model.updateDiveState({ depth: ceiling });
+      expect(model.getDiveState().ambientPressure).toBeCloseTo(limitingPressure, 1);
+      expect(model.calculateTissueTolerance(ceiling + 0.1, true)).not.toBeNull();
+
+      // The raw M-value allows no exceedance
+      expect(model.calculateTissueTolerance(ceiling + 0.1, false)).toBeNull();
+
+      // Accepting more risk raises the ceiling
+      model.updateParameters({ maxDcsRisk: 10 });
+      expect(model.calculateCeiling()).toBeLessThan(ceiling);
+    });
+
+    test('should surface clear after following the schedule', () => {
+      const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+      model.updateDiveState({ depth: 60, time: 0, gasMix: airMix });
+      model.updateTissueLoadings(30);
+
+      const stops = model.calculateDecompressionStops();
+      expect(stops.length).toBeGreaterThan(0);
+      expect(stops[stops.length - 1]!.depth).toBe(3);
+
+      // Every stop and the surface are tolerated on arrival
+      const ascendTo = (startDepth: number, endDepth: number): void => {
+        model.updateTissueLoadings((startDepth - endDepth) / model.getAscentRate(), startDepth, endDepth);
+        model.updateDiveState({ depth: endDepth });
+        expect(model.calculateTissueTolerance(endDepth, true)).not.toBeNull();
+      };
+
+      let depth = 60;
+      stops.forEach(stop => {
+        ascendTo(depth, stop.depth);
+        model.updateTissueLoadings(stop.time);
+        depth = stop.depth;
+      });
+      ascendTo(depth, 0);
+
+      expect(model.canAscendDirectly()).toBe(true);
+    });
+
     test('should reset to surface conditions', () => {
       // First, load the tissues
       model.updateDiveState({ depth: 30, time: 0 });
@@ -227,6 +276,17 @@ describe('VVal18ThalmannModel', () => {
 
       expect(model.canAscendDirectly()).toBe(true);
     });
+
+    test('should surface from 40 m for 20 minutes on air in a realistic time', () => {
+      const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+      model.updateDiveState({ depth: 40, time: 0, gasMix: airMix });
+      model.updateTissueLoadings(20);
+
+      // ZH-L16C at GF 30/85 surfaces from this dive in about 22 minutes
+      const tts = model.calculateTTS();
+      expect(tts).toBeGreaterThan(15);
+      expect(tts).toBeLessThan(60);
+    });
   });
 
   describe('Parameter Variations', () => {
@@ -275,5 +335,59 @@ describe('VVal18ThalmannModel', () => {
       const compartments = model.getTissueCompartments();
       expect(compartments[0]?.totalLoading).toBeGreaterThan(1.013); // Above surface pressure
     });
+
+    test('should switch to exponential washout past the crossover point within one step', () => {
+      model.updateDiveState({ depth: 45 });
+      model.updateTissueLoadings(35);
+      model.updateDiveState({ depth: 0 });
+
+      // A single long step washes out linearly, then exponentially below the crossover point
+      model.updateTissueLoadings(720);
+      const compartment = model.getVVal18CompartmentData(2);
+      expect(compartment.nitrogenLoading).toBeLessThan(model.getDiveState().ambientPressure + compartment.crossoverPressure);
+    });
+
+    test('should wash out linearly at the exponential rate at the crossover loading, scaled by the slope', () => {
+      const stepped = new VVal18ThalmannModel();
+      [model, stepped].forEach(m => {
+        m.updateDiveState({ depth: 45 });
+        m.updateTissueLoadings(35);
+        m.updateDiveState({ depth: 0 });
+      });
+
+      const initial = model.getVVal18CompartmentData(2);
+      const crossoverLoading = model.getDiveState().ambientPressure + initial.crossoverPressure;
+      const inspiredNitrogen = 0.79 * model.getDiveState().ambientPressure;
+      const linearRate = initial.linearSlope * (crossoverLoading - inspiredNitrogen) * Math.LN2 / initial.nitrogenHalfTime;
+
+      // Thirty minutes in one update or in thirty one-minute updates
+      model.updateTissueLoadings(30);
+      for (let i = 0; i < 30; i++) {
+        stepped.updateTissueLoadings(1);
+      }
+
+      const expected = initial.nitrogenLoading - linearRate * 30;
+      expect(expected).toBeGreaterThan(crossoverLoading);
+      expect(model.getVVal18CompartmentData(2).nitrogenLoading).toBeCloseTo(expected, 6);
+      expect(stepped.getVVal18CompartmentData(2).nitrogenLoading).toBeCloseTo(expected, 6);
+    });
+  });
+
+  describe('Linear Depth Changes', () => {
+    test('should load between the start and end depth levels during a descent', () => {
+      const shallowModel = new VVal18ThalmannModel();
+      shallowModel.updateDiveState({ depth: 0 });
+      shallowModel.updateTissueLoadings(5);
+
+      const deepModel = new VVal18ThalmannModel();
+      deepModel.updateDiveState({ depth: 40 });
+      deepModel.updateTissueLoadings(5);
+
+      model.updateTissueLoadings(5, 0, 40);
+
+      const loading = model.getTissueCompartments()[0]!.nitrogenLoading;
+      expect(loading).toBeGreaterThan(shallowModel.getTissueCompartments()[0]!.nitrogenLoading);
+      expect(loading).toBeLessThan(deepModel.getTissueCompartments()[0]!.nitrogenLoading);
+    });
   });
 });
\ No newline at end of file
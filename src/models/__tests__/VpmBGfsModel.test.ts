@@ -0,0 +1,114 @@
+/**
+ * Unit tests for VPM-B/GFS Hybrid Decompression Model
+ */
+
+import { VpmBGfsModel } from '../VpmBGfsModel';
+import { VpmBModel } from '../VpmBModel';
+import { BuhlmannModel } from '../BuhlmannModel';
+import { DecompressionModel, GasMix } from '../DecompressionModel';
+
+describe('VpmBGfsModel', () => {
+  const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+
+  let hybridModel: VpmBGfsModel;
+
+  const diveTo = (model: DecompressionModel, depth: number, bottomTime: number): void => {
+    model.updateDiveState({ depth: 0, gasMix: airMix });
+    model.updateDiveState({ depth });
+    model.updateTissueLoadings(depth / 18, 0, depth);
+    model.updateTissueLoadings(bottomTime - depth / 18);
+  };
+
+  beforeEach(() => {
+    hybridModel = new VpmBGfsModel(2, 90);
+  });
+
+  describe('Initialization', () => {
+    test('should name the VPM-B conservatism and the surfacing gradient factor', () => {
+      expect(hybridModel.getModelName()).toBe('VPM-B+2/GFS 90');
+      expect(hybridModel.getSurfacingGradientFactor()).toBe(90);
+      expect(hybridModel.getTissueCompartments()).toHaveLength(16);
+    });
+
+    test('should reject invalid gradient factors', () => {
+      expect(() => new VpmBGfsModel(2, 120)).toThrow();
+    });
+  });
+
+  describe('Ceilings', () => {
+    test('should keep the Bühlmann side in lock-step with the VPM-B tissues', () => {
+      const buhlmann = new BuhlmannModel({ low: 90, high: 90 });
+      diveTo(hybridModel, 40, 25);
+      diveTo(buhlmann, 40, 25);
+
+      expect(hybridModel.calculateGfsCeiling()).toBeCloseTo(buhlmann.calculateCeiling(), 10);
+    });
+
+    test('should take the deeper of the VPM-B and Bühlmann GF ceilings', () => {
+      const vpmB = new VpmBModel(2);
+      diveTo(hybridModel, 40, 25);
+      diveTo(vpmB, 40, 25);
+
+      const ceiling = hybridModel.calculateCeiling();
+      expect(ceiling).toBeCloseTo(Math.max(vpmB.calculateCeiling(), hybridModel.calculateGfsCeiling()), 10);
+      expect(hybridModel.canAscendDirectly()).toBe(false);
+    });
+
+    test('should allow direct ascent from the surface', () => {
+      expect(hybridModel.calculateCeiling()).toBe(0);
+      expect(hybridModel.calculateDecompressionStops()).toEqual([]);
+    });
+  });
+
+  describe('Decompression Schedule', () => {
+    test('should never be shorter than the plain VPM-B schedule at any stop', () => {
+      const vpmB = new VpmBModel(2);
+      diveTo(hybridModel, 45, 35);
+      diveTo(vpmB, 45, 35);
+
+      const hybridStops = hybridModel.calculateDecompressionStops();
+      const vpmBStops = vpmB.calculateDecompressionStops();
+
+      expect(hybridStops[0]!.depth).toBeGreaterThanOrEqual(vpmBStops[0]!.depth);
+      vpmBStops.forEach(stop => {
+        const hybridStop = hybridStops.find(candidate => candidate.depth === stop.depth);
+        expect(hybridStop?.time).toBeGreaterThanOrEqual(stop.time);
+      });
+    });
+
+    test('should leave the tissue state unchanged after planning', () => {
+      diveTo(hybridModel, 45, 35);
+      const loadings = hybridModel.getTissueCompartments().map(compartment => compartment.nitrogenLoading);
+      const gfsCeiling = hybridModel.calculateGfsCeiling();
+
+      hybridModel.calculateDecompressionStops();
+      expect(hybridModel.getTissueCompartments().map(compartment => compartment.nitrogenLoading)).toEqual(loadings);
+      expect(hybridModel.calculateGfsCeiling()).toBe(gfsCeiling);
+    });
+
+    test('should clear both ceilings by the end of each stop', () => {
+      diveTo(hybridModel, 45, 35);
+      const stops = hybridModel.calculateDecompressionStops();
+
+      let depth = 45;
+      stops.forEach((stop, index) => {
+        hybridModel.updateTissueLoadings((depth - stop.depth) / hybridModel.getAscentRate(), depth, stop.depth);
+        hybridModel.updateDiveState({ depth: stop.depth });
+        hybridModel.updateTissueLoadings(stop.time);
+
+        const nextDepth = stops[index + 1]?.depth ?? 0;
+        hybridModel.updateTissueLoadings((stop.depth - nextDepth) / hybridModel.getAscentRate(), stop.depth, nextDepth);
+        hybridModel.updateDiveState({ depth: nextDepth });
+        expect(hybridModel.calculateTissueTolerance(nextDepth, true)).not.toBeNull();
+        depth = nextDepth;
+      });
+    });
+
+    test('should reset the Bühlmann side with the VPM-B tissues', () => {
+      diveTo(hybridModel, 40, 25);
+      hybridModel.resetToSurface();
+
+      expect(hybridModel.calculateGfsCeiling()).toBe(0);
+    });
+  });
+});
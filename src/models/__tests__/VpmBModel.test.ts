@@ -385,5 +385,109 @@ describe('VpmBModel', () => {
       expect(tts9).toBeCloseTo(2, 0); // 18m / 9m/min = 2 minutes
       expect(tts18).toBeCloseTo(1, 0); // 18m / 18m/min = 1 minute
     });
+
+    test('should surface from 40 m for 20 minutes on air in a realistic time', () => {
+      const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+      vpmModel.updateDiveState({ depth: 40, time: 0, gasMix: airMix });
+      vpmModel.updateTissueLoadings(20);
+
+      // ZH-L16C at GF 30/85 surfaces from this dive in about 22 minutes
+      const tts = vpmModel.calculateTTS();
+      expect(tts).toBeGreaterThan(15);
+      expect(tts).toBeLessThan(60);
+    });
+  });
+
+  describe('Critical Volume Schedule', () => {
+    const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+
+    const diveTo = (model: VpmBModel, depth: number, bottomTime: number): void => {
+      model.updateDiveState({ depth: 0, gasMix: airMix });
+      model.updateDiveState({ depth });
+      model.updateTissueLoadings(depth / 18, 0, depth);
+      model.updateTissueLoadings(bottomTime - depth / 18);
+    };
+
+    test('should track crushing pressure below the onset of impermeability', () => {
+      diveTo(vpmModel, 40, 20);
+
+      const fast = vpmModel.getVpmBCompartmentData(1).maxCrushingGradient;
+      const slow = vpmModel.getVpmBCompartmentData(16).maxCrushingGradient;
+      expect(fast).toBeGreaterThan(2);
+      expect(slow).toBeGreaterThan(fast);
+      expect(slow).toBeLessThan(8.30865);
+    });
+
+    test('should lengthen stops as the diver ascends on a long deep dive', () => {
+      diveTo(vpmModel, 45, 35);
+      const stops = vpmModel.calculateDecompressionStops();
+
+      expect(stops.length).toBeGreaterThan(3);
+      stops.slice(1).forEach((stop, i) => expect(stop.depth).toBeLessThan(stops[i]!.depth));
+      expect(stops[stops.length - 1]!.time).toBeGreaterThan(stops[0]!.time);
+      expect(stops.some(stop => stop.time > 5)).toBe(true);
+    });
+
+    test('should add deco time with conservatism', () => {
+      const liberal = new VpmBModel(0);
+      diveTo(liberal, 45, 35);
+      diveTo(vpmModel, 45, 35);
+
+      const totalTime = (model: VpmBModel) =>
+        model.calculateDecompressionStops().reduce((total, stop) => total + stop.time, 0);
+      expect(totalTime(vpmModel)).toBeGreaterThan(totalTime(liberal));
+    });
+
+    test('should leave the ceiling unchanged after generating a schedule', () => {
+      diveTo(vpmModel, 45, 35);
+      const ceiling = vpmModel.calculateCeiling();
+
+      vpmModel.calculateDecompressionStops();
+      expect(vpmModel.calculateCeiling()).toBeCloseTo(ceiling, 10);
+      expect(vpmModel.calculateTTS()).toBeCloseTo(vpmModel.calculateTTS(), 10);
+    });
+  });
+
+  describe('Repetitive Dives', () => {
+    const airMix: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+
+    test('should carry crushing pressure over a surface interval', () => {
+      vpmModel.updateDiveState({ depth: 40, gasMix: airMix });
+      vpmModel.updateTissueLoadings(20);
+      vpmModel.updateDiveState({ depth: 0 });
+
+      const crushingAfterDive = vpmModel.getVpmBCompartmentData(1).maxCrushingPressure;
+      vpmModel.simulateSurfaceInterval(60);
+      const crushingAfterInterval = vpmModel.getVpmBCompartmentData(1).maxCrushingPressure;
+
+      expect(crushingAfterDive).toBeCloseTo(5.013, 3);
+      expect(crushingAfterInterval).toBeLessThan(crushingAfterDive);
+      expect(crushingAfterInterval).toBeGreaterThan(crushingAfterDive - 0.05);
+      expect(vpmModel.getVpmBCompartmentData(1).maxBottomCeilingPressure).toBe(0);
+    });
+
+    test('should off-gas but keep residual nitrogen after a surface interval', () => {
+      vpmModel.updateDiveState({ depth: 30, gasMix: airMix });
+      vpmModel.updateTissueLoadings(25);
+      vpmModel.updateDiveState({ depth: 0 });
+
+      const slowLoadingAtSurfacing = vpmModel.getTissueCompartments()[15]!.nitrogenLoading;
+      vpmModel.simulateSurfaceInterval(90);
+      const slowLoadingAfterInterval = vpmModel.getTissueCompartments()[15]!.nitrogenLoading;
+
+      expect(slowLoadingAfterInterval).toBeLessThan(slowLoadingAtSurfacing);
+      expect(slowLoadingAfterInterval).toBeGreaterThan(0.79 * 1.013);
+      expect(vpmModel.getDiveState().time).toBeCloseTo(90, 5);
+    });
+
+    test('should clear carried-over bubble state on reset', () => {
+      vpmModel.updateDiveState({ depth: 40, gasMix: airMix });
+      vpmModel.updateTissueLoadings(20);
+      vpmModel.resetToSurface();
+
+      const compartment = vpmModel.getVpmBCompartmentData(1);
+      expect(compartment.maxCrushingPressure).toBe(0);
+      expect(compartment.adjustedCriticalRadius).toBe(compartment.initialCriticalRadius);
+    });
   });
 });
\ No newline at end of file
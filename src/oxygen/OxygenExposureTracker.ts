@@ -0,0 +1,168 @@
+/**
+ * Oxygen Exposure Tracker
+ *
+ * Tracks central nervous system (CNS) oxygen toxicity as a percentage of the NOAA
+ * single-exposure limits, and pulmonary toxicity as oxygen toxicity units (OTUs).
+ * CNS% recovers with a half-time while breathing low ppO2, as at the surface.
+ */
+
+export interface OxygenExposure {
+  /** CNS oxygen toxicity as a percentage of the NOAA limits */
+  cns: number;
+  /** Accumulated oxygen toxicity units */
+  otu: number;
+}
+
+/** NOAA single-exposure CNS limits: ppO2 in bar and allowed time in minutes */
+const NOAA_CNS_LIMITS: ReadonlyArray<{ ppO2: number; time: number }> = [
+  { ppO2: 0.6, time: 720 },
+  { ppO2: 0.7, time: 570 },
+  { ppO2: 0.8, time: 450 },
+  { ppO2: 0.9, time: 360 },
+  { ppO2: 1.0, time: 300 },
+  { ppO2: 1.1, time: 240 },
+  { ppO2: 1.2, time: 210 },
+  { ppO2: 1.3, time: 180 },
+  { ppO2: 1.4, time: 150 },
+  { ppO2: 1.5, time: 120 },
+  { ppO2: 1.6, time: 45 }
+];
+
+/** ppO2 in bar at or below which no CNS or pulmonary toxicity accumulates */
+const OXYGEN_TOXICITY_THRESHOLD = 0.5;
+
+/** Largest ppO2 change in bar evaluated as one slice of a descent or ascent */
+const MAX_PPO2_SLICE = 0.05;
+
+/**
+ * Get the NOAA CNS exposure limit for a ppO2, interpolating between table entries
+ * Above 1.6 bar the limit keeps falling at the 1.5-1.6 bar slope, down to 1 minute
+ * @param ppO2 Oxygen partial pressure in bar
+ * @returns Allowed exposure time in minutes (Infinity at or below 0.5 bar)
+ */
+export function getNoaaCnsLimit(ppO2: number): number {
+  if (ppO2 <= OXYGEN_TOXICITY_THRESHOLD) {
+    return Infinity;
+  }
+
+  const first = NOAA_CNS_LIMITS[0]!;
+  if (ppO2 <= first.ppO2) {
+    return first.time;
+  }
+
+  for (let i = 1; i < NOAA_CNS_LIMITS.length; i++) {
+    const lower = NOAA_CNS_LIMITS[i - 1]!;
+    const upper = NOAA_CNS_LIMITS[i]!;
+
+    if (ppO2 <= upper.ppO2) {
+      const fraction = (ppO2 - lower.ppO2) / (upper.ppO2 - lower.ppO2);
+      return lower.time + fraction * (upper.time - lower.time);
+    }
+  }
+
+  const secondLast = NOAA_CNS_LIMITS[NOAA_CNS_LIMITS.length - 2]!;
+  const last = NOAA_CNS_LIMITS[NOAA_CNS_LIMITS.length - 1]!;
+  const slope = (last.time - secondLast.time) / (last.ppO2 - secondLast.ppO2);
+  return Math.max(1, last.time + slope * (ppO2 - last.ppO2));
+}
+
+/**
+ * Accumulates CNS% and OTUs from ppO2 exposures
+ */
+export class OxygenExposureTracker {
+  private cns: number = 0;
+  private otu: number = 0;
+  private cnsHalfTime: number;
+
+  /**
+   * @param cnsHalfTime Half-time in minutes of CNS% recovery at low ppO2 (default: 90 minutes)
+   */
+  constructor(cnsHalfTime: number = 90) {
+    if (cnsHalfTime <= 0) {
+      throw new Error('CNS half-time must be greater than 0');
+    }
+    this.cnsHalfTime = cnsHalfTime;
+  }
+
+  /**
+   * Add an exposure segment, with ambient pressure changing linearly for descents and ascents
+   * @param timeStep Segment duration in minutes
+   * @param oxygenFraction Oxygen fraction of the breathing gas (0.0 to 1.0)
+   * @param startPressure Ambient pressure at the start of the segment in bar
+   * @param endPressure Ambient pressure at the end of the segment in bar (defaults to the start pressure)
+   */
+  public addExposure(
+    timeStep: number,
+    oxygenFraction: number,
+    startPressure: number,
+    endPressure: number = startPressure
+  ): void {
+    this.addPpO2Exposure(timeStep, oxygenFraction * startPressure, oxygenFraction * endPressure);
+  }
+
+  /**
+   * Add an exposure segment given the inspired ppO2 directly, as on a rebreather loop
+   * @param timeStep Segment duration in minutes
+   * @param startPpO2 Inspired ppO2 at the start of the segment in bar
+   * @param endPpO2 Inspired ppO2 at the end of the segment in bar (defaults to the start ppO2)
+   */
+  public addPpO2Exposure(timeStep: number, startPpO2: number, endPpO2: number = startPpO2): void {
+    if (timeStep <= 0) {
+      return;
+    }
+
+    const slices = Math.max(1, Math.ceil(Math.abs(endPpO2 - startPpO2) / MAX_PPO2_SLICE));
+    const sliceTime = timeStep / slices;
+
+    for (let i = 0; i < slices; i++) {
+      // Evaluate each slice at its midpoint ppO2
+      const ppO2 = startPpO2 + (endPpO2 - startPpO2) * ((i + 0.5) / slices);
+      this.addConstantExposure(sliceTime, ppO2);
+    }
+  }
+
+  /**
+   * Get CNS oxygen toxicity as a percentage of the NOAA limits
+   */
+  public getCnsPercent(): number {
+    return this.cns;
+  }
+
+  /**
+   * Get accumulated oxygen toxicity units
+   */
+  public getOtu(): number {
+    return this.otu;
+  }
+
+  /**
+   * Get the current CNS% and OTUs
+   */
+  public getExposure(): OxygenExposure {
+    return { cns: this.cns, otu: this.otu };
+  }
+
+  /**
+   * Clear all accumulated exposure
+   */
+  public reset(): void {
+    this.cns = 0;
+    this.otu = 0;
+  }
+
+  /**
+   * Add exposure at a constant ppO2
+   * @param time Exposure time in minutes
+   * @param ppO2 Oxygen partial pressure in bar
+   */
+  private addConstantExposure(time: number, ppO2: number): void {
+    if (ppO2 <= OXYGEN_TOXICITY_THRESHOLD) {
+      // CNS% recovers exponentially while breathing low ppO2
+      this.cns *= Math.pow(0.5, time / this.cnsHalfTime);
+      return;
+    }
+
+    this.cns += (time / getNoaaCnsLimit(ppO2)) * 100;
+    this.otu += time * Math.pow((ppO2 - OXYGEN_TOXICITY_THRESHOLD) / OXYGEN_TOXICITY_THRESHOLD, 0.83);
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for the Oxygen Exposure Tracker
+ */
+
+import { OxygenExposureTracker, getNoaaCnsLimit } from '../OxygenExposureTracker';
+
+describe('OxygenExposureTracker', () => {
+  let tracker: OxygenExposureTracker;
+
+  beforeEach(() => {
+    tracker = new OxygenExposureTracker();
+  });
+
+  describe('NOAA CNS Limits', () => {
+    test('should return table limits and interpolate between them', () => {
+      expect(getNoaaCnsLimit(1.4)).toBe(150);
+      expect(getNoaaCnsLimit(1.6)).toBe(45);
+      expect(getNoaaCnsLimit(1.45)).toBeCloseTo(135, 5);
+    });
+
+    test('should have no limit at low ppO2 and keep falling above 1.6 bar', () => {
+      expect(getNoaaCnsLimit(0.21)).toBe(Infinity);
+      expect(getNoaaCnsLimit(0.5)).toBe(Infinity);
+      expect(getNoaaCnsLimit(1.65)).toBeLessThan(45);
+      expect(getNoaaCnsLimit(3.0)).toBe(1);
+    });
+  });
+
+  describe('Exposure Accumulation', () => {
+    test('should accumulate CNS% and OTUs at constant ppO2', () => {
+      // EAN32 at 33.75 m is 1.4 bar ppO2
+      tracker.addExposure(60, 0.32, 4.375);
+
+      expect(tracker.getCnsPercent()).toBeCloseTo(40, 5);
+      expect(tracker.getOtu()).toBeCloseTo(60 * Math.pow(0.9 / 0.5, 0.83), 5);
+    });
+
+    test('should not accumulate on air at the surface', () => {
+      tracker.addExposure(120, 0.21, 1.013);
+
+      expect(tracker.getExposure()).toEqual({ cns: 0, otu: 0 });
+    });
+
+    test('should integrate linearly changing ppO2 during descents', () => {
+      const descent = new OxygenExposureTracker();
+      descent.addExposure(4, 1.0, 1.0, 1.6);
+
+      const bottom = new OxygenExposureTracker();
+      bottom.addExposure(4, 1.0, 1.6);
+
+      expect(descent.getCnsPercent()).toBeGreaterThan(0);
+      expect(descent.getCnsPercent()).toBeLessThan(bottom.getCnsPercent());
+      expect(descent.getOtu()).toBeLessThan(bottom.getOtu());
+    });
+  });
+
+  describe('Surface Recovery', () => {
+    test('should halve CNS% every half-time at the surface while OTUs remain', () => {
+      tracker.addExposure(30, 1.0, 1.6);
+      const cnsAfterDive = tracker.getCnsPercent();
+      const otuAfterDive = tracker.getOtu();
+
+      tracker.addExposure(90, 0.21, 1.013);
+
+      expect(tracker.getCnsPercent()).toBeCloseTo(cnsAfterDive / 2, 5);
+      expect(tracker.getOtu()).toBe(otuAfterDive);
+    });
+
+    test('should clear all exposure on reset', () => {
+      tracker.addExposure(30, 1.0, 1.6);
+      tracker.reset();
+
+      expect(tracker.getExposure()).toEqual({ cns: 0, otu: 0 });
+    });
+
+    test('should reject a non-positive half-time', () => {
+      expect(() => new OxygenExposureTracker(0)).toThrow();
+    });
+  });
+});
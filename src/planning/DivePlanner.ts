@@ -0,0 +1,391 @@
+/**
+ * Dive Planner
+ *
+ * Runs a planned dive profile through any decompression model and produces a
+ * segment-by-segment runtime table, including the decompression ascent the
+ * model requires at the end of the last waypoint.
+ */
+
+import { DecompressionModel, DecompressionStop, DeepStopSettings, GasMix, IsobaricCounterdiffusionCheck, StopSettings } from '../models/DecompressionModel';
+import { OxygenExposureTracker } from '../oxygen/OxygenExposureTracker';
+import { calculateGasDensityFromPartialPressures } from '../gas/GasUtilities';
+import {
+  ConsumptionRates,
+  Cylinder,
+  GasConsumptionCalculator,
+  GasPhase,
+  GasUsage,
+  MinimumGasOptions,
+  ReserveCheck,
+  ReservePolicy,
+  combineGasUsage
+} from '../gas/GasConsumption';
+
+export interface DiveWaypoint {
+  /** Target depth in meters */
+  depth: number;
+  /** Time in minutes to stay at the target depth once it is reached */
+  time: number;
+  /** Gas breathed from this waypoint on (defaults to the previous waypoint's gas) */
+  gasMix?: GasMix;
+  /** Travel rate in meters per minute used to reach the target depth (defaults to the plan's descent or ascent rate) */
+  rate?: number;
+}
+
+export interface DivePlanOptions {
+  /** Descent rate in meters per minute (default: 18 m/min) */
+  descentRate?: number;
+  /** Ascent rate in meters per minute (default: 9 m/min) */
+  ascentRate?: number;
+  /** Gas breathed at the start of the dive if the first waypoint doesn't set one (default: air) */
+  gasMix?: GasMix;
+  /** Decompression gases registered on the model before planning */
+  decompressionGases?: GasMix[];
+  /** Maximum ppO2 in bar used to derive deco gas switch depths */
+  maxDecoPpO2?: number;
+  /** Stop grid and stop time settings applied to the model before planning */
+  stopSettings?: Partial<StopSettings>;
+  /** Deep stops inserted before the model's own stops (default: none) */
+  deepStops?: DeepStopSettings;
+  /** Open-circuit SAC rates in L/min for bottom and deco segments (default: 20 and 15 L/min) */
+  consumption?: Partial<ConsumptionRates>;
+  /** Cylinders carried, checked against the plan's gas use */
+  cylinders?: Cylinder[];
+  /** Reserve policy for the cylinder check (default: rule of thirds) */
+  reservePolicy?: ReservePolicy;
+  /** Minimum gas (rock bottom) options */
+  minimumGas?: MinimumGasOptions;
+}
+
+export type DivePlanSegmentType = 'descent' | 'ascent' | 'level' | 'stop';
+
+export interface DivePlanRow {
+  /** Kind of segment */
+  type: DivePlanSegmentType;
+  /** Depth in meters at the end of the segment */
+  depth: number;
+  /** Duration of the segment in minutes */
+  segmentTime: number;
+  /** Run time in minutes at the end of the segment */
+  runTime: number;
+  /** Gas breathed during the segment */
+  gasMix: GasMix;
+  /** Model ceiling in meters at the end of the segment */
+  ceiling: number;
+  /** Model-specific DCS risk percentage at the end of the segment */
+  risk: number;
+  /** CNS oxygen toxicity percentage at the end of the segment */
+  cns: number;
+  /** Accumulated oxygen toxicity units at the end of the segment */
+  otu: number;
+  /** Open-circuit gas used during the segment in surface liters */
+  gasUsed: number;
+  /** Highest breathing gas density during the segment in g/L */
+  gasDensity: number;
+}
+
+export interface DivePlan {
+  /** Name of the model the plan was computed with */
+  modelName: string;
+  /** Runtime table rows in dive order */
+  rows: DivePlanRow[];
+  /** Total run time in minutes */
+  totalRunTime: number;
+  /** Maximum depth reached in meters */
+  maxDepth: number;
+  /** CNS oxygen toxicity percentage at the end of the dive */
+  cns: number;
+  /** Oxygen toxicity units accumulated over the dive */
+  otu: number;
+  /** Open-circuit gas used per mix in surface liters */
+  gasUsage: GasUsage[];
+  /** Minimum gas (rock bottom) for an ascent from the deepest point, in the gas breathed there */
+  minimumGas: GasUsage;
+  /** Cylinder checks under the reserve policy, one per gas used (empty if no cylinders were given) */
+  reserveChecks: ReserveCheck[];
+  /** False if any gas used violates the reserve policy */
+  gasReserveOk: boolean;
+  /** Highest breathing gas density over the dive in g/L */
+  peakGasDensity: number;
+  /** Gas switches that fail the isobaric counterdiffusion checks, in dive order */
+  icdWarnings: IsobaricCounterdiffusionCheck[];
+  /** Stop the model cannot clear, where the plan ends without surfacing (null if every stop clears) */
+  unclearedStop: DecompressionStop | null;
+}
+
+/**
+ * Plans dives by driving a decompression model through a list of waypoints
+ */
+export class DivePlanner {
+  private model: DecompressionModel;
+  private descentRate: number;
+  private ascentRate: number;
+  private initialGasMix: GasMix;
+  private runTime: number = 0;
+  private rows: DivePlanRow[] = [];
+  private oxygenExposure: OxygenExposureTracker = new OxygenExposureTracker();
+  private gasConsumption: GasConsumptionCalculator;
+  private cylinders: Cylinder[];
+  private reservePolicy: ReservePolicy;
+  private minimumGasOptions: MinimumGasOptions;
+  private gasPhase: GasPhase = 'bottom';
+  private icdWarnings: IsobaricCounterdiffusionCheck[] = [];
+  private unclearedStop: DecompressionStop | null = null;
+
+  /**
+   * @param model Model to plan with; it is reset to the surface and driven through the plan
+   * @param options Planning options
+   */
+  constructor(model: DecompressionModel, options: DivePlanOptions = {}) {
+    this.model = model;
+    this.descentRate = options.descentRate ?? 18;
+    this.ascentRate = options.ascentRate ?? 9;
+    this.initialGasMix = options.gasMix ?? {
+      oxygen: 0.21,
+      helium: 0.0,
+      get nitrogen() { return 1 - this.oxygen - this.helium; }
+    };
+
+    if (this.descentRate <= 0 || this.ascentRate <= 0) {
+      throw new Error('Descent and ascent rates must be greater than 0');
+    }
+
+    this.gasConsumption = new GasConsumptionCalculator(options.consumption);
+    this.cylinders = options.cylinders ?? [];
+    this.reservePolicy = options.reservePolicy ?? 'rule-of-thirds';
+    this.minimumGasOptions = options.minimumGas ?? {};
+
+    // Schedules computed by the model must assume the same ascent rate the plan travels at
+    this.model.setAscentRate(this.ascentRate);
+
+    if (options.decompressionGases) {
+      this.model.setDecompressionGases(options.decompressionGases, options.maxDecoPpO2);
+    }
+
+    if (options.stopSettings) {
+      this.model.setStopSettings(options.stopSettings);
+    }
+
+    if (options.deepStops) {
+      this.model.setDeepStops(options.deepStops);
+    }
+  }
+
+  /**
+   * Run the waypoints through the model and return the full runtime table,
+   * ending with the model's decompression ascent to the surface
+   * @param waypoints Dive profile waypoints in order
+   * @returns Dive plan with one row per segment
+   */
+  public plan(waypoints: DiveWaypoint[]): DivePlan {
+    if (waypoints.length === 0) {
+      throw new Error('A dive plan needs at least one waypoint');
+    }
+    for (const waypoint of waypoints) {
+      if (waypoint.depth < 0 || waypoint.time < 0) {
+        throw new Error('Waypoint depth and time must not be negative');
+      }
+      if (waypoint.rate !== undefined && waypoint.rate <= 0) {
+        throw new Error('Waypoint rate must be greater than 0');
+      }
+    }
+
+    this.model.resetToSurface();
+    this.model.updateDiveState({ gasMix: this.initialGasMix });
+    this.runTime = 0;
+    this.rows = [];
+    this.oxygenExposure.reset();
+    this.gasPhase = 'bottom';
+    this.icdWarnings = [];
+    this.unclearedStop = null;
+
+    let maxDepth = 0;
+    let deepestState = this.model.getDiveState();
+
+    for (const waypoint of waypoints) {
+      if (waypoint.gasMix) {
+        this.switchGas(waypoint.gasMix);
+      }
+
+      this.travelTo(waypoint.depth, waypoint.rate);
+      if (waypoint.depth > maxDepth) {
+        maxDepth = waypoint.depth;
+        deepestState = this.model.getDiveState();
+      }
+
+      if (waypoint.time > 0) {
+        this.stayAtDepth(waypoint.time, 'level');
+      }
+    }
+
+    this.gasPhase = 'deco';
+    this.planDecompressionAscent();
+
+    const gasUsage = combineGasUsage(this.rows.map(row => ({ gasMix: row.gasMix, volume: row.gasUsed })));
+    const minimumGas = {
+      gasMix: deepestState.gasMix,
+      volume: this.gasConsumption.calculateMinimumGas(
+        deepestState.ambientPressure,
+        this.model.getSurfacePressure(),
+        maxDepth / this.ascentRate,
+        this.minimumGasOptions
+      )
+    };
+    const reserveChecks = this.cylinders.length > 0
+      ? this.gasConsumption.checkReserves(this.cylinders, gasUsage, this.reservePolicy, minimumGas)
+      : [];
+
+    return {
+      modelName: this.model.getModelName(),
+      rows: this.rows,
+      totalRunTime: this.runTime,
+      maxDepth,
+      cns: this.oxygenExposure.getCnsPercent(),
+      otu: this.oxygenExposure.getOtu(),
+      gasUsage,
+      minimumGas,
+      reserveChecks,
+      gasReserveOk: reserveChecks.every(check => check.ok),
+      peakGasDensity: Math.max(0, ...this.rows.map(row => row.gasDensity)),
+      icdWarnings: this.icdWarnings,
+      unclearedStop: this.unclearedStop
+    };
+  }
+
+  /**
+   * Ascend from the current depth following the model's decompression stops
+   * A stop the model cannot clear is recorded and ends the plan on arrival there
+   */
+  private planDecompressionAscent(): void {
+    const stops = this.model.calculateDecompressionStops();
+
+    for (const stop of stops) {
+      if (stop.depth >= this.model.getDiveState().depth) {
+        continue;
+      }
+
+      this.ascendTo(stop.depth);
+      this.switchGas(stop.gasMix);
+      if (stop.cleared === false) {
+        this.unclearedStop = stop;
+        return;
+      }
+      this.stayAtDepth(stop.time, 'stop');
+    }
+
+    this.ascendTo(0);
+  }
+
+  /**
+   * Ascend at the ascent rate, switching to each deco gas at its switch depth on the way up
+   * so tissue loading, oxygen exposure and gas use follow the gas actually breathed
+   * @param targetDepth Depth to ascend to in meters
+   */
+  private ascendTo(targetDepth: number): void {
+    for (const leg of this.model.splitAscentAtGasSwitches(this.model.getDiveState().depth, targetDepth)) {
+      this.switchGas(leg.gasMix);
+      this.travelTo(leg.endDepth, this.ascentRate);
+    }
+  }
+
+  /**
+   * Switch to another gas at the current depth, recording any isobaric counterdiffusion warning
+   * Gas choices made at the surface before the dive starts are not checked
+   * @param gasMix Gas to breathe from now on
+   */
+  private switchGas(gasMix: GasMix): void {
+    if (gasMix !== this.model.getDiveState().gasMix && this.runTime > 0) {
+      const check = this.model.checkGasSwitch(gasMix);
+      if (check.warning) {
+        this.icdWarnings.push(check);
+      }
+    }
+
+    this.model.updateDiveState({ gasMix });
+  }
+
+  /**
+   * Travel to a target depth at a constant rate, loading tissues with the Schreiner equation
+   * @param targetDepth Target depth in meters
+   * @param rate Travel rate in meters per minute (defaults to the descent or ascent rate)
+   */
+  private travelTo(targetDepth: number, rate?: number): void {
+    const startDepth = this.model.getDiveState().depth;
+    const distance = Math.abs(targetDepth - startDepth);
+
+    if (distance === 0) {
+      return;
+    }
+
+    const isDescent = targetDepth > startDepth;
+    const travelRate = rate ?? (isDescent ? this.descentRate : this.ascentRate);
+    const travelTime = distance / travelRate;
+    const startPressure = this.model.getDiveState().ambientPressure;
+
+    this.model.updateTissueLoadings(travelTime, startDepth, targetDepth);
+    this.addOxygenExposure(travelTime, startDepth, targetDepth);
+    this.runTime += travelTime;
+
+    this.model.updateDiveState({ depth: targetDepth, time: this.runTime });
+    const gasUsed = this.gasConsumption.calculateSegmentGas(
+      travelTime,
+      this.gasPhase,
+      startPressure,
+      this.model.getDiveState().ambientPressure
+    );
+    this.addRow(isDescent ? 'descent' : 'ascent', travelTime, gasUsed, Math.max(startDepth, targetDepth));
+  }
+
+  /**
+   * Stay at the current depth
+   * @param time Time in minutes
+   * @param type Row type to record
+   */
+  private stayAtDepth(time: number, type: DivePlanSegmentType): void {
+    this.model.updateTissueLoadings(time);
+    const depth = this.model.getDiveState().depth;
+    this.addOxygenExposure(time, depth, depth);
+    this.runTime += time;
+    this.model.updateDiveState({ time: this.runTime });
+    this.addRow(type, time, this.gasConsumption.calculateSegmentGas(time, this.gasPhase, this.model.getDiveState().ambientPressure), depth);
+  }
+
+  /**
+   * Add the segment's oxygen exposure at the inspired ppO2 of the current gas and breathing mode
+   * @param time Segment duration in minutes
+   * @param startDepth Depth at the start of the segment in meters
+   * @param endDepth Depth at the end of the segment in meters
+   */
+  private addOxygenExposure(time: number, startDepth: number, endDepth: number): void {
+    this.oxygenExposure.addPpO2Exposure(
+      time,
+      this.model.getInspiredPartialPressures(startDepth).oxygen,
+      this.model.getInspiredPartialPressures(endDepth).oxygen
+    );
+  }
+
+  /**
+   * Record a runtime table row for the segment that just ended
+   * @param type Row type to record
+   * @param segmentTime Segment duration in minutes
+   * @param gasUsed Open-circuit gas used during the segment in surface liters
+   * @param deepestDepth Deepest depth of the segment in meters, where gas density peaks
+   */
+  private addRow(type: DivePlanSegmentType, segmentTime: number, gasUsed: number, deepestDepth: number): void {
+    const state = this.model.getDiveState();
+
+    this.rows.push({
+      type,
+      depth: state.depth,
+      segmentTime,
+      runTime: this.runTime,
+      gasMix: state.gasMix,
+      ceiling: this.model.calculateCeiling(),
+      risk: this.model.calculateDCSRisk(),
+      cns: this.oxygenExposure.getCnsPercent(),
+      otu: this.oxygenExposure.getOtu(),
+      gasUsed,
+      gasDensity: calculateGasDensityFromPartialPressures(this.model.getInspiredPartialPressures(deepestDepth))
+    });
+  }
+}
@@ -0,0 +1,226 @@
+/**
+ * Unit tests for the Dive Planner
+ */
+
+import { DivePlanner } from '../DivePlanner';
+import { BuhlmannModel } from '../../models/BuhlmannModel';
+import { VpmBModel } from '../../models/VpmBModel';
+import { GasMix } from '../../models/DecompressionModel';
+
+describe('DivePlanner', () => {
+  const air: GasMix = { oxygen: 0.21, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+  const trimix: GasMix = { oxygen: 0.18, helium: 0.45, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+  const ean50: GasMix = { oxygen: 0.50, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+
+  describe('Validation', () => {
+    test('should reject invalid rates', () => {
+      expect(() => new DivePlanner(new BuhlmannModel(), { descentRate: 0 })).toThrow();
+      expect(() => new DivePlanner(new BuhlmannModel(), { ascentRate: -9 })).toThrow();
+    });
+
+    test('should reject empty or invalid waypoints', () => {
+      const planner = new DivePlanner(new BuhlmannModel());
+      expect(() => planner.plan([])).toThrow();
+      expect(() => planner.plan([{ depth: -5, time: 10 }])).toThrow();
+      expect(() => planner.plan([{ depth: 20, time: 10, rate: 0 }])).toThrow();
+    });
+  });
+
+  describe('No-Decompression Dive', () => {
+    test('should produce descent, bottom and direct ascent rows', () => {
+      const planner = new DivePlanner(new BuhlmannModel(), { descentRate: 12, ascentRate: 6 });
+      const plan = planner.plan([{ depth: 12, time: 10, gasMix: air }]);
+
+      expect(plan.rows.map(row => row.type)).toEqual(['descent', 'level', 'ascent']);
+      expect(plan.rows[0]?.segmentTime).toBeCloseTo(1.0, 5);
+      expect(plan.rows[1]?.runTime).toBeCloseTo(11.0, 5);
+      expect(plan.rows[2]?.depth).toBe(0);
+      expect(plan.totalRunTime).toBeCloseTo(13.0, 5);
+      expect(plan.maxDepth).toBe(12);
+    });
+
+    test('should carry gas, ceiling and risk on every row', () => {
+      const planner = new DivePlanner(new BuhlmannModel());
+      const plan = planner.plan([{ depth: 40, time: 20, gasMix: air }]);
+
+      plan.rows.forEach(row => {
+        expect(row.gasMix.oxygen).toBe(0.21);
+        expect(row.ceiling).toBeGreaterThanOrEqual(0);
+        expect(row.risk).toBeGreaterThanOrEqual(0);
+        expect(row.risk).toBeLessThanOrEqual(100);
+      });
+    });
+  });
+
+  describe('Decompression Dive', () => {
+    test('should add stops with increasing run time until the surface', () => {
+      const planner = new DivePlanner(new BuhlmannModel({ low: 30, high: 85 }), {
+        decompressionGases: [ean50]
+      });
+      const plan = planner.plan([
+        { depth: 50, time: 0, gasMix: trimix },
+        { depth: 50, time: 25 }
+      ]);
+
+      const stopRows = plan.rows.filter(row => row.type === 'stop');
+      expect(stopRows.length).toBeGreaterThan(0);
+      expect(stopRows.some(row => row.gasMix === ean50)).toBe(true);
+
+      for (let i = 1; i < plan.rows.length; i++) {
+        expect(plan.rows[i]!.runTime).toBeGreaterThan(plan.rows[i - 1]!.runTime);
+      }
+      expect(plan.rows[plan.rows.length - 1]?.depth).toBe(0);
+      expect(plan.unclearedStop).toBeNull();
+    });
+
+    test('should end the plan at a stop that never clears and report it', () => {
+      const model = new BuhlmannModel({ low: 30, high: 85 });
+
+      // Never tolerate the last stop, as if the diver could not off-gas enough to surface
+      const tolerance = model.calculateTissueTolerance.bind(model);
+      jest.spyOn(model, 'calculateTissueTolerance')
+        .mockImplementation((depth, includeModelSpecificLogic) => depth < 3 ? null : tolerance(depth, includeModelSpecificLogic));
+
+      const plan = new DivePlanner(model).plan([{ depth: 40, time: 20, gasMix: air }]);
+
+      expect(plan.unclearedStop).toMatchObject({ depth: 3, cleared: false });
+      expect(plan.rows[plan.rows.length - 1]).toMatchObject({ type: 'ascent', depth: 3 });
+      expect(plan.rows.every(row => row.segmentTime < 24 * 60)).toBe(true);
+    });
+
+    test('should track oxygen exposure through the plan', () => {
+      const oxygen: GasMix = { oxygen: 1.0, helium: 0.0, get nitrogen() { return 1 - this.oxygen - this.helium; } };
+      const planner = new DivePlanner(new BuhlmannModel({ low: 30, high: 85 }), {
+        decompressionGases: [ean50, oxygen]
+      });
+      const plan = planner.plan([{ depth: 50, time: 25, gasMix: trimix }]);
+
+      for (let i = 1; i < plan.rows.length; i++) {
+        expect(plan.rows[i]!.otu).toBeGreaterThanOrEqual(plan.rows[i - 1]!.otu);
+      }
+      expect(plan.cns).toBeGreaterThan(0);
+      expect(plan.otu).toBeGreaterThan(0);
+      expect(plan.cns).toBe(plan.rows[plan.rows.length - 1]?.cns);
+    });
+
+    test('should compute gas used per segment and check the cylinders', () => {
+      const planner = new DivePlanner(new BuhlmannModel({ low: 30, high: 85 }), {
+        decompressionGases: [ean50],
+        consumption: { bottomSac: 20, decoSac: 15 },
+        cylinders: [
+          { name: 'D12', volume: 24, fillPressure: 232, gasMix: trimix },
+          { name: 'S80', volume: 11.1, fillPressure: 200, gasMix: ean50 }
+        ]
+      });
+      const plan = planner.plan([{ depth: 50, time: 25, gasMix: trimix }]);
+
+      // Descent from 1.013 to 6.013 bar at 18 m/min on the bottom rate
+      expect(plan.rows[0]?.gasUsed).toBeCloseTo(20 * (50 / 18) * (3.513 / 1.013), 5);
+      expect(plan.gasUsage.map(gas => gas.gasMix)).toEqual([trimix, ean50]);
+      expect(plan.gasUsage.reduce((total, gas) => total + gas.volume, 0))
+        .toBeCloseTo(plan.rows.reduce((total, row) => total + row.gasUsed, 0), 5);
+      expect(plan.minimumGas.gasMix).toBe(trimix);
+      expect(plan.minimumGas.volume).toBeGreaterThan(0);
+      expect(plan.reserveChecks).toHaveLength(2);
+      expect(plan.gasReserveOk).toBe(plan.reserveChecks.every(check => check.ok));
+    });
+
+    test('should flag a plan that breaks the rule of thirds', () => {
+      const planner = new DivePlanner(new BuhlmannModel(), {
+        cylinders: [{ name: 'AL80', volume: 11.1, fillPressure: 200, gasMix: air }]
+      });
+      const plan = planner.plan([{ depth: 30, time: 40, gasMix: air }]);
+
+      expect(plan.reserveChecks[0]?.used).toBeGreaterThan((2 / 3) * 2220);
+      expect(plan.gasReserveOk).toBe(false);
+    });
+
+    test('should report the peak gas density', () => {
+      const airPlan = new DivePlanner(new BuhlmannModel()).plan([{ depth: 40, time: 10, gasMix: air }]);
+      const trimixPlan = new DivePlanner(new BuhlmannModel()).plan([{ depth: 40, time: 10, gasMix: trimix }]);
+
+      expect(airPlan.peakGasDensity).toBeCloseTo((5.013 / 1.013) * (0.21 * 1.429 + 0.79 * 1.2506), 5);
+      expect(airPlan.peakGasDensity).toBe(Math.max(...airPlan.rows.map(row => row.gasDensity)));
+      expect(trimixPlan.peakGasDensity).toBeLessThan(airPlan.peakGasDensity);
+    });
+
+    test('should warn about isobaric counterdiffusion on trimix to nitrox switches', () => {
+      const planner = new DivePlanner(new BuhlmannModel({ low: 30, high: 85 }), {
+        decompressionGases: [ean50]
+      });
+      const plan = planner.plan([{ depth: 50, time: 25, gasMix: trimix }]);
+
+      expect(plan.icdWarnings.length).toBeGreaterThan(0);
+      expect(plan.icdWarnings[0]?.toGas).toBe(ean50);
+      expect(plan.icdWarnings[0]?.nitrogenPressureIncrease).toBeGreaterThan(0);
+
+      const airPlan = new DivePlanner(new BuhlmannModel(), { decompressionGases: [ean50] })
+        .plan([{ depth: 40, time: 20, gasMix: air }]);
+      expect(airPlan.icdWarnings).toEqual([]);
+    });
+
+    test('should switch to a deco gas at its switch depth during the ascent', () => {
+      const planner = new DivePlanner(new BuhlmannModel({ low: 30, high: 85 }), {
+        decompressionGases: [ean50]
+      });
+      const plan = planner.plan([{ depth: 30, time: 25, gasMix: air }]);
+
+      const switchRow = plan.rows.findIndex(row => row.type === 'ascent' && row.depth === 21);
+      expect(switchRow).toBeGreaterThan(0);
+      expect(plan.rows[switchRow]?.gasMix).toBe(air);
+      expect(plan.rows[switchRow + 1]?.type).toBe('ascent');
+      expect(plan.rows[switchRow + 1]?.gasMix).toBe(ean50);
+      expect(plan.rows[switchRow + 1]?.depth).toBeLessThan(21);
+    });
+
+    test('should plan stops on the configured stop grid', () => {
+      const planner = new DivePlanner(new BuhlmannModel({ low: 30, high: 85 }), {
+        decompressionGases: [ean50],
+        stopSettings: { lastStopDepth: 6 }
+      });
+      const plan = planner.plan([{ depth: 45, time: 25, gasMix: air }]);
+
+      const stopDepths = plan.rows.filter(row => row.type === 'stop').map(row => row.depth);
+      expect(stopDepths.length).toBeGreaterThan(0);
+      expect(stopDepths).not.toContain(3);
+      expect(stopDepths[stopDepths.length - 1]).toBe(6);
+    });
+
+    test('should add Pyle deep stops before the model stops', () => {
+      const waypoints = [{ depth: 45, time: 25, gasMix: air }];
+      const stopDepths = (planner: DivePlanner) =>
+        planner.plan(waypoints).rows.filter(row => row.type === 'stop').map(row => row.depth);
+
+      const plainStops = stopDepths(new DivePlanner(new BuhlmannModel({ low: 30, high: 85 })));
+      const deepStops = stopDepths(new DivePlanner(new BuhlmannModel({ low: 30, high: 85 }), {
+        deepStops: { style: 'pyle' }
+      }));
+
+      expect(deepStops[0]).toBeGreaterThan(plainStops[0]!);
+      expect(deepStops[deepStops.length - 1]).toBe(plainStops[plainStops.length - 1]);
+    });
+
+    test('should honour per-waypoint travel rates', () => {
+      const planner = new DivePlanner(new BuhlmannModel());
+      const plan = planner.plan([
+        { depth: 30, time: 10, gasMix: air, rate: 10 },
+        { depth: 15, time: 5, rate: 5 }
+      ]);
+
+      expect(plan.rows[0]?.segmentTime).toBeCloseTo(3.0, 5);
+      expect(plan.rows[2]?.type).toBe('ascent');
+      expect(plan.rows[2]?.segmentTime).toBeCloseTo(3.0, 5);
+    });
+
+    test('should run the same waypoints through any model', () => {
+      const waypoints = [{ depth: 40, time: 20, gasMix: air }];
+      const buhlmannPlan = new DivePlanner(new BuhlmannModel()).plan(waypoints);
+      const vpmPlan = new DivePlanner(new VpmBModel(2)).plan(waypoints);
+
+      expect(buhlmannPlan.modelName).toContain('Buhlmann');
+      expect(vpmPlan.modelName).toContain('VPM-B');
+      expect(buhlmannPlan.rows.length).toBeGreaterThan(3);
+      expect(vpmPlan.rows[vpmPlan.rows.length - 1]?.depth).toBe(0);
+    });
+  });
+});